@@ -2,35 +2,107 @@
 
 const fs = require('fs');
 const path = require('path');
-const cheerio = require('cheerio');
-const { AbortController } = require('abort-controller');
 const { parse } = require('csv-parse/sync');
+const { run, runStreaming, resultColumns, formatIssues, formatCell, normalizeInputUrl } = require('./lib/audit');
+const { createLinkChecker, brokenLinkColumns, brokenLinkRows } = require('./lib/link-checker');
+const { createHreflangChecker, hreflangColumns, hreflangRows } = require('./lib/hreflang');
+const { findDuplicates } = require('./lib/duplicates');
+const { summarizeImages, imageColumns } = require('./lib/images');
+const { summarizeStructuredData } = require('./lib/structured-data');
+const { csvEscape, toCsv } = require('./lib/csv');
+const { loadProfiles, getProfile, profileOptions } = require('./lib/profiles');
+const { DEFAULT_MAX_DEPTH, collectSitemapUrls, sampleUrls } = require('./lib/sitemap');
+const { createSummary, addToSummary, summarizeResults } = require('./lib/summary');
+const { DEFAULT_REPORT_RULES, parseFailOn, evaluateThresholds, failingResults, formatMeasured } = require('./lib/gate');
+const { toJunit, toSarif } = require('./lib/ci-reports');
+const { resultsXlsx } = require('./lib/xlsx-report');
+const { renderHtmlReport } = require('./lib/html-report');
+const { DEFAULT_MAX_ATTEMPTS, createHostLimiter } = require('./lib/politeness');
+
+// Exit code when a --fail-on threshold is crossed.
+const GATE_FAILED_EXIT_CODE = 1;
 
 function usage() {
-  console.log(`Usage: node check-h1.js [--file urls.txt] [--csv-in urls.csv] [--csv-out report.csv] [--html-out report.html] [--export all|failed|both] [--url https://example.com] [--concurrency N] [--json]`);
+  console.log(`Usage: node check-h1.js [--file urls.txt] [--csv-in urls.csv] [--csv-out report.csv] [--xlsx-out report.xlsx] [--html-out report.html] [--export all|failed|both] [--url https://example.com] [--sitemap https://example.com/sitemap.xml] [--site https://example.com] [--sitemap-max-depth N] [--max-urls N] [--sample N] [--concurrency N] [--max-redirect-hops N] [--rate-limit N] [--max-attempts N] [--respect-robots] [--check-links] [--links-out broken-links.csv] [--check-hreflang] [--hreflang-out hreflang.csv] [--check-images] [--max-image-kb N] [--images-out images.csv] [--search-bot googlebot] [--profile name] [--profiles profiles.json] [--fail-on "missingH1>0,status5xx>0,multipleH1>10%"] [--junit-out junit.xml] [--sarif-out report.sarif] [--json | --json-report | --ndjson]`);
 }
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const opts = { urls: [], file: null, csvIn: null, csvOut: null, htmlOut: null, export: null, concurrency: 5, json: false };
+  const opts = { urls: [], sitemaps: [], sites: [], sitemapMaxDepth: DEFAULT_MAX_DEPTH, maxUrls: 0, sample: 0, file: null, csvIn: null, csvOut: null, xlsxOut: null, htmlOut: null, export: null, concurrency: 5, maxRedirectHops: 3, hostRateLimit: 0, maxAttempts: DEFAULT_MAX_ATTEMPTS, respectRobots: false, checkLinks: false, linksOut: null, checkHreflang: false, hreflangOut: null, checkImages: false, maxImageKb: 500, imagesOut: null, searchBot: 'googlebot', profile: null, profilesFile: 'profiles.json', failOn: null, junitOut: null, sarifOut: null, json: false, jsonReport: false, ndjson: false };
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === '-f' || a === '--file') {
       opts.file = args[++i];
     } else if (a === '--url') {
       opts.urls.push(args[++i]);
+    } else if (a === '--sitemap') {
+      opts.sitemaps.push(args[++i]);
+    } else if (a === '--site') {
+      opts.sites.push(args[++i]);
+    } else if (a === '--sitemap-max-depth') {
+      opts.sitemapMaxDepth = Math.max(1, parseInt(args[++i], 10) || DEFAULT_MAX_DEPTH);
+    } else if (a === '--max-urls') {
+      opts.maxUrls = Math.max(0, parseInt(args[++i], 10) || 0);
+    } else if (a === '--sample') {
+      opts.sample = Math.max(0, parseInt(args[++i], 10) || 0);
     } else if (a === '--csv-in') {
       opts.csvIn = args[++i];
     } else if (a === '--csv-out') {
       opts.csvOut = args[++i];
+    } else if (a === '--xlsx-out') {
+      opts.xlsxOut = args[++i];
     } else if (a === '--html-out') {
       opts.htmlOut = args[++i];
     } else if (a === '--export') {
       opts.export = args[++i];
     } else if (a === '-c' || a === '--concurrency') {
       opts.concurrency = parseInt(args[++i], 10) || 5;
+    } else if (a === '--max-redirect-hops') {
+      opts.maxRedirectHops = parseInt(args[++i], 10) || 3;
+    } else if (a === '--rate-limit') {
+      opts.hostRateLimit = Math.max(0, Number(args[++i]) || 0);
+    } else if (a === '--max-attempts') {
+      opts.maxAttempts = Math.max(1, parseInt(args[++i], 10) || DEFAULT_MAX_ATTEMPTS);
+    } else if (a === '--respect-robots') {
+      opts.respectRobots = true;
+    } else if (a === '--ignore-robots') {
+      // the default now; still accepted for existing scripts
+      opts.respectRobots = false;
+    } else if (a === '--check-links') {
+      opts.checkLinks = true;
+    } else if (a === '--links-out') {
+      opts.linksOut = args[++i];
+      opts.checkLinks = true;
+    } else if (a === '--check-hreflang') {
+      opts.checkHreflang = true;
+    } else if (a === '--hreflang-out') {
+      opts.hreflangOut = args[++i];
+      opts.checkHreflang = true;
+    } else if (a === '--check-images') {
+      opts.checkImages = true;
+    } else if (a === '--max-image-kb') {
+      opts.maxImageKb = Math.max(1, parseInt(args[++i], 10) || 500);
+    } else if (a === '--images-out') {
+      opts.imagesOut = args[++i];
+      opts.checkImages = true;
+    } else if (a === '--profile') {
+      opts.profile = args[++i];
+    } else if (a === '--profiles') {
+      opts.profilesFile = args[++i];
+    } else if (a === '--search-bot') {
+      opts.searchBot = args[++i];
+    } else if (a === '--fail-on') {
+      opts.failOn = args[++i];
+    } else if (a === '--junit-out') {
+      opts.junitOut = args[++i];
+    } else if (a === '--sarif-out') {
+      opts.sarifOut = args[++i];
     } else if (a === '--json') {
       opts.json = true;
+    } else if (a === '--json-report') {
+      opts.jsonReport = true;
+    } else if (a === '--ndjson') {
+      opts.ndjson = true;
     } else if (a === '-h' || a === '--help') {
       usage();
       process.exit(0);
@@ -79,69 +151,19 @@ function readUrlsFromCsv(filePath) {
   }
 }
 
-async function fetchWithTimeout(url, ms = 15000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), ms);
-  try {
-    const res = await fetch(url, { signal: controller.signal, redirect: 'follow', headers: { 'User-Agent': 'h1-checker/1.0' } });
-    clearTimeout(id);
-    return res;
-  } catch (err) {
-    clearTimeout(id);
-    throw err;
-  }
-}
-
-async function checkUrl(url) {
-  const out = { url, status: null, ok: false, hasH1: false, h1: null, error: null };
-  try {
-    const res = await fetchWithTimeout(url);
-    out.status = res.status;
-    out.ok = res.ok;
-    const contentType = res.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) {
-      out.error = `non-html content-type: ${contentType}`;
-      return out;
-    }
-    const text = await res.text();
-    const $ = cheerio.load(text);
-    const h1 = $('h1').first();
-    if (h1 && h1.length > 0) {
-      out.hasH1 = true;
-      out.h1 = h1.text().trim();
-    }
-  } catch (err) {
-    out.error = err.name === 'AbortError' ? 'timeout' : err.message;
-  }
-  return out;
-}
-
-async function run(urls, concurrency) {
-  const results = new Array(urls.length);
-  let i = 0;
-  async function worker() {
-    while (true) {
-      let idx = i++;
-      if (idx >= urls.length) break;
-      const url = urls[idx];
-      let normalized = url;
-      if (!/^https?:\/\//i.test(normalized)) normalized = 'http://' + normalized;
-      try {
-        results[idx] = await checkUrl(normalized);
-      } catch (err) {
-        results[idx] = { url: normalized, status: null, ok: false, hasH1: false, h1: null, error: err.message };
-      }
-    }
-  }
-  const workers = [];
-  const w = Math.max(1, Math.min(concurrency, urls.length));
-  for (let k = 0; k < w; k++) workers.push(worker());
-  await Promise.all(workers);
-  return results;
+// Report files that are built from every result once the run is over.
+function needsAllResults(opts) {
+  return Boolean(opts.csvOut || opts.xlsxOut || opts.htmlOut || opts.export || opts.imagesOut || opts.junitOut || opts.sarifOut);
 }
 
 (async function main() {
   const opts = parseArgs();
+  if ([opts.json, opts.jsonReport, opts.ndjson].filter(Boolean).length > 1) {
+    console.error('--json, --json-report and --ndjson cannot be combined');
+    process.exit(1);
+  }
+  // stdout carries the NDJSON stream, so progress messages go to stderr
+  const log = opts.ndjson ? console.error : console.log;
   if (opts.file) {
     const fromFile = readUrlsFromFile(opts.file);
     opts.urls.push(...fromFile);
@@ -150,22 +172,174 @@ async function run(urls, concurrency) {
     const fromCsv = readUrlsFromCsv(opts.csvIn);
     opts.urls.push(...fromCsv);
   }
-  if (!opts.urls || opts.urls.length === 0) {
+  let gateRules = DEFAULT_REPORT_RULES;
+  try {
+    if (opts.failOn) gateRules = parseFailOn(opts.failOn);
+  } catch (err) {
+    console.error(`--fail-on: ${err.message}`);
+    process.exit(1);
+  }
+  const startedAt = Date.now();
+  const sources = [
+    ...opts.sitemaps.map(url => ({ url: normalizeInputUrl(url), site: false })),
+    ...opts.sites.map(url => ({ url: normalizeInputUrl(url), site: true }))
+  ];
+  if (opts.urls.length === 0 && sources.length === 0) {
     usage();
     process.exit(1);
   }
-  const results = await run(opts.urls, opts.concurrency);
+  let requestOptions;
+  try {
+    requestOptions = profileOptions(getProfile(loadProfiles(opts.profilesFile), opts.profile), [...opts.urls, ...sources.map(s => s.url)].map(normalizeInputUrl));
+  } catch (err) {
+    console.error(`Profile error: ${err.message}`);
+    process.exit(1);
+  }
+  const alternates = {};
+  const sitemapUrls = new Set();
+  if (sources.length) {
+    // without sampling there is no need to walk past the cap
+    const maxUrls = opts.maxUrls && !opts.sample ? opts.maxUrls : 0;
+    const seen = new Set(opts.urls);
+    for (const source of sources) {
+      const remaining = maxUrls ? maxUrls - seen.size : 0;
+      if (maxUrls && remaining <= 0) break;
+      const walked = await collectSitemapUrls(source.url, { ...requestOptions, site: source.site, maxDepth: opts.sitemapMaxDepth, maxUrls: remaining }, {
+        onWarning: (url, error) => console.error(`Sitemap warning: ${url}: ${error}`)
+      });
+      if (!walked.urls.length) {
+        console.error(`No URLs found for ${source.url}${walked.lastError ? `: ${walked.lastError}` : ''}`);
+        continue;
+      }
+      for (const url of walked.urls) {
+        sitemapUrls.add(url);
+        if (seen.has(url)) continue;
+        seen.add(url);
+        opts.urls.push(url);
+      }
+      Object.assign(alternates, walked.alternates);
+    }
+    if (opts.urls.length === 0) process.exit(2);
+  }
+  if (opts.sample) opts.urls = sampleUrls(opts.urls, opts.sample);
+  if (opts.maxUrls && opts.urls.length > opts.maxUrls) opts.urls = opts.urls.slice(0, opts.maxUrls);
+  // the link and hreflang checkers share the run's host limiter and retries
+  const politeOptions = { ...requestOptions, hostRateLimit: opts.hostRateLimit, maxAttempts: opts.maxAttempts };
+  politeOptions.hostLimiter = createHostLimiter(politeOptions);
+  const linkChecker = opts.checkLinks ? createLinkChecker(politeOptions) : null;
+  const hreflangChecker = opts.checkHreflang ? createHreflangChecker(politeOptions) : null;
+  if (hreflangChecker) hreflangChecker.addSitemapAlternates(alternates);
+  const auditOptions = {
+    ...politeOptions,
+    concurrency: opts.concurrency,
+    maxRedirectHops: opts.maxRedirectHops,
+    respectRobots: opts.respectRobots,
+    searchBot: opts.searchBot,
+    checkLinks: opts.checkLinks,
+    linkChecker,
+    checkHreflang: opts.checkHreflang,
+    hreflangChecker,
+    checkImages: opts.checkImages,
+    maxImageBytes: opts.maxImageKb * 1024,
+    sitemapUrls
+  };
+  let results;
+  let summary;
+  if (opts.ndjson) {
+    // each result is written as soon as it completes and only kept when a report file needs it
+    const keep = needsAllResults(opts);
+    results = [];
+    summary = createSummary();
+    await runStreaming(opts.urls, auditOptions, (index, result) => {
+      process.stdout.write(`${JSON.stringify(result)}\n`);
+      addToSummary(summary, result);
+      if (keep) results[index] = result;
+    });
+    results = results.filter(Boolean);
+  } else {
+    results = await run(opts.urls, auditOptions);
+    summary = summarizeResults(results);
+  }
+  if (hreflangChecker) await hreflangChecker.finalize();
+  const duplicates = findDuplicates(results);
+  // without --fail-on the rules only decide what the JUnit/SARIF reports list as failed
+  const thresholds = evaluateThresholds(gateRules, summary);
+  const failing = failingResults(results, thresholds);
+  const gateFailed = Boolean(opts.failOn) && thresholds.some(rule => rule.failed);
+  const exitCode = gateFailed ? GATE_FAILED_EXIT_CODE : 0;
+
+  if (opts.junitOut) {
+    try {
+      fs.writeFileSync(opts.junitOut, toJunit(results, thresholds, failing, { durationMs: Date.now() - startedAt }), 'utf8');
+      log(`JUnit report written: ${opts.junitOut}`);
+    } catch (err) {
+      console.error(`Failed to write JUnit report: ${err.message}`);
+    }
+  }
+
+  if (opts.sarifOut) {
+    try {
+      fs.writeFileSync(opts.sarifOut, JSON.stringify(toSarif(results, thresholds, failing), null, 2), 'utf8');
+      log(`SARIF report written: ${opts.sarifOut}`);
+    } catch (err) {
+      console.error(`Failed to write SARIF report: ${err.message}`);
+    }
+  }
+
+  if (opts.failOn) {
+    for (const rule of thresholds.filter(r => r.failed)) {
+      console.error(`Threshold failed: ${rule.rule} (measured ${formatMeasured(rule)})`);
+    }
+  }
+
+  if (opts.linksOut) {
+    try {
+      const rows = brokenLinkRows(linkChecker.report());
+      fs.writeFileSync(opts.linksOut, toCsv(brokenLinkColumns, rows), 'utf8');
+      log(`Broken links report written: ${opts.linksOut}`);
+    } catch (err) {
+      console.error(`Failed to write broken links report: ${err.message}`);
+    }
+  }
+
+  if (opts.hreflangOut) {
+    try {
+      const rows = hreflangRows(hreflangChecker.report());
+      fs.writeFileSync(opts.hreflangOut, toCsv(hreflangColumns, rows), 'utf8');
+      log(`hreflang report written: ${opts.hreflangOut}`);
+    } catch (err) {
+      console.error(`Failed to write hreflang report: ${err.message}`);
+    }
+  }
+
+  if (opts.imagesOut) {
+    try {
+      fs.writeFileSync(opts.imagesOut, toCsv(imageColumns, summarizeImages(results).rows), 'utf8');
+      log(`Image report written: ${opts.imagesOut}`);
+    } catch (err) {
+      console.error(`Failed to write image report: ${err.message}`);
+    }
+  }
 
   // write CSV report if asked
   if (opts.csvOut) {
     try {
       writeCsvReport(results, opts.csvOut);
-      console.log(`CSV report written: ${opts.csvOut}`);
+      log(`CSV report written: ${opts.csvOut}`);
     } catch (err) {
       console.error(`Failed to write CSV report: ${err.message}`);
     }
   }
 
+  if (opts.xlsxOut) {
+    try {
+      fs.writeFileSync(opts.xlsxOut, resultsXlsx(results, { durationMs: Date.now() - startedAt, duplicates }));
+      log(`XLSX report written: ${opts.xlsxOut}`);
+    } catch (err) {
+      console.error(`Failed to write XLSX report: ${err.message}`);
+    }
+  }
+
   // handle exports (filtered CSVs) if requested
   let exportedAllPath = null;
   let exportedFailedPath = null;
@@ -184,8 +358,8 @@ async function run(urls, concurrency) {
   // write HTML report if requested
   if (opts.htmlOut) {
     try {
-      writeHtmlReport(results, opts.htmlOut, { allCsv: exportedAllPath, failedCsv: exportedFailedPath });
-      console.log(`HTML report written: ${opts.htmlOut}`);
+      writeHtmlReport(results, opts.htmlOut, { allCsv: exportedAllPath, failedCsv: exportedFailedPath, duplicates, durationMs: Date.now() - startedAt });
+      log(`HTML report written: ${opts.htmlOut}`);
     } catch (err) {
       console.error(`Failed to write HTML report: ${err.message}`);
     }
@@ -193,37 +367,41 @@ async function run(urls, concurrency) {
 
   if (opts.json) {
     console.log(JSON.stringify(results, null, 2));
-    process.exit(0);
+    process.exit(exitCode);
+  }
+
+  if (opts.jsonReport) {
+    const output = { results, duplicates, structuredData: summarizeStructuredData(results), images: summarizeImages(results) };
+    if (linkChecker) output.brokenLinks = linkChecker.report();
+    if (hreflangChecker) output.hreflang = hreflangChecker.report();
+    if (opts.failOn) output.thresholds = thresholds;
+    console.log(JSON.stringify(output, null, 2));
+    process.exit(exitCode);
+  }
+
+  if (opts.ndjson) {
+    process.exitCode = exitCode;
+    return;
   }
 
   // pretty table
   for (const r of results) {
     const status = r.error ? `ERR (${r.error})` : r.ok ? `OK (${r.status})` : `FAIL (${r.status})`;
     const h1Text = r.hasH1 ? r.h1 : '-';
-    console.log(`${r.url}  |  ${status}  |  hasH1: ${r.hasH1}  |  ${h1Text}`);
+    const indexable = r.indexable ? 'yes' : `no (${r.indexabilityReason})`;
+    const issues = formatIssues(r.issues) || '-';
+    const redirects = r.redirectCount ? `  |  redirects: ${r.redirectCount} -> ${r.finalUrl}` : '';
+    console.log(`${r.url}  |  ${status}  |  indexable: ${indexable}  |  hasH1: ${r.hasH1}  |  ${h1Text}  |  issues: ${issues}${redirects}`);
   }
+  process.exitCode = exitCode;
 })();
 
-function csvEscape(v) {
-  if (v === null || v === undefined) return '';
-  const s = String(v);
-  if (s.includes(',') || s.includes('\n') || s.includes('"')) {
-    return '"' + s.replace(/"/g, '""') + '"';
-  }
-  return s;
-}
-
-function writeCsvReport(results, outPath) {
-  return writeCsvReportFiltered(results, outPath, null);
-}
-
 function writeCsvReportFiltered(results, outPath, filterFn) {
-  const header = ['url', 'status', 'ok', 'hasH1', 'h1', 'error'];
+  const header = resultColumns();
   const lines = [header.join(',')];
   for (const r of results) {
     if (filterFn && !filterFn(r)) continue;
-    const row = [r.url || '', r.status || '', r.ok || false, r.hasH1 || false, r.h1 || '', r.error || ''];
-    lines.push(row.map(csvEscape).join(','));
+    lines.push(header.map(key => csvEscape(formatCell(r, key))).join(','));
   }
   fs.writeFileSync(outPath, lines.join('\n'), 'utf8');
   return outPath;
@@ -234,19 +412,8 @@ function writeCsvReport(results, outPath, filterFn) {
 }
 
 function writeHtmlReport(results, outPath, extras) {
-  const rows = results.map(r => {
-    return `\n      <tr>\n        <td><a href="${r.url}">${r.url}</a></td>\n        <td>${r.status || ''}</td>\n        <td>${r.ok}</td>\n        <td>${r.hasH1}</td>\n        <td>${escapeHtml(r.h1 || '')}</td>\n        <td>${escapeHtml(r.error || '')}</td>\n      </tr>`;
-  }).join('\n');
-
   const links = [];
-  if (extras && extras.allCsv) links.push(`<a href="${path.basename(extras.allCsv)}">Download All CSV</a>`);
-  if (extras && extras.failedCsv) links.push(`<a href="${path.basename(extras.failedCsv)}">Download Failed CSV</a>`);
-
-  const html = `<!doctype html>\n<html>\n<head>\n  <meta charset="utf-8" />\n  <title>H1 Report</title>\n  <style>\n    table{border-collapse:collapse;width:100%;}\n    th,td{border:1px solid #ccc;padding:6px;text-align:left}\n    th{background:#f7f7f7}\n  </style>\n</head>\n<body>\n  <h1>H1 Checker Report</h1>\n  <p>${links.join(' | ')}</p>\n  <table>\n    <thead><tr><th>URL</th><th>Status</th><th>OK</th><th>hasH1</th><th>h1</th><th>error</th></tr></thead>\n    <tbody>\n      ${rows}\n    </tbody>\n  </table>\n</body>\n</html>`;
-
-  fs.writeFileSync(outPath, html, 'utf8');
-}
-
-function escapeHtml(s) {
-  return (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  if (extras.allCsv) links.push({ href: path.basename(extras.allCsv), label: 'report_all.csv' });
+  if (extras.failedCsv) links.push({ href: path.basename(extras.failedCsv), label: 'report_failed.csv' });
+  fs.writeFileSync(outPath, renderHtmlReport(results, { duplicates: extras.duplicates, durationMs: extras.durationMs, links }), 'utf8');
 }
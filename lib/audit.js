@@ -0,0 +1,196 @@
+const cheerio = require('cheerio');
+const { errorMessage } = require('./http');
+const { fetchWithRedirects, analyzeRedirects, formatRedirectChain } = require('./redirects');
+const { createRobotsCache } = require('./robots');
+const { createLinkChecker } = require('./link-checker');
+const { createHreflangChecker, formatHreflang } = require('./hreflang');
+const { createCanonicalChecker } = require('./canonical');
+const { createImageChecker, formatImages } = require('./images');
+const { applyIndexability } = require('./indexability');
+const { formatStructuredData } = require('./structured-data');
+const { formatOutline } = require('./headings');
+const { createHostLimiter, withRetries } = require('./politeness');
+const { getRules, ruleFields } = require('./rules');
+
+const DEFAULT_CONCURRENCY = 5;
+
+function createResult(url) {
+  return {
+    url,
+    status: null,
+    ok: false,
+    responseTimeMs: null,
+    attempts: 0,
+    finalUrl: null,
+    redirectCount: 0,
+    redirectChain: [],
+    redirectLoop: false,
+    longRedirectChain: false,
+    temporaryRedirect: false,
+    httpsRedirect: false,
+    wwwRedirect: false,
+    robotsAllowed: null,
+    ...ruleFields(),
+    issues: [],
+    error: null
+  };
+}
+
+function resultColumns() {
+  return Object.keys(createResult(''));
+}
+
+// Attaches the per-job state (robots.txt cache, per-host rate limiter,
+// canonical, image, link and hreflang checkers) that checkUrl relies on.
+// State passed in by the caller is kept so it can be inspected later.
+function prepareOptions(options = {}) {
+  const state = { ...options };
+  // created first so the checkers below share it
+  if (!state.hostLimiter) state.hostLimiter = createHostLimiter(options);
+  if (state.checkRobots !== false && !state.robots) state.robots = createRobotsCache(state);
+  if (state.checkCanonical !== false && !state.canonicalChecker) state.canonicalChecker = createCanonicalChecker(state);
+  if ((state.checkOgImage !== false || state.checkImages) && !state.imageChecker) state.imageChecker = createImageChecker(state);
+  if (state.checkLinks && !state.linkChecker) state.linkChecker = createLinkChecker(state);
+  if (state.checkHreflang && !state.hreflangChecker) state.hreflangChecker = createHreflangChecker(state);
+  return state;
+}
+
+function normalizeInputUrl(url) {
+  let normalized = String(url || '').trim();
+  if (!/^https?:\/\//i.test(normalized)) normalized = 'http://' + normalized;
+  return normalized;
+}
+
+async function applyRules(out, ctx) {
+  for (const rule of getRules()) {
+    try {
+      const { fields, issues } = (await rule.check(ctx)) || {};
+      if (fields) Object.assign(out, fields);
+      for (const issue of issues || []) out.issues.push({ rule: rule.name, ...issue });
+    } catch (err) {
+      out.issues.push({ rule: rule.name, code: 'rule-error', message: err.message });
+    }
+  }
+}
+
+async function checkUrl(url, options = {}) {
+  const out = createResult(url);
+  const start = Date.now();
+  try {
+    if (options.robots) {
+      const verdict = await options.robots.check(url);
+      out.robotsAllowed = verdict.allowed;
+      if (verdict.allowed === false) {
+        out.issues.push({ rule: 'robots', code: 'blocked-by-robots', message: 'URL is disallowed by robots.txt' });
+        if (options.source === 'sitemap') {
+          out.issues.push({ rule: 'robots', code: 'sitemap-url-blocked-by-robots', message: 'sitemap lists a URL that robots.txt disallows' });
+        }
+        if (options.respectRobots) {
+          out.error = 'blocked by robots.txt';
+          return out;
+        }
+      }
+    }
+    const { value, attempts } = await withRetries(url, () => fetchWithRedirects(url, options), options);
+    const { res, chain, finalUrl, loop } = value;
+    out.attempts = attempts;
+    out.status = res.status;
+    out.ok = res.ok && !loop;
+    out.finalUrl = finalUrl;
+    out.redirectChain = chain;
+    const redirects = analyzeRedirects(chain, loop, options);
+    Object.assign(out, redirects.flags);
+    for (const issue of redirects.issues) out.issues.push({ rule: 'redirects', ...issue });
+    if (loop) {
+      out.error = 'redirect loop';
+      return out;
+    }
+    const contentType = res.headers.get('content-type') || '';
+    if (!contentType.includes('text/html')) {
+      out.error = `non-html content-type: ${contentType}`;
+      return out;
+    }
+    const text = await res.text();
+    const $ = cheerio.load(text);
+    await applyRules(out, { $, res, url, finalUrl, options });
+    if (options.onPage) await options.onPage({ $, res, url, finalUrl, result: out });
+  } catch (err) {
+    out.error = errorMessage(err);
+    if (err.attempts) out.attempts = err.attempts;
+  } finally {
+    out.responseTimeMs = Date.now() - start;
+    applyIndexability(out, options);
+  }
+  return out;
+}
+
+async function checkOne(normalized, options) {
+  try {
+    return await checkUrl(normalized, options);
+  } catch (err) {
+    const out = createResult(normalized);
+    out.error = err.message;
+    return out;
+  }
+}
+
+// options.sitemapUrls (a Set) marks the URLs of a mixed list that came from a
+// sitemap; they are checked with source 'sitemap'.
+async function runStreaming(urls, options = {}, onResult, shouldStop) {
+  const state = prepareOptions(options);
+  const concurrency = Number(state.concurrency) || DEFAULT_CONCURRENCY;
+  let i = 0;
+  async function worker() {
+    while (true) {
+      if (shouldStop && shouldStop()) break;
+      const idx = i++;
+      if (idx >= urls.length) break;
+      const url = normalizeInputUrl(urls[idx]);
+      if (state.robots && state.respectRobots) await state.robots.waitForCrawlDelay(url);
+      const fromSitemap = state.sitemapUrls && state.sitemapUrls.has(urls[idx]);
+      const result = await checkOne(url, fromSitemap ? { ...state, source: 'sitemap' } : state);
+      if (shouldStop && shouldStop()) break;
+      await onResult(idx, result);
+    }
+  }
+  const workers = [];
+  const w = Math.max(1, Math.min(concurrency, urls.length));
+  for (let k = 0; k < w; k++) workers.push(worker());
+  await Promise.all(workers);
+}
+
+async function run(urls, options = {}) {
+  const results = new Array(urls.length);
+  await runStreaming(urls, options, (idx, result) => {
+    results[idx] = result;
+  });
+  return results;
+}
+
+function formatIssues(issues) {
+  return (issues || []).map(issue => issue.code).join(';');
+}
+
+// Flattens a result field into a single CSV/HTML cell.
+function formatCell(result, key) {
+  if (key === 'issues') return formatIssues(result.issues);
+  if (key === 'redirectChain') return formatRedirectChain(result.redirectChain);
+  if (key === 'hreflang') return formatHreflang(result.hreflang);
+  if (key === 'structuredData') return formatStructuredData(result.structuredData);
+  if (key === 'images') return formatImages(result.images);
+  if (key === 'headings') return formatOutline(result.headings);
+  return result[key];
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  createResult,
+  resultColumns,
+  prepareOptions,
+  normalizeInputUrl,
+  checkUrl,
+  run,
+  runStreaming,
+  formatIssues,
+  formatCell
+};
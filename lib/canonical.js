@@ -0,0 +1,90 @@
+const cheerio = require('cheerio');
+const { errorMessage } = require('./http');
+const { politeFetch } = require('./politeness');
+const { resolveLink, documentBase, isSameSite, sameUrl } = require('./links');
+const { createLimiter } = require('./link-checker');
+const { robotsDirectives, isNoindex } = require('./meta-robots');
+
+const DEFAULT_CANONICAL_CONCURRENCY = 5;
+
+// Every <link rel="canonical"> href on the page, resolved against the page
+// URL. Unusable hrefs come back as null so they still count as a tag.
+function extractCanonicals($, pageUrl) {
+  const base = documentBase($, pageUrl);
+  const hrefs = [];
+  $('link[rel]').each((_, el) => {
+    if (!($(el).attr('rel') || '').toLowerCase().split(/\s+/).includes('canonical')) return;
+    hrefs.push(resolveLink($(el).attr('href'), base));
+  });
+  return hrefs;
+}
+
+// 'self', 'canonicalised' (another URL on the same site), 'cross-domain' or 'missing'.
+function classifyCanonical(canonical, pageUrl) {
+  if (!canonical) return 'missing';
+  if (sameUrl(canonical, pageUrl)) return 'self';
+  return isSameSite(canonical, pageUrl) ? 'canonicalised' : 'cross-domain';
+}
+
+// Fetches each canonical target once per job, without following redirects,
+// and reads the target's own canonical and robots directives.
+function createCanonicalChecker(options = {}) {
+  const limit = createLimiter(Math.max(1, Number(options.canonicalConcurrency) || DEFAULT_CANONICAL_CONCURRENCY));
+  const cache = new Map();
+
+  async function probe(url) {
+    const target = { url, status: null, location: null, noindex: false, canonical: null, error: null };
+    try {
+      const res = await politeFetch(url, { ...options, redirect: 'manual' });
+      target.status = res.status;
+      const location = res.headers.get('location');
+      if (location) target.location = resolveLink(location, url);
+      const contentType = res.headers.get('content-type') || '';
+      if (res.status === 200 && contentType.includes('text/html')) {
+        const $ = cheerio.load(await res.text());
+        target.noindex = isNoindex(robotsDirectives($, res.headers, options.searchBot));
+        target.canonical = extractCanonicals($, url)[0] || null;
+      } else {
+        target.noindex = isNoindex(robotsDirectives(cheerio.load(''), res.headers, options.searchBot));
+        if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+      }
+    } catch (err) {
+      target.error = errorMessage(err);
+    }
+    return target;
+  }
+
+  function check(url) {
+    if (!cache.has(url)) cache.set(url, limit(() => probe(url)));
+    return cache.get(url);
+  }
+
+  return { check };
+}
+
+// Issues for a canonical target that is not a clean, indexable 200 page.
+function canonicalTargetIssues(target) {
+  const issues = [];
+  if (target.error) {
+    issues.push({ code: 'canonical-target-error', message: `canonical target failed: ${target.error}` });
+  } else if (target.status >= 300 && target.status < 400) {
+    const to = target.location ? ` to ${target.location}` : '';
+    issues.push({ code: 'canonical-target-redirects', message: `canonical target redirects (${target.status})${to}` });
+  } else if (target.status >= 400) {
+    const code = target.status >= 500 ? 'canonical-target-5xx' : 'canonical-target-4xx';
+    issues.push({ code, message: `canonical target returned ${target.status}` });
+  }
+  if (target.noindex) issues.push({ code: 'canonical-target-noindex', message: 'canonical target is noindex' });
+  if (target.canonical && target.canonical !== target.url) {
+    issues.push({ code: 'canonical-chain', message: `canonical target is itself canonicalised to ${target.canonical}` });
+  }
+  return issues;
+}
+
+module.exports = {
+  DEFAULT_CANONICAL_CONCURRENCY,
+  extractCanonicals,
+  classifyCanonical,
+  createCanonicalChecker,
+  canonicalTargetIssues
+};
@@ -0,0 +1,139 @@
+const { version } = require('../package.json');
+const { formatIssues } = require('./audit');
+const { formatMeasured } = require('./gate');
+
+const TOOL_NAME = 'h1-checker';
+
+const METRIC_DESCRIPTIONS = {
+  total: 'Pages checked',
+  ok: 'Pages that returned a successful status',
+  errors: 'Pages that failed to load',
+  withH1: 'Pages with an H1',
+  missingH1: 'Pages without an H1',
+  multipleH1: 'Pages with more than one H1',
+  status2xx: 'Pages that returned a 2xx status',
+  status3xx: 'Pages that returned a 3xx status',
+  status4xx: 'Pages that returned a 4xx status',
+  status5xx: 'Pages that returned a 5xx status',
+  blocked: 'Pages disallowed by robots.txt',
+  notIndexable: 'Pages that are not indexable',
+  issues: 'Audit issues across all pages'
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return 'invalid-url';
+  }
+}
+
+// One line about the page for failure bodies and SARIF messages.
+function describePage(result) {
+  const parts = [result.error ? `error: ${result.error}` : `status ${result.status}`];
+  if (result.hasH1 === false) parts.push('no H1');
+  const issues = formatIssues(result.issues);
+  if (issues) parts.push(`issues: ${issues}`);
+  return parts.join('; ');
+}
+
+// JUnit XML with a test case per threshold rule and per checked URL. A URL
+// fails when it counts against a failed rule (see gate.failingResults); pages
+// that did not load are reported as errors.
+function toJunit(results, evaluated, failing, { durationMs = 0 } = {}) {
+  const byResult = new Map(failing.map(item => [item.result, item.rules]));
+  const ruleCases = evaluated.map((rule) => {
+    const failure = rule.failed
+      ? `\n      <failure type="threshold" message="${escapeXml(`${rule.metric} is ${formatMeasured(rule)}, threshold ${rule.rule}`)}"/>\n    `
+      : '';
+    return `    <testcase classname="thresholds" name="${escapeXml(rule.rule)}">${failure}</testcase>`;
+  });
+  let urlFailures = 0;
+  let urlErrors = 0;
+  const urlCases = results.filter(Boolean).map((result) => {
+    const rules = byResult.get(result);
+    const time = ((Number(result.responseTimeMs) || 0) / 1000).toFixed(3);
+    let body = '';
+    if (rules) {
+      const message = escapeXml(rules.map(rule => rule.rule).join(', '));
+      if (result.error) {
+        urlErrors += 1;
+        body = `\n      <error type="errors" message="${message}">${escapeXml(describePage(result))}</error>\n    `;
+      } else {
+        urlFailures += 1;
+        body = `\n      <failure type="${escapeXml(rules[0].metric)}" message="${message}">${escapeXml(describePage(result))}</failure>\n    `;
+      }
+    }
+    return `    <testcase classname="${escapeXml(hostOf(result.url))}" name="${escapeXml(result.url)}" time="${time}">${body}</testcase>`;
+  });
+  const ruleFailures = evaluated.filter(rule => rule.failed).length;
+  const seconds = (durationMs / 1000).toFixed(3);
+  const suites = [];
+  if (ruleCases.length) {
+    suites.push(`  <testsuite name="thresholds" tests="${ruleCases.length}" failures="${ruleFailures}" errors="0">\n${ruleCases.join('\n')}\n  </testsuite>`);
+  }
+  suites.push(`  <testsuite name="urls" tests="${urlCases.length}" failures="${urlFailures}" errors="${urlErrors}" time="${seconds}">\n${urlCases.join('\n')}\n  </testsuite>`);
+  const tests = ruleCases.length + urlCases.length;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${ruleFailures + urlFailures}" errors="${urlErrors}" time="${seconds}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+// SARIF 2.1.0 with a finding per failing URL and failed rule. The rule id is
+// the metric, so findings for the same threshold group together.
+function toSarif(results, evaluated, failing) {
+  const failed = evaluated.filter(rule => rule.failed);
+  const metrics = [...new Set(failed.map(rule => rule.metric))];
+  const findings = [];
+  for (const { result, rules } of failing) {
+    for (const rule of rules) {
+      findings.push({
+        ruleId: rule.metric,
+        ruleIndex: metrics.indexOf(rule.metric),
+        level: 'error',
+        message: { text: `${result.url} counts against ${rule.rule} (${describePage(result)})` },
+        locations: [{ physicalLocation: { artifactLocation: { uri: result.url } } }],
+        properties: {
+          status: result.status,
+          error: result.error || null,
+          issues: (result.issues || []).map(issue => issue.code)
+        }
+      });
+    }
+  }
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version,
+          rules: metrics.map((metric) => {
+            const rules = failed.filter(rule => rule.metric === metric);
+            return {
+              id: metric,
+              shortDescription: { text: METRIC_DESCRIPTIONS[metric] },
+              fullDescription: { text: `${METRIC_DESCRIPTIONS[metric]}; failed thresholds: ${rules.map(rule => `${rule.rule} (measured ${formatMeasured(rule)})`).join(', ')}` },
+              defaultConfiguration: { level: 'error' }
+            };
+          })
+        }
+      },
+      invocations: [{ executionSuccessful: true }],
+      results: findings
+    }]
+  };
+}
+
+module.exports = {
+  toJunit,
+  toSarif
+};
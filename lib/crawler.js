@@ -0,0 +1,134 @@
+const { prepareOptions, normalizeInputUrl, checkUrl, createResult } = require('./audit');
+const { extractAnchors, isLikelyPage, inScope } = require('./links');
+
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_MAX_PAGES = 500;
+
+// Compiles include/exclude patterns given as an array or a comma- or
+// newline-separated string. RegExps are kept as they are, so patterns the
+// server already compiled can be passed through again.
+function compilePatterns(patterns) {
+  if (patterns instanceof RegExp) return [patterns];
+  const list = Array.isArray(patterns) ? patterns : String(patterns || '').split(/[\n,]/);
+  return list
+    .map(p => (p instanceof RegExp ? p : String(p).trim()))
+    .filter(Boolean)
+    .map(p => {
+      if (p instanceof RegExp) return p;
+      try {
+        return new RegExp(p, 'i');
+      } catch (err) {
+        throw new Error(`invalid pattern: ${p}`);
+      }
+    });
+}
+
+function matchesFilters(url, include, exclude) {
+  if (exclude.some(re => re.test(url))) return false;
+  return !include.length || include.some(re => re.test(url));
+}
+
+// Breadth-first crawl from startUrl following internal <a href> links. Every
+// page is checked as it is visited; onDiscover(index, url, depth) fires when a
+// URL is queued and onResult(index, result) once it has been checked.
+// options.resume ({ discovered, visited }) continues an interrupted crawl.
+async function crawl(startUrl, options = {}, { onDiscover, onResult, shouldStop } = {}) {
+  const state = prepareOptions(options);
+  const concurrency = Math.max(1, Number(state.concurrency) || 5);
+  const maxDepth = Math.max(0, Number.isFinite(Number(state.maxDepth)) ? Number(state.maxDepth) : DEFAULT_MAX_DEPTH);
+  const maxPages = Math.max(1, Number(state.maxPages) || DEFAULT_MAX_PAGES);
+  const scope = state.scope === 'subdomains' ? 'subdomains' : 'host';
+  const include = compilePatterns(state.include);
+  const exclude = compilePatterns(state.exclude);
+  const start = normalizeInputUrl(startUrl);
+
+  const seen = new Set();
+  const queue = [];
+  const waiters = [];
+  let discovered = 0;
+  let active = 0;
+
+  function wakeAll() {
+    while (waiters.length) waiters.shift()();
+  }
+
+  function idle() {
+    return new Promise(resolve => waiters.push(resolve));
+  }
+
+  async function enqueue(url, depth) {
+    if (seen.has(url) || discovered >= maxPages) return;
+    seen.add(url);
+    const index = discovered++;
+    queue.push({ url, depth, index });
+    if (onDiscover) await onDiscover(index, url, depth);
+    wakeAll();
+  }
+
+  async function visit({ url, depth, index }) {
+    let anchors = [];
+    const pageOptions = {
+      ...state,
+      onPage: ({ $, finalUrl }) => {
+        if (depth < maxDepth && inScope(finalUrl, start, scope)) anchors = extractAnchors($, finalUrl);
+      }
+    };
+    let result;
+    try {
+      if (state.robots && state.respectRobots) await state.robots.waitForCrawlDelay(url);
+      result = await checkUrl(url, pageOptions);
+    } catch (err) {
+      result = createResult(url);
+      result.error = err.message;
+    }
+    if (shouldStop && shouldStop()) return;
+    if (result.finalUrl) seen.add(result.finalUrl);
+    await onResult(index, result);
+    for (const anchor of anchors) {
+      if (anchor.rel.split(/\s+/).includes('nofollow')) continue;
+      if (!isLikelyPage(anchor.url) || !inScope(anchor.url, start, scope)) continue;
+      if (!matchesFilters(anchor.url, include, exclude)) continue;
+      await enqueue(anchor.url, depth + 1);
+    }
+  }
+
+  async function worker() {
+    while (!(shouldStop && shouldStop())) {
+      const item = queue.shift();
+      if (!item) {
+        if (active === 0) break;
+        await idle();
+        continue;
+      }
+      active += 1;
+      try {
+        await visit(item);
+      } finally {
+        active -= 1;
+        wakeAll();
+      }
+    }
+  }
+
+  if (state.resume) {
+    // pick up a stored crawl: everything discovered is seen, only unvisited pages are queued
+    for (const item of state.resume.discovered) {
+      seen.add(item.url);
+      discovered = Math.max(discovered, item.index + 1);
+      if (!state.resume.visited.has(item.index)) queue.push(item);
+    }
+  } else {
+    await enqueue(start, 0);
+  }
+  const workers = [];
+  for (let k = 0; k < concurrency; k++) workers.push(worker());
+  await Promise.all(workers);
+  return { discovered };
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_PAGES,
+  compilePatterns,
+  crawl
+};
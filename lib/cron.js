@@ -0,0 +1,127 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Searching further than this for a match means the expression never fires
+// (such as "0 0 30 2 *").
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(text)) throw new Error(`invalid ${field.name} "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) throw new Error(`${field.name} ${value} is out of range ${field.min}-${field.max}`);
+  return value;
+}
+
+// One field ("*", "1-5", "*/15", "mon,wed,fri", ...) as the set of values it allows.
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} "${part}"`);
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+      if (to < from) throw new Error(`invalid range in ${field.name} "${part}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Parses a five-field cron expression (minute hour day-of-month month
+// day-of-week) or one of the @hourly/@daily/@weekly/@monthly/@yearly aliases.
+// Throws with a message naming the bad field.
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is Sunday too
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+// As in cron, a restricted day of month and day of week match either one.
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+// The first time strictly after `from` (ms or Date) that the expression
+// fires, in the server's local time; null when it never does.
+function nextRun(expression, from = Date.now()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = date.getTime() + MAX_SEARCH_MINUTES * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// The next `count` run times after `from`, as ms timestamps.
+function nextRuns(expression, count, from = Date.now()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const runs = [];
+  let at = from;
+  while (runs.length < count) {
+    const next = nextRun(cron, at);
+    if (!next) break;
+    at = next.getTime();
+    runs.push(at);
+  }
+  return runs;
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  nextRuns
+};
@@ -0,0 +1,21 @@
+function csvEscape(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  if (/[",\r\n]/.test(s)) {
+    return '"' + s.replace(/"/g, '""') + '"';
+  }
+  return s;
+}
+
+function toCsv(headers, rows, eol = '\n') {
+  const lines = [headers.join(',')];
+  for (const row of rows) {
+    lines.push(headers.map(key => csvEscape(row[key])).join(','));
+  }
+  return lines.join(eol);
+}
+
+module.exports = {
+  csvEscape,
+  toCsv
+};
@@ -0,0 +1,87 @@
+const COMPARED_FIELDS = ['status', 'hasH1', 'h1', 'title', 'metaDescription', 'canonical'];
+
+function statusClass(status) {
+  if (typeof status !== 'number') return null;
+  return Math.floor(status / 100);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function regressionsFor(before, after) {
+  const regressions = [];
+  if (before.hasH1 && !after.hasH1 && !after.error) regressions.push('lost-h1');
+  const beforeClass = statusClass(before.status);
+  const afterClass = statusClass(after.status);
+  if (afterClass === 4 && beforeClass !== 4) regressions.push('now-4xx');
+  if (afterClass === 5 && beforeClass !== 5) regressions.push('now-5xx');
+  if (after.error && !before.error) regressions.push('now-error');
+  for (const field of ['title', 'metaDescription', 'canonical']) {
+    if (!isEmpty(before[field]) && isEmpty(after[field]) && !after.error) regressions.push(`lost-${field}`);
+  }
+  return regressions;
+}
+
+// Compares two scans keyed by URL. `base` is the older scan.
+function diffScans(baseResults, compareResults) {
+  const base = new Map(baseResults.filter(Boolean).map(r => [r.url, r]));
+  const compare = new Map(compareResults.filter(Boolean).map(r => [r.url, r]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [url, after] of compare) {
+    const before = base.get(url);
+    if (!before) {
+      added.push({ url, status: after.status });
+      continue;
+    }
+    const changes = [];
+    for (const field of COMPARED_FIELDS) {
+      const a = isEmpty(before[field]) ? null : before[field];
+      const b = isEmpty(after[field]) ? null : after[field];
+      if (a !== b) changes.push({ field, before: a, after: b });
+    }
+    const regressions = regressionsFor(before, after);
+    if (changes.length || regressions.length) changed.push({ url, changes, regressions });
+  }
+  for (const [url, before] of base) {
+    if (!compare.has(url)) removed.push({ url, status: before.status });
+  }
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      regressions: changed.filter(c => c.regressions.length).length
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+const diffColumns = ['url', 'change', 'field', 'before', 'after', 'regressions'];
+
+function diffRows(diff) {
+  const rows = [];
+  for (const item of diff.added) rows.push({ url: item.url, change: 'added', field: 'status', before: null, after: item.status, regressions: '' });
+  for (const item of diff.removed) rows.push({ url: item.url, change: 'removed', field: 'status', before: item.status, after: null, regressions: '' });
+  for (const item of diff.changed) {
+    const regressions = item.regressions.join(';');
+    if (!item.changes.length) rows.push({ url: item.url, change: 'changed', field: '', before: null, after: null, regressions });
+    for (const change of item.changes) {
+      rows.push({ url: item.url, change: 'changed', field: change.field, before: change.before, after: change.after, regressions });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  COMPARED_FIELDS,
+  diffScans,
+  diffColumns,
+  diffRows
+};
@@ -0,0 +1,56 @@
+const DUPLICATE_FIELDS = ['title', 'metaDescription', 'h1'];
+
+// Case and whitespace differences do not make a title unique.
+function normalizeText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Groups the job's results by identical normalised title, meta description
+// and H1. Only values shared by two or more URLs are kept, largest group first.
+function findDuplicates(results) {
+  const report = { pages: 0, groupCount: 0, urlCount: 0 };
+  const duplicateUrls = new Set();
+  for (const field of DUPLICATE_FIELDS) report[field] = [];
+  const groups = Object.fromEntries(DUPLICATE_FIELDS.map(field => [field, new Map()]));
+
+  for (const result of results) {
+    if (!result || result.error) continue;
+    report.pages += 1;
+    for (const field of DUPLICATE_FIELDS) {
+      const key = normalizeText(result[field]);
+      if (!key) continue;
+      if (!groups[field].has(key)) groups[field].set(key, { value: result[field], urls: [] });
+      groups[field].get(key).urls.push(result.url);
+    }
+  }
+
+  for (const field of DUPLICATE_FIELDS) {
+    report[field] = [...groups[field].values()]
+      .filter(group => group.urls.length > 1)
+      .sort((a, b) => b.urls.length - a.urls.length || String(a.value).localeCompare(String(b.value)));
+    report.groupCount += report[field].length;
+    for (const group of report[field]) for (const url of group.urls) duplicateUrls.add(url);
+  }
+  report.urlCount = duplicateUrls.size;
+  return report;
+}
+
+const duplicateColumns = ['field', 'value', 'count', 'url'];
+
+function duplicateRows(report) {
+  const rows = [];
+  for (const field of DUPLICATE_FIELDS) {
+    for (const group of report[field]) {
+      for (const url of group.urls) rows.push({ field, value: group.value, count: group.urls.length, url });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  DUPLICATE_FIELDS,
+  normalizeText,
+  findDuplicates,
+  duplicateColumns,
+  duplicateRows
+};
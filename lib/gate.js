@@ -0,0 +1,80 @@
+const { SUMMARY_METRICS, summarizeResults } = require('./summary');
+
+const THRESHOLD_OPS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// What the CLI reports as failed when no --fail-on rules are given; the same
+// pages as `--export failed`.
+const DEFAULT_REPORT_RULES = [
+  { metric: 'errors', op: '>', value: 0, percent: false },
+  { metric: 'missingH1', op: '>', value: 0, percent: false }
+];
+
+function formatRule(rule) {
+  return `${rule.metric}${rule.op}${rule.value}${rule.percent ? '%' : ''}`;
+}
+
+// Parses "missingH1>0,status5xx>0,multipleH1>10%" into rules. A value with
+// `%` is a share of all checked URLs. Throws on an unknown metric or operator.
+function parseFailOn(spec) {
+  return String(spec || '').split(',').map(part => part.trim()).filter(Boolean).map((part) => {
+    const match = /^([A-Za-z0-9]+)\s*(>=|<=|==|!=|>|<)\s*(\d+(?:\.\d+)?)(%?)$/.exec(part);
+    if (!match) throw new Error(`invalid threshold "${part}", expected e.g. missingH1>0 or multipleH1>10%`);
+    const [, metric, op, value, percent] = match;
+    if (!SUMMARY_METRICS.includes(metric)) throw new Error(`unknown metric "${metric}", expected one of ${SUMMARY_METRICS.join(', ')}`);
+    return { metric, op, value: Number(value), percent: percent === '%' };
+  });
+}
+
+function formatMeasured(rule) {
+  return rule.percent ? `${Math.round(rule.actual * 10) / 10}%` : String(rule.actual);
+}
+
+function measure(rule, summary) {
+  if (!rule.percent) return summary[rule.metric];
+  return summary.total ? (summary[rule.metric] / summary.total) * 100 : 0;
+}
+
+// Each rule with its measured value and whether it failed.
+function evaluateThresholds(rules, summary) {
+  return rules.map((rule) => {
+    const actual = measure(rule, summary);
+    return { ...rule, rule: formatRule(rule), actual, failed: THRESHOLD_OPS[rule.op](actual, rule.value) };
+  });
+}
+
+// A page counts against a rule when it pushes the metric the wrong way: it
+// adds to the metric for `>`-style rules and does not for `<`-style ones.
+function countsAgainst(rule, pageSummary) {
+  const counted = pageSummary[rule.metric] > 0;
+  return rule.op.startsWith('<') ? !counted : counted;
+}
+
+// The pages behind the failed rules, each with the rules it counts against.
+function failingResults(results, evaluated) {
+  const failed = evaluated.filter(rule => rule.failed);
+  const out = [];
+  for (const result of results) {
+    if (!result) continue;
+    const page = summarizeResults([result]);
+    const rules = failed.filter(rule => countsAgainst(rule, page));
+    if (rules.length) out.push({ result, rules });
+  }
+  return out;
+}
+
+module.exports = {
+  THRESHOLD_OPS,
+  DEFAULT_REPORT_RULES,
+  formatRule,
+  formatMeasured,
+  parseFailOn,
+  evaluateThresholds,
+  failingResults
+};
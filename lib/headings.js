@@ -0,0 +1,54 @@
+const HIDDEN_STYLE = /(?:^|;)\s*(?:display\s*:\s*none|visibility\s*:\s*hidden)\s*(?:!important\s*)?(?:;|$)/i;
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Hidden by an inline style on the heading or one of its ancestors.
+function isHiddenInline($, el) {
+  return $(el).parents().addBack().toArray().some(node => HIDDEN_STYLE.test($(node).attr('style') || ''));
+}
+
+// The H1-H6 outline in document order. A heading that only wraps images
+// takes their alt text. Each entry lists its own problems: `empty`,
+// `hidden` and `skipped-level` (deeper than the previous heading plus one).
+function extractOutline($) {
+  const outline = [];
+  let previous = null;
+  $('h1, h2, h3, h4, h5, h6').each((_, el) => {
+    const level = Number(el.tagName.slice(1));
+    let text = collapse($(el).text());
+    if (!text) text = collapse($(el).find('img[alt]').map((i, img) => $(img).attr('alt')).get().join(' '));
+    const issues = [];
+    if (!text) issues.push('empty');
+    if (isHiddenInline($, el)) issues.push('hidden');
+    if (previous && level > previous + 1) issues.push('skipped-level');
+    outline.push({ level, text, issues });
+    previous = level;
+  });
+  return outline;
+}
+
+function normalizeHeading(text) {
+  return collapse(text).toLowerCase();
+}
+
+// Titles usually carry the H1 plus a brand ("Red shoes | Shop"), so either
+// containing the other counts as a match.
+function h1MatchesTitle(h1, title) {
+  const a = normalizeHeading(h1);
+  const b = normalizeHeading(title);
+  if (!a || !b) return true;
+  return a.includes(b) || b.includes(a);
+}
+
+// "H1 Welcome;H2 Pricing;H4 Details"
+function formatOutline(outline) {
+  return (outline || []).map(heading => `H${heading.level} ${heading.text}`.trim()).join(';');
+}
+
+module.exports = {
+  extractOutline,
+  h1MatchesTitle,
+  formatOutline
+};
@@ -0,0 +1,253 @@
+const cheerio = require('cheerio');
+const { errorMessage } = require('./http');
+const { politeFetch } = require('./politeness');
+const { resolveLink, documentBase, normalizeUrl, sameUrl } = require('./links');
+const { createLimiter } = require('./link-checker');
+
+const DEFAULT_HREFLANG_CONCURRENCY = 5;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+const scriptNames = new Intl.DisplayNames(['en'], { type: 'script', fallback: 'none' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+
+// ICU knows these as regions, but they are not ISO 3166-1 country codes and
+// search engines ignore them (en-UK is the classic mistake for en-GB).
+const NON_COUNTRY_REGIONS = new Set(['UK', 'EU', 'EZ', 'UN', 'QO', 'ZZ']);
+
+// Checks an hreflang value: x-default, or an ISO 639-1 language with an
+// optional ISO 15924 script and ISO 3166-1 region. Returns null when valid,
+// otherwise the reason it is not.
+function hreflangCodeError(value) {
+  const code = String(value || '').trim();
+  if (!code) return 'empty hreflang';
+  if (code.toLowerCase() === 'x-default') return null;
+  if (code.includes('_')) return `"${code}" uses an underscore instead of a hyphen`;
+  const match = /^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}))?$/i.exec(code);
+  if (!match) return `"${code}" is not a language[-script][-region] code`;
+  const [, language, script, region] = match;
+  if (!languageNames.of(language.toLowerCase())) return `unknown language "${language}"`;
+  if (script && !scriptNames.of(script[0].toUpperCase() + script.slice(1).toLowerCase())) return `unknown script "${script}"`;
+  if (region && (NON_COUNTRY_REGIONS.has(region.toUpperCase()) || !regionNames.of(region.toUpperCase()))) {
+    return `unknown region "${region}"`;
+  }
+  return null;
+}
+
+// Every <link rel="alternate" hreflang> on the page as { hreflang, href },
+// with href resolved against the page (null when it is not an http(s) URL).
+function extractHreflang($, baseUrl) {
+  const effectiveBase = documentBase($, baseUrl);
+  const alternates = [];
+  $('link[hreflang]').each((_, el) => {
+    const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+    if (!rel.includes('alternate')) return;
+    alternates.push({
+      hreflang: ($(el).attr('hreflang') || '').trim(),
+      href: resolveLink($(el).attr('href'), effectiveBase)
+    });
+  });
+  return alternates;
+}
+
+// Problems that can be seen from one URL's own alternates, without looking at
+// the pages they point to.
+function validateAlternates(url, alternates) {
+  const issues = [];
+  if (!alternates.length) return issues;
+  const byCode = new Map();
+  for (const alt of alternates) {
+    const codeError = hreflangCodeError(alt.hreflang);
+    if (codeError) {
+      issues.push({ code: 'hreflang-invalid-code', message: codeError, hreflang: alt.hreflang, target: alt.href });
+    }
+    if (!alt.href) {
+      issues.push({ code: 'hreflang-invalid-href', message: `hreflang "${alt.hreflang}" has no usable href`, hreflang: alt.hreflang, target: null });
+      continue;
+    }
+    const key = alt.hreflang.toLowerCase();
+    if (byCode.has(key) && byCode.get(key) !== alt.href) {
+      issues.push({ code: 'hreflang-duplicate-code', message: `hreflang "${alt.hreflang}" points to more than one URL`, hreflang: alt.hreflang, target: alt.href });
+    } else {
+      byCode.set(key, alt.href);
+    }
+  }
+  if (!alternates.some(alt => sameUrl(alt.href, url))) {
+    issues.push({ code: 'hreflang-missing-self', message: 'hreflang set does not reference the page itself', hreflang: null, target: null });
+  }
+  if (!byCode.has('x-default')) {
+    issues.push({ code: 'hreflang-missing-x-default', message: 'hreflang set has no x-default', hreflang: null, target: null });
+  }
+  return issues;
+}
+
+// Collects hreflang alternates from pages and sitemaps over a whole job, then
+// checks return links and alternate targets once every page has been seen.
+// Targets the job did not check itself are fetched by finalize().
+function createHreflangChecker(options = {}) {
+  const limit = createLimiter(Math.max(1, Number(options.hreflangConcurrency) || DEFAULT_HREFLANG_CONCURRENCY));
+  const pages = new Map();
+
+  // Pages are keyed by their normalised URL, so a page recorded as
+  // "http://host" matches alternates that point to "http://host/".
+  function entry(rawUrl) {
+    const url = normalizeUrl(rawUrl);
+    let page = pages.get(url);
+    if (!page) {
+      page = { url, status: null, error: null, fetched: false, html: [], sitemap: [] };
+      pages.set(url, page);
+    }
+    return page;
+  }
+
+  function recordPage(url, status, alternates) {
+    const page = entry(url);
+    page.status = status;
+    page.fetched = true;
+    page.html = alternates;
+  }
+
+  // alternates is { [url]: [{ hreflang, href }] } as read from sitemap xhtml:link entries.
+  function addSitemapAlternates(alternates) {
+    for (const [url, list] of Object.entries(alternates || {})) {
+      const page = entry(url);
+      for (const alt of list) {
+        const href = normalizeUrl(alt.href);
+        if (!page.sitemap.some(known => known.hreflang === alt.hreflang && known.href === href)) page.sitemap.push({ ...alt, href });
+      }
+    }
+  }
+
+  function declared(page) {
+    const all = page.html.slice();
+    for (const alt of page.sitemap) {
+      if (!all.some(known => known.hreflang === alt.hreflang && known.href === alt.href)) all.push(alt);
+    }
+    return all;
+  }
+
+  async function probe(url) {
+    const page = entry(url);
+    try {
+      const res = await politeFetch(url, { ...options, redirect: 'manual' });
+      page.status = res.status;
+      const contentType = res.headers.get('content-type') || '';
+      if (res.status === 200 && contentType.includes('text/html')) {
+        page.html = extractHreflang(cheerio.load(await res.text()), url);
+      } else if (res.body && typeof res.body.cancel === 'function') {
+        res.body.cancel().catch(() => {});
+      }
+    } catch (err) {
+      page.error = errorMessage(err);
+    }
+    page.fetched = true;
+  }
+
+  // Fetches every alternate target that was not checked as part of the job.
+  async function finalize() {
+    const missing = new Set();
+    for (const page of pages.values()) {
+      for (const alt of declared(page)) {
+        if (alt.href && !(pages.has(alt.href) && pages.get(alt.href).fetched)) missing.add(alt.href);
+      }
+    }
+    await Promise.all([...missing].map(url => limit(() => probe(url))));
+  }
+
+  function report() {
+    const parent = new Map();
+    function find(url) {
+      if (!parent.has(url)) parent.set(url, url);
+      let root = url;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(url, root);
+      return root;
+    }
+    function union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent.set(ra < rb ? rb : ra, ra < rb ? ra : rb);
+    }
+
+    const declaring = [...pages.values()].filter(page => declared(page).length);
+    for (const page of declaring) {
+      find(page.url);
+      for (const alt of declared(page)) if (alt.href) union(page.url, alt.href);
+    }
+
+    const rows = new Map();
+    for (const url of parent.keys()) {
+      const page = pages.get(url);
+      const alternates = page ? declared(page) : [];
+      const issues = validateAlternates(url, alternates);
+      for (const alt of alternates) {
+        if (!alt.href || sameUrl(alt.href, url)) continue;
+        const target = pages.get(alt.href);
+        if (!target || !target.fetched) continue;
+        if (target.status !== 200) {
+          const status = target.error || target.status;
+          issues.push({ code: 'hreflang-target-not-200', message: `alternate "${alt.hreflang}" returned ${status}`, hreflang: alt.hreflang, target: alt.href });
+        } else if (!declared(target).some(back => sameUrl(back.href, url))) {
+          issues.push({ code: 'hreflang-no-return-link', message: `alternate "${alt.hreflang}" does not link back`, hreflang: alt.hreflang, target: alt.href });
+        }
+      }
+      rows.set(url, {
+        url,
+        status: page ? page.status : null,
+        hreflang: alternates.map(alt => alt.hreflang),
+        sources: page ? [page.html.length && 'html', page.sitemap.length && 'sitemap'].filter(Boolean) : [],
+        issues
+      });
+    }
+
+    const groups = new Map();
+    for (const url of [...parent.keys()].sort()) {
+      const root = find(url);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(rows.get(url));
+    }
+    const clusters = [...groups.values()].map((clusterPages, i) => ({
+      id: i + 1,
+      urls: clusterPages.map(page => page.url),
+      hreflang: [...new Set(clusterPages.flatMap(page => page.hreflang))].sort(),
+      issueCount: clusterPages.reduce((sum, page) => sum + page.issues.length, 0),
+      pages: clusterPages
+    }));
+    return {
+      pages: declaring.length,
+      issueCount: clusters.reduce((sum, cluster) => sum + cluster.issueCount, 0),
+      clusters
+    };
+  }
+
+  return { recordPage, addSitemapAlternates, finalize, report };
+}
+
+const hreflangColumns = ['cluster', 'url', 'code', 'hreflang', 'target', 'message'];
+
+function hreflangRows(report) {
+  const rows = [];
+  for (const cluster of report.clusters) {
+    for (const page of cluster.pages) {
+      for (const issue of page.issues) {
+        rows.push({ cluster: cluster.id, url: page.url, ...issue });
+      }
+    }
+  }
+  return rows;
+}
+
+// Flattens alternates into one cell: "en=https://…;fr=https://…".
+function formatHreflang(alternates) {
+  return (alternates || []).map(alt => `${alt.hreflang}=${alt.href || ''}`).join(';');
+}
+
+module.exports = {
+  DEFAULT_HREFLANG_CONCURRENCY,
+  hreflangCodeError,
+  extractHreflang,
+  validateAlternates,
+  createHreflangChecker,
+  hreflangColumns,
+  hreflangRows,
+  formatHreflang
+};
@@ -0,0 +1,292 @@
+const { resultColumns, formatCell } = require('./audit');
+const { summaryCards } = require('./summary');
+const { DUPLICATE_FIELDS } = require('./duplicates');
+
+const DUPLICATE_LABELS = { title: 'Titles', metaDescription: 'Meta descriptions', h1: 'H1s' };
+const STATUS_KEYS = ['status2xx', 'status4xx', 'status5xx'];
+
+// The filter menu; each row is tagged with the filters it matches.
+const FILTERS = [
+  { tag: 'success', label: 'Only success', match: r => Boolean(r.ok && r.hasH1 && !r.error) },
+  { tag: 'fail', label: 'Only fail', match: r => !(r.ok && r.hasH1 && !r.error) },
+  { tag: 'missingH1', label: 'Missing H1', match: r => Boolean(r.missingH1 || r.hasH1 === false) },
+  { tag: 'multipleH1', label: 'Multiple H1s', match: r => Boolean(r.multipleH1) },
+  { tag: 'status4xx', label: '4xx', match: r => r.status >= 400 && r.status <= 499 },
+  { tag: 'status5xx', label: '5xx', match: r => r.status >= 500 && r.status <= 599 },
+  { tag: 'errors', label: 'Errors', match: r => Boolean(r.error) },
+  { tag: 'blocked', label: 'Blocked by robots.txt', match: r => r.robotsAllowed === false },
+  { tag: 'notIndexable', label: 'Not indexable', match: r => r.indexable === false },
+  { tag: 'issues', label: 'With issues', match: r => Array.isArray(r.issues) && r.issues.length > 0 }
+];
+
+const STYLES = `
+:root{--bg:#f6f2ed;--ink:#1f1d1a;--muted:#6a5f55;--panel:#fffdf9;--line:#e0d7cc;--accent:#0f6c77;--accent-2:#e46a3b;--accent-3:#f7c76b}
+*{box-sizing:border-box}
+body{font-family:"Space Grotesk","Segoe UI",sans-serif;background:linear-gradient(160deg,#f6f2ed,#efe9e1);color:var(--ink);margin:0;padding:24px}
+h1,h2{font-family:"Fraunces","Times New Roman",serif;margin:0 0 8px}
+h2{margin-top:28px}
+a{color:var(--accent)}
+.meta{color:var(--muted);margin:0 0 16px}
+.summary-grid,.status-grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(160px,1fr));gap:12px;margin-bottom:12px}
+.summary-card{position:relative;overflow:hidden;background:linear-gradient(180deg,#fffdf8,#f7f1e9);border:1px solid var(--line);border-radius:14px;padding:12px 14px;box-shadow:0 10px 22px rgba(25,20,17,0.08)}
+.summary-card::before{content:"";position:absolute;top:0;left:0;right:0;height:3px;background:linear-gradient(90deg,var(--accent),var(--accent-2));opacity:0.6}
+.summary-label{font-size:12px;text-transform:uppercase;letter-spacing:0.3px;color:var(--muted);margin-bottom:4px}
+.summary-value{font-family:"Fraunces","Times New Roman",serif;font-size:24px;font-weight:700}
+.serverstatus{font-size:50px}
+.status-pie-card{display:flex;flex-direction:column;gap:8px}
+.status-pie{width:120px;height:120px;border-radius:50%;box-shadow:inset 0 0 0 10px #fff;background:conic-gradient(var(--accent) 0 var(--p200),var(--accent-2) var(--p200) calc(var(--p200) + var(--p4xx)),#d2c5b8 calc(var(--p200) + var(--p4xx)) calc(var(--p200) + var(--p4xx) + var(--p5xx)),#f0e9df calc(var(--p200) + var(--p4xx) + var(--p5xx)) 360deg)}
+.status-legend{display:flex;gap:10px;flex-wrap:wrap;font-size:12px;color:var(--muted)}
+.status-legend span{display:flex;align-items:center;gap:6px}
+.dot{width:10px;height:10px;border-radius:50%;display:inline-block}
+.dot-200{background:var(--accent)}.dot-4xx{background:var(--accent-2)}.dot-5xx{background:#d2c5b8}
+.controls{display:flex;flex-wrap:wrap;gap:10px 14px;align-items:center;margin:16px 0 0}
+input,select{padding:6px 10px;border-radius:10px;border:1px solid var(--line);background:#fff;font:inherit}
+button{padding:9px 16px;border:1px solid var(--line);background:#fff;color:var(--ink);border-radius:999px;cursor:pointer;font:inherit;font-weight:600}
+.count{color:var(--muted);font-size:13px}
+table{width:100%;border-collapse:separate;border-spacing:0;margin-top:14px;border-radius:14px;border:1px solid var(--line);background:var(--panel)}
+th,td{padding:10px 12px;text-align:left;border-bottom:1px solid var(--line);font-size:14px;vertical-align:top}
+th{background:linear-gradient(180deg,#f7f1e9,#f0e9df);font-weight:600;letter-spacing:0.3px;text-transform:uppercase;font-size:12px;color:#52483e;cursor:pointer;user-select:none;position:sticky;top:0}
+th[aria-sort="ascending"]::after{content:" \\25B2"}
+th[aria-sort="descending"]::after{content:" \\25BC"}
+tbody tr:nth-child(even){background:#fcfaf7}
+tbody tr:hover{background:#fff4e6}
+td.url{word-break:break-all;max-width:420px}
+.badge{display:inline-block;margin:0 4px 4px 0;padding:2px 8px;border-radius:999px;font-size:12px;background:#f0e9df;color:#52483e;white-space:nowrap}
+.badge-h1,.badge-headings{background:#fde3d8;color:#8a3414}
+.badge-robots,.badge-indexability{background:#d6ecee;color:#0a4c52}
+.badge-redirects,.badge-canonical{background:#fdf0cf;color:#7a5a10}
+.badge-error{background:#8a3414;color:#fff}
+details{margin:4px 0}
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Only http(s) URLs become links, so a page cannot smuggle a javascript: URL
+// into the report.
+function linkHtml(url) {
+  let href = null;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') href = parsed.href;
+  } catch (err) {
+    href = null;
+  }
+  if (!href) return escapeHtml(url);
+  return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`;
+}
+
+// JSON that is safe inside a <script> element.
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function badgeClass(rule) {
+  return `badge-${String(rule || 'other').toLowerCase().replace(/[^a-z0-9-]/g, '')}`;
+}
+
+function issueBadges(r) {
+  const badges = (r.issues || []).map(issue => `<span class="badge ${badgeClass(issue.rule)}" title="${escapeHtml(issue.message || issue.rule || '')}">${escapeHtml(issue.code)}</span>`);
+  if (r.error) badges.unshift(`<span class="badge badge-error" title="${escapeHtml(r.error)}">error</span>`);
+  return badges.join('');
+}
+
+function formatIndexable(r) {
+  if (r.indexable === true) return 'yes';
+  if (r.indexable === false) return `no (${r.indexabilityReason || ''})`;
+  return '';
+}
+
+function formatRobots(allowed) {
+  if (allowed === true) return 'allowed';
+  if (allowed === false) return 'blocked';
+  return '';
+}
+
+// The table columns: a header, the cell HTML and, for numeric columns, the
+// value to sort by.
+const TABLE_COLUMNS = [
+  { label: 'URL', cell: r => linkHtml(r.url), className: 'url' },
+  { label: 'Status', cell: r => escapeHtml(r.status ?? ''), sort: r => r.status },
+  { label: 'OK', cell: r => escapeHtml(r.ok) },
+  { label: 'respMs', cell: r => escapeHtml(r.responseTimeMs ?? ''), sort: r => r.responseTimeMs },
+  { label: 'Redirects', cell: r => escapeHtml(r.redirectCount || ''), sort: r => r.redirectCount || 0 },
+  { label: 'Robots', cell: r => escapeHtml(formatRobots(r.robotsAllowed)) },
+  { label: 'Indexable', cell: r => escapeHtml(formatIndexable(r)) },
+  { label: 'h1Count', cell: r => escapeHtml(r.h1Count ?? ''), sort: r => r.h1Count },
+  { label: 'H1', cell: r => escapeHtml(r.h1 || '') },
+  { label: 'Title', cell: r => escapeHtml(r.title || '') },
+  { label: 'Issues', cell: issueBadges, sort: r => (r.issues || []).length + (r.error ? 1 : 0) },
+  { label: 'Error', cell: r => escapeHtml(r.error || '') }
+];
+
+function renderRow(r, index) {
+  const tags = FILTERS.filter(filter => filter.match(r)).map(filter => filter.tag).join(' ');
+  const cells = TABLE_COLUMNS.map((col) => {
+    const sortValue = col.sort ? col.sort(r) : null;
+    const sort = typeof sortValue === 'number' ? ` data-sort="${sortValue}"` : '';
+    const cls = col.className ? ` class="${col.className}"` : '';
+    return `<td${cls}${sort}>${col.cell(r)}</td>`;
+  }).join('');
+  return `\n      <tr data-index="${index}" data-tags="${tags}">${cells}</tr>`;
+}
+
+function renderCards(cards) {
+  return cards.map(card => `\n    <div class="summary-card"><div class="summary-label">${escapeHtml(card.label)}</div><div class="summary-value">${escapeHtml(card.value)}</div></div>`).join('');
+}
+
+function renderStatusSplit(cards, total) {
+  const byKey = Object.fromEntries(cards.map(card => [card.key, card.value]));
+  const deg = key => ((byKey[key] / (total || 1)) * 360).toFixed(2);
+  const pie = `--p200:${deg('status2xx')}deg;--p4xx:${deg('status4xx')}deg;--p5xx:${deg('status5xx')}deg`;
+  const counts = STATUS_KEYS.map(key => cards.find(card => card.key === key))
+    .map(card => `\n    <div class="summary-card"><div class="summary-label">${escapeHtml(card.label)}</div><div class="summary-value serverstatus">${escapeHtml(card.value)}</div></div>`)
+    .join('');
+  return `\n    <div class="summary-card status-pie-card"><div class="summary-label">Status split</div><div class="status-pie" style="${pie}"></div>`
+    + '<div class="status-legend"><span><i class="dot dot-200"></i>200</span><span><i class="dot dot-4xx"></i>4xx</span><span><i class="dot dot-5xx"></i>5xx</span></div></div>'
+    + counts;
+}
+
+function renderDuplicates(duplicates) {
+  const sections = DUPLICATE_FIELDS.map((field) => {
+    const groups = duplicates[field].map((group) => {
+      const urls = group.urls.map(url => `<li>${linkHtml(url)}</li>`).join('');
+      return `\n  <details><summary>${escapeHtml(group.value)} (${group.urls.length} URLs)</summary><ul>${urls}</ul></details>`;
+    }).join('');
+    return `\n  <h3>${DUPLICATE_LABELS[field]}</h3>${groups || '\n  <p>None found.</p>'}`;
+  }).join('');
+  return `\n  <h2>Duplicates</h2>\n  <p>${duplicates.groupCount} duplicate group(s) across ${duplicates.urlCount} of ${duplicates.pages} pages.</p>${sections}`;
+}
+
+// Runs in the report: sorting, filtering, search and the CSV downloads. It is
+// inlined with Function#toString, so it must not use anything from this module.
+function clientScript() {
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const tbody = document.querySelector('#results tbody');
+  const rows = Array.from(tbody.rows);
+  const filterEl = document.getElementById('filter');
+  const searchEl = document.getElementById('search');
+  const countEl = document.getElementById('count');
+
+  function apply() {
+    const tag = filterEl.value;
+    const query = searchEl.value.trim().toLowerCase();
+    let shown = 0;
+    for (const row of rows) {
+      const visible = (!tag || row.dataset.tags.split(' ').includes(tag)) && (!query || row.textContent.toLowerCase().includes(query));
+      row.hidden = !visible;
+      if (visible) shown += 1;
+    }
+    countEl.textContent = `Showing ${shown} of ${rows.length} URLs`;
+  }
+
+  document.querySelectorAll('#results th').forEach((th, col) => {
+    th.addEventListener('click', () => {
+      const dir = th.getAttribute('aria-sort') === 'ascending' ? -1 : 1;
+      document.querySelectorAll('#results th').forEach(other => other.removeAttribute('aria-sort'));
+      th.setAttribute('aria-sort', dir === 1 ? 'ascending' : 'descending');
+      const value = (row) => {
+        const cell = row.cells[col];
+        return cell.dataset.sort !== undefined ? Number(cell.dataset.sort) : cell.textContent.trim().toLowerCase();
+      };
+      rows.sort((a, b) => {
+        const x = value(a);
+        const y = value(b);
+        if (typeof x === 'number' && typeof y === 'number') return (x - y) * dir;
+        return String(x).localeCompare(String(y)) * dir;
+      });
+      rows.forEach(row => tbody.appendChild(row));
+    });
+  });
+
+  function csvEscape(value) {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function download(indexes, filename) {
+    const lines = [data.columns.join(',')].concat(indexes.map(i => data.rows[i].map(csvEscape).join(',')));
+    const url = URL.createObjectURL(new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8;' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  document.getElementById('downloadAll').addEventListener('click', () => download(data.rows.map((_, i) => i), 'h1-results-all.csv'));
+  document.getElementById('downloadFailed').addEventListener('click', () => download(data.failed, 'h1-results-failed.csv'));
+  document.getElementById('downloadView').addEventListener('click', () => download(rows.filter(row => !row.hidden).map(row => Number(row.dataset.index)), 'h1-results-view.csv'));
+  filterEl.addEventListener('change', apply);
+  searchEl.addEventListener('input', apply);
+  apply();
+}
+
+// A single-file HTML report with the summary cards and status split of the
+// web UI, a sortable and filterable results table, and the results embedded
+// as CSV downloads, so it can be sent on without a server. `links` are extra
+// { href, label } links, e.g. to CSV files written next to the report.
+function renderHtmlReport(results, { duplicates = null, durationMs = null, generatedAt = new Date(), links = [] } = {}) {
+  const rows = results.filter(Boolean);
+  const cards = summaryCards(rows, { durationMs, duplicates });
+  const columns = resultColumns();
+  const data = {
+    columns,
+    rows: rows.map(r => columns.map(key => formatCell(r, key))),
+    // the same pages as `--export failed`
+    failed: rows.map((r, i) => (r.error || !r.hasH1 ? i : -1)).filter(i => i >= 0)
+  };
+  const extraLinks = links.map(link => `<a href="${escapeHtml(link.href)}">${escapeHtml(link.label)}</a>`).join(' | ');
+  const options = FILTERS.map(filter => `<option value="${filter.tag}">${escapeHtml(filter.label)}</option>`).join('');
+  const headCells = TABLE_COLUMNS.map(col => `<th scope="col">${escapeHtml(col.label)}</th>`).join('');
+  const body = rows.length ? rows.map(renderRow).join('') : `\n      <tr><td colspan="${TABLE_COLUMNS.length}">No results.</td></tr>`;
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>H1 Checker Report</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>H1 Checker Report</h1>
+  <p class="meta">Generated ${escapeHtml(generatedAt.toISOString())} for ${rows.length} URLs.${extraLinks ? ` ${extraLinks}` : ''}</p>
+  <div class="summary-grid">${renderCards(cards.filter(card => !STATUS_KEYS.includes(card.key)))}
+  </div>
+  <div class="status-grid">${renderStatusSplit(cards, rows.length)}
+  </div>
+  <div class="controls">
+    <label>Show: <select id="filter"><option value="">All results</option>${options}</select></label>
+    <input id="search" type="search" placeholder="Search URLs, titles, issues" aria-label="Search results" />
+    <span id="count" class="count"></span>
+    <button id="downloadAll" type="button">Download all CSV</button>
+    <button id="downloadFailed" type="button">Download failed CSV</button>
+    <button id="downloadView" type="button">Download current view CSV</button>
+  </div>
+  <table id="results">
+    <thead><tr>${headCells}</tr></thead>
+    <tbody>${body}
+    </tbody>
+  </table>${duplicates ? renderDuplicates(duplicates) : ''}
+  <script type="application/json" id="report-data">${scriptJson(data)}</script>
+  <script>(${clientScript.toString()})();</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtmlReport
+};
@@ -0,0 +1,60 @@
+const { AbortController } = require('abort-controller');
+const { siteKey } = require('./links');
+
+const AbortControllerImpl = global.AbortController || AbortController;
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_USER_AGENT = 'h1-checker/1.0';
+
+// Custom headers, cookies and auth from a scan profile (`credentials`) are
+// only sent to the sites they were given for.
+function credentialHeaders(url, credentials) {
+  if (!credentials || !credentials.headers) return {};
+  return credentials.sites.includes(siteKey(url)) ? credentials.headers : {};
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    userAgent = DEFAULT_USER_AGENT,
+    method = 'GET',
+    redirect = 'follow',
+    headers = {},
+    body,
+    credentials = null
+  } = options;
+  const controller = new AbortControllerImpl();
+  let fetchPromise;
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      const err = new Error('timeout');
+      err.name = 'AbortError';
+      reject(err);
+    }, timeoutMs);
+  });
+  try {
+    fetchPromise = fetch(url, { method, body, signal: controller.signal, redirect, headers: { 'User-Agent': userAgent, ...headers, ...credentialHeaders(url, credentials) } });
+    const res = await Promise.race([fetchPromise, timeoutPromise]);
+    clearTimeout(timeoutId);
+    return res;
+  } catch (err) {
+    if (typeof fetchPromise?.catch === 'function') {
+      fetchPromise.catch(() => {});
+    }
+    clearTimeout(timeoutId);
+    throw err;
+  }
+}
+
+function errorMessage(err) {
+  return err && err.name === 'AbortError' ? 'timeout' : (err && err.message) || String(err);
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_USER_AGENT,
+  fetchWithTimeout,
+  errorMessage
+};
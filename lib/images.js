@@ -0,0 +1,190 @@
+const { errorMessage } = require('./http');
+const { politeFetch } = require('./politeness');
+const { createLimiter } = require('./link-checker');
+const { imageSize } = require('./image-size');
+const { resolveLink, documentBase } = require('./links');
+
+const DEFAULT_IMAGE_CONCURRENCY = 5;
+const DEFAULT_MAX_IMAGE_BYTES = 500 * 1024;
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+const LAZY_SRC_ATTRS = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy'];
+const LAZY_SRCSET_ATTRS = ['data-srcset', 'data-lazy-srcset'];
+
+// "a.jpg 1x, b.jpg 2x" -> ['a.jpg', 'b.jpg']. URLs may contain commas, so a
+// candidate only ends at a comma that follows whitespace or a descriptor.
+function parseSrcset(value) {
+  const urls = [];
+  const re = /\s*([^\s,][^\s]*?)(?:,?(?=\s|$)|,(?=\s))(\s+[^,]*)?(?:,|$)/g;
+  const text = String(value || '').trim();
+  let match;
+  while (text && (match = re.exec(text)) !== null) {
+    if (match[0] === '') break;
+    urls.push(match[1].replace(/,$/, ''));
+  }
+  return urls;
+}
+
+// Every <img> on the page with its resolved source (lazy-load attributes win
+// over a placeholder src), srcset candidates, alt and declared dimensions.
+// alt is null when the attribute is absent.
+function extractImages($, pageUrl) {
+  const base = documentBase($, pageUrl);
+  const images = [];
+  $('img').each((_, el) => {
+    const $el = $(el);
+    const lazy = LAZY_SRC_ATTRS.map(attr => $el.attr(attr)).find(value => value && value.trim());
+    const src = resolveLink(lazy || $el.attr('src'), base);
+    const srcset = [];
+    for (const attr of ['srcset', ...LAZY_SRCSET_ATTRS]) {
+      for (const candidate of parseSrcset($el.attr(attr))) {
+        const url = resolveLink(candidate, base);
+        if (url && url !== src && !srcset.includes(url)) srcset.push(url);
+      }
+    }
+    if (!src && !srcset.length) return;
+    const alt = $el.attr('alt');
+    images.push({
+      url: src || srcset[0],
+      srcset,
+      alt: alt === undefined ? null : alt.trim(),
+      width: $el.attr('width') || null,
+      height: $el.attr('height') || null
+    });
+  });
+  return images;
+}
+
+// Reads the body until the dimensions are known. The rest is only read (and
+// counted) when the server sent no Content-Length.
+async function readImage(res) {
+  const declared = Number(res.headers.get('content-length')) || null;
+  const chunks = [];
+  let received = 0;
+  let size = null;
+  const reader = res.body.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      received += value.length;
+      if (!size) {
+        chunks.push(Buffer.from(value));
+        size = imageSize(Buffer.concat(chunks));
+      }
+      if ((size && declared) || received >= MAX_IMAGE_BYTES) break;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return { bytes: declared || received, size };
+}
+
+// Fetches each image once per job. check(url) downloads enough of it to read
+// its pixel dimensions; head(url) only asks for the status and byte size.
+function createImageChecker(options = {}) {
+  const limit = createLimiter(Math.max(1, Number(options.imageConcurrency) || DEFAULT_IMAGE_CONCURRENCY));
+  const cache = new Map();
+  const headCache = new Map();
+
+  async function probe(url) {
+    const image = { url, status: null, contentType: null, bytes: null, width: null, height: null, error: null };
+    try {
+      const res = await politeFetch(url, options);
+      image.status = res.status;
+      image.contentType = (res.headers.get('content-type') || '').split(';')[0].trim() || null;
+      if (!res.ok || !res.body) {
+        if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+        return image;
+      }
+      const { bytes, size } = await readImage(res);
+      image.bytes = bytes;
+      if (size) {
+        image.width = size.width;
+        image.height = size.height;
+      }
+    } catch (err) {
+      image.error = errorMessage(err);
+    }
+    return image;
+  }
+
+  async function probeHead(url) {
+    const image = { url, status: null, contentType: null, bytes: null, error: null };
+    try {
+      let res = await politeFetch(url, { ...options, method: 'HEAD' });
+      // same fallback as the link checker for servers that refuse HEAD
+      if (res.status === 403 || res.status === 405 || res.status === 501) res = await politeFetch(url, options);
+      if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+      image.status = res.status;
+      image.contentType = (res.headers.get('content-type') || '').split(';')[0].trim() || null;
+      image.bytes = Number(res.headers.get('content-length')) || null;
+    } catch (err) {
+      image.error = errorMessage(err);
+    }
+    return image;
+  }
+
+  function check(url) {
+    if (!cache.has(url)) cache.set(url, limit(() => probe(url)));
+    return cache.get(url);
+  }
+
+  function head(url) {
+    if (!headCache.has(url)) headCache.set(url, limit(() => probeHead(url)));
+    return headCache.get(url);
+  }
+
+  return { check, head };
+}
+
+function isBrokenImage(image) {
+  return Boolean(image.error || image.status >= 400);
+}
+
+// Problem images on a page as "url (missing-alt,oversized)" entries.
+function formatImages(images) {
+  return (images || []).filter(image => image.issues.length).map(image => `${image.url} (${image.issues.join(',')})`).join(';');
+}
+
+// One row per image with issues on each page, plus job-wide counts. Image
+// URLs are counted once however many pages use them.
+function summarizeImages(results) {
+  const urls = new Set();
+  const problemUrls = new Set();
+  const rows = [];
+  let pages = 0;
+  for (const result of results) {
+    if (!result || result.error || !Array.isArray(result.images)) continue;
+    pages += 1;
+    for (const image of result.images) {
+      urls.add(image.url);
+      if (!image.issues.length) continue;
+      problemUrls.add(image.url);
+      rows.push({
+        page: result.url,
+        image: image.url,
+        alt: image.alt,
+        width: image.width,
+        height: image.height,
+        status: image.status,
+        bytes: image.bytes,
+        issues: image.issues.join(';')
+      });
+    }
+  }
+  return { pages, imageCount: urls.size, problemImageCount: problemUrls.size, rows };
+}
+
+const imageColumns = ['page', 'image', 'alt', 'width', 'height', 'status', 'bytes', 'issues'];
+
+module.exports = {
+  DEFAULT_IMAGE_CONCURRENCY,
+  DEFAULT_MAX_IMAGE_BYTES,
+  parseSrcset,
+  extractImages,
+  createImageChecker,
+  isBrokenImage,
+  formatImages,
+  summarizeImages,
+  imageColumns
+};
@@ -0,0 +1,34 @@
+// Why a checked URL cannot be indexed, in order of precedence: 'blocked' by
+// robots.txt, 'non-200' (error, redirect or error status), 'noindex' from meta
+// robots or X-Robots-Tag, or 'canonicalised' to another URL. null when indexable.
+function indexabilityReason(result) {
+  if (result.robotsAllowed === false) return 'blocked';
+  if (result.status !== 200 || result.redirectCount > 0) return 'non-200';
+  if (result.noindex) return 'noindex';
+  if (result.canonicalStatus === 'canonicalised' || result.canonicalStatus === 'cross-domain') return 'canonicalised';
+  return null;
+}
+
+const REASON_MESSAGES = {
+  blocked: 'it is blocked by robots.txt',
+  'non-200': 'it does not return 200',
+  noindex: 'it is noindex',
+  canonicalised: 'it is canonicalised elsewhere'
+};
+
+// Sets `indexable` and `indexabilityReason` on a finished result and reports
+// sitemap URLs that cannot be indexed as sitemap conflicts.
+function applyIndexability(result, options = {}) {
+  const reason = indexabilityReason(result);
+  result.indexable = reason === null;
+  result.indexabilityReason = reason;
+  if (reason && options.source === 'sitemap') {
+    result.issues.push({ rule: 'indexability', code: 'sitemap-conflict', message: `sitemap lists a URL that cannot be indexed: ${REASON_MESSAGES[reason]}` });
+  }
+  return result;
+}
+
+module.exports = {
+  indexabilityReason,
+  applyIndexability
+};
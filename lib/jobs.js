@@ -0,0 +1,212 @@
+const { randomUUID } = require('crypto');
+const { sendSse } = require('./sse');
+
+const TERMINAL_EVENTS = new Set(['done', 'failed']);
+
+// Live jobs are kept in memory for jobTtlMs after they finish; the store keeps
+// every job, its event log and its results until the retention window passes.
+function createJobManager({ store, jobTtlMs }) {
+  const jobs = new Map();
+  const finishHooks = [];
+  const eventHooks = [];
+
+  // fn(job, event, payload) runs before the terminal event is recorded, so
+  // job-level reports are stored by the time clients see `done`.
+  function onFinish(fn) {
+    finishHooks.push(fn);
+  }
+
+  // fn(job, event, payload) runs after every event has been recorded and sent
+  // to the connected clients.
+  function onEvent(fn) {
+    eventHooks.push(fn);
+  }
+
+  function track(job) {
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  function createJob(urls, { kind = 'check', site = null, params = {} } = {}) {
+    const job = track({
+      id: randomUUID(),
+      kind,
+      site,
+      params,
+      total: urls.length,
+      processed: 0,
+      clients: new Set(),
+      watchers: new Set(),
+      done: false,
+      cancelled: false,
+      linkChecker: null,
+      hreflangChecker: null,
+      cleanupTimer: null
+    });
+    store.createJob({ id: job.id, kind, site, total: job.total, params, urls: kind === 'check' ? urls : null });
+    return job;
+  }
+
+  // Rebuilds the in-memory side of an unfinished stored job so it can resume.
+  function restoreJob(record) {
+    return track({
+      id: record.id,
+      kind: record.kind,
+      site: record.site,
+      params: record.params,
+      total: record.total,
+      processed: record.processed,
+      clients: new Set(),
+      watchers: new Set(),
+      done: false,
+      cancelled: false,
+      linkChecker: null,
+      hreflangChecker: null,
+      cleanupTimer: null
+    });
+  }
+
+  function getLiveJob(id) {
+    return jobs.get(id) || null;
+  }
+
+  function getJob(id) {
+    const live = jobs.get(id);
+    const record = store.getJob(id);
+    if (!record) return null;
+    if (live) return { ...record, total: live.total, processed: live.processed };
+    return record;
+  }
+
+  function cleanupJob(job) {
+    if (job.cleanupTimer) clearTimeout(job.cleanupTimer);
+    job.cleanupTimer = setTimeout(() => {
+      jobs.delete(job.id);
+    }, jobTtlMs);
+    if (job.cleanupTimer.unref) job.cleanupTimer.unref();
+  }
+
+  function pushJobEvent(job, event, payload) {
+    const seq = store.appendEvent(job.id, event, payload);
+    if (event === 'done' || event === 'failed') {
+      const cancelled = event === 'failed' && payload.error === 'cancelled';
+      store.finishJob(job.id, {
+        status: event === 'done' ? 'done' : cancelled ? 'cancelled' : 'failed',
+        error: event === 'failed' ? payload.error : null,
+        total: job.total,
+        processed: job.processed
+      });
+    }
+    for (const res of job.clients) {
+      sendSse(res, event, payload, seq);
+      if (TERMINAL_EVENTS.has(event)) {
+        res.end();
+      }
+    }
+    for (const fn of job.watchers) {
+      try {
+        fn(event, payload);
+      } catch (err) {
+        console.error(`job watcher failed for job ${job.id}: ${err.message}`);
+      }
+    }
+    if (TERMINAL_EVENTS.has(event)) {
+      job.clients.clear();
+      job.watchers.clear();
+    }
+    for (const hook of eventHooks) {
+      try {
+        hook(job, event, payload);
+      } catch (err) {
+        console.error(`event hook failed for job ${job.id}: ${err.message}`);
+      }
+    }
+  }
+
+  function recordResult(job, index, result) {
+    job.processed += 1;
+    store.saveResult(job.id, index, result, { total: job.total, processed: job.processed });
+    pushJobEvent(job, 'progress', { index, result, processed: job.processed, total: job.total });
+  }
+
+  function finishJob(job, event, payload) {
+    if (job.done) return;
+    job.done = true;
+    for (const hook of finishHooks) {
+      try {
+        hook(job, event, payload);
+      } catch (err) {
+        console.error(`finish hook failed for job ${job.id}: ${err.message}`);
+      }
+    }
+    pushJobEvent(job, event, payload);
+    cleanupJob(job);
+  }
+
+  function settleJob(job, promise) {
+    return promise.then(() => {
+      if (job.cancelled) {
+        finishJob(job, 'failed', { error: 'cancelled' });
+      } else {
+        finishJob(job, 'done', { processed: job.processed, total: job.total });
+      }
+    }).catch((err) => {
+      finishJob(job, 'failed', { error: err.message });
+    });
+  }
+
+  function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+    job.cancelled = true;
+    finishJob(job, 'failed', { error: 'cancelled' });
+    return true;
+  }
+
+  // Replays stored events after `afterSeq` and, for running jobs, subscribes
+  // the response to live events. Returns false when the stream is complete.
+  function attachClient(id, res, afterSeq = 0) {
+    for (const evt of store.listEvents(id, afterSeq)) {
+      sendSse(res, evt.event, evt.payload, evt.seq);
+    }
+    const job = jobs.get(id);
+    if (!job || job.done) return false;
+    job.clients.add(res);
+    return true;
+  }
+
+  // fn(event, payload) gets every later event of a job running in this
+  // process, up to its terminal event. Returns a function that stops
+  // watching, or null when the job is not running here.
+  function watchJob(id, fn) {
+    const job = jobs.get(id);
+    if (!job || job.done) return null;
+    job.watchers.add(fn);
+    return () => job.watchers.delete(fn);
+  }
+
+  function detachClient(id, res) {
+    const job = jobs.get(id);
+    if (job) job.clients.delete(res);
+  }
+
+  return {
+    onFinish,
+    onEvent,
+    createJob,
+    restoreJob,
+    getLiveJob,
+    getJob,
+    pushJobEvent,
+    recordResult,
+    settleJob,
+    cancelJob,
+    attachClient,
+    detachClient,
+    watchJob
+  };
+}
+
+module.exports = {
+  createJobManager
+};
@@ -0,0 +1,126 @@
+const { errorMessage } = require('./http');
+const { politeFetch } = require('./politeness');
+const { isSameSite } = require('./links');
+
+const DEFAULT_LINK_CONCURRENCY = 10;
+
+function createLimiter(max) {
+  let active = 0;
+  const pending = [];
+  function next() {
+    if (active >= max || !pending.length) return;
+    active += 1;
+    const { fn, resolve, reject } = pending.shift();
+    fn().then(resolve, reject).finally(() => {
+      active -= 1;
+      next();
+    });
+  }
+  return fn => new Promise((resolve, reject) => {
+    pending.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+function isBroken(check) {
+  return Boolean(check && (check.error || check.status >= 400));
+}
+
+// Checks every unique link/resource target once per job and remembers which
+// pages reference it, so broken targets can be reported with their sources.
+function createLinkChecker(options = {}) {
+  const limit = createLimiter(Math.max(1, Number(options.linkConcurrency) || DEFAULT_LINK_CONCURRENCY));
+  const cache = new Map();
+  const targets = new Map();
+
+  async function probe(url) {
+    try {
+      let res = await politeFetch(url, { ...options, method: 'HEAD' });
+      // plenty of servers refuse HEAD, so retry those with GET before calling the link broken
+      if (res.status === 403 || res.status === 405 || res.status === 501) {
+        res = await politeFetch(url, options);
+      }
+      if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+      return { status: res.status, error: null };
+    } catch (err) {
+      return { status: null, error: errorMessage(err) };
+    }
+  }
+
+  function check(url) {
+    if (!cache.has(url)) cache.set(url, limit(() => probe(url)));
+    return cache.get(url);
+  }
+
+  function record(pageUrl, link) {
+    let target = targets.get(link.url);
+    if (!target) {
+      target = { url: link.url, type: link.type, internal: isSameSite(link.url, pageUrl), status: null, error: null, sources: [] };
+      targets.set(link.url, target);
+    }
+    if (!target.sources.some(src => src.page === pageUrl && src.text === link.text)) {
+      target.sources.push({ page: pageUrl, text: link.text });
+    }
+    return target;
+  }
+
+  // Resolves with the broken targets among the page's links.
+  async function checkPage(pageUrl, links) {
+    const unique = new Map();
+    for (const link of links) {
+      record(pageUrl, link);
+      if (!unique.has(link.url)) unique.set(link.url, link);
+    }
+    const broken = [];
+    await Promise.all([...unique.keys()].map(async (url) => {
+      const result = await check(url);
+      const target = targets.get(url);
+      target.status = result.status;
+      target.error = result.error;
+      if (isBroken(result)) broken.push(target);
+    }));
+    return broken;
+  }
+
+  function report() {
+    const internal = [];
+    const external = [];
+    for (const target of targets.values()) {
+      if (!isBroken(target)) continue;
+      (target.internal ? internal : external).push(target);
+    }
+    return { checked: targets.size, internal, external };
+  }
+
+  return { check, checkPage, report };
+}
+
+const brokenLinkColumns = ['scope', 'url', 'type', 'status', 'error', 'sourcePage', 'anchorText'];
+
+function brokenLinkRows(report) {
+  const rows = [];
+  for (const scope of ['internal', 'external']) {
+    for (const target of report[scope]) {
+      for (const source of target.sources) {
+        rows.push({
+          scope,
+          url: target.url,
+          type: target.type,
+          status: target.status,
+          error: target.error,
+          sourcePage: source.page,
+          anchorText: source.text
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  DEFAULT_LINK_CONCURRENCY,
+  createLimiter,
+  createLinkChecker,
+  brokenLinkColumns,
+  brokenLinkRows
+};
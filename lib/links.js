@@ -0,0 +1,134 @@
+const SKIP_EXTENSIONS = /\.(?:jpe?g|png|gif|webp|avif|svg|ico|bmp|tiff?|pdf|zip|gz|tgz|rar|7z|mp3|mp4|m4a|mov|avi|webm|ogg|wav|woff2?|ttf|eot|otf|css|js|json|xml|txt|csv|xlsx?|docx?|pptx?)$/i;
+
+// Resolves an href against the page URL and strips the fragment. Returns null
+// for anything that is not an http(s) URL (mailto:, javascript:, tel:, ...).
+function resolveLink(href, baseUrl) {
+  if (!href) return null;
+  const trimmed = String(href).trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  let resolved;
+  try {
+    resolved = new URL(trimmed, baseUrl);
+  } catch (err) {
+    return null;
+  }
+  if (!/^https?:$/.test(resolved.protocol)) return null;
+  resolved.hash = '';
+  return resolved.toString();
+}
+
+// The URL as the WHATWG parser serialises it, so "http://Host" and
+// "http://host/" compare equal. Unparseable input comes back unchanged.
+function normalizeUrl(url) {
+  if (!url) return url;
+  try {
+    return new URL(url).href;
+  } catch (err) {
+    return url;
+  }
+}
+
+function sameUrl(a, b) {
+  return normalizeUrl(a) === normalizeUrl(b);
+}
+
+function isLikelyPage(url) {
+  try {
+    return !SKIP_EXTENSIONS.test(new URL(url).pathname);
+  } catch (err) {
+    return false;
+  }
+}
+
+function documentBase($, baseUrl) {
+  const base = $('base[href]').attr('href');
+  return base ? resolveLink(base, baseUrl) || baseUrl : baseUrl;
+}
+
+function extractAnchors($, baseUrl) {
+  const effectiveBase = documentBase($, baseUrl);
+  const anchors = [];
+  $('a[href]').each((_, el) => {
+    const url = resolveLink($(el).attr('href'), effectiveBase);
+    if (!url) return;
+    anchors.push({
+      url,
+      text: $(el).text().replace(/\s+/g, ' ').trim(),
+      rel: ($(el).attr('rel') || '').toLowerCase()
+    });
+  });
+  return anchors;
+}
+
+const RESOURCE_SELECTORS = [
+  { type: 'image', selector: 'img[src]', attr: 'src' },
+  { type: 'script', selector: 'script[src]', attr: 'src' },
+  { type: 'stylesheet', selector: 'link[href]', attr: 'href', rel: 'stylesheet' }
+];
+
+// Every outgoing link and resource on the page: anchors (type 'link') plus
+// images, scripts and stylesheets. `text` is the anchor text or image alt.
+function extractLinks($, baseUrl) {
+  const effectiveBase = documentBase($, baseUrl);
+  const links = extractAnchors($, baseUrl).map(anchor => ({ url: anchor.url, type: 'link', text: anchor.text }));
+  for (const { type, selector, attr, rel } of RESOURCE_SELECTORS) {
+    $(selector).each((_, el) => {
+      if (rel && !($(el).attr('rel') || '').toLowerCase().split(/\s+/).includes(rel)) return;
+      const url = resolveLink($(el).attr(attr), effectiveBase);
+      if (!url) return;
+      links.push({ url, type, text: type === 'image' ? ($(el).attr('alt') || '').trim() : '' });
+    });
+  }
+  return links;
+}
+
+function hostKey(host) {
+  return String(host || '').toLowerCase().replace(/^www\./, '');
+}
+
+// Key used to group scans of one site: the host without a leading www.
+function siteKey(url) {
+  try {
+    return hostKey(new URL(url).hostname) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isSameSite(url, pageUrl) {
+  try {
+    return hostKey(new URL(url).hostname) === hostKey(new URL(pageUrl).hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// scope 'host' keeps the crawl on the start host (www and non-www count as
+// one host); 'subdomains' also allows any subdomain of it.
+function inScope(url, startUrl, scope = 'host') {
+  let target;
+  let start;
+  try {
+    target = new URL(url);
+    start = new URL(startUrl);
+  } catch (err) {
+    return false;
+  }
+  const targetHost = hostKey(target.hostname);
+  const startHost = hostKey(start.hostname);
+  if (targetHost === startHost) return true;
+  return scope === 'subdomains' && targetHost.endsWith('.' + startHost);
+}
+
+module.exports = {
+  resolveLink,
+  normalizeUrl,
+  sameUrl,
+  isLikelyPage,
+  documentBase,
+  extractAnchors,
+  extractLinks,
+  siteKey,
+  isSameSite,
+  inScope
+};
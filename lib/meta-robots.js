@@ -0,0 +1,52 @@
+const DEFAULT_SEARCH_BOT = 'googlebot';
+
+function addDirectives(directives, value) {
+  for (const part of String(value || '').split(',')) {
+    const directive = part.trim().toLowerCase();
+    if (directive) directives.add(directive);
+  }
+}
+
+// Splits an X-Robots-Tag value into { bot, value } entries. "googlebot:
+// noindex, nofollow" applies to one bot; values without a prefix (and
+// parameterised directives such as max-snippet: 20) apply to every bot.
+function parseRobotsHeader(header) {
+  const entries = [];
+  for (const chunk of String(header || '').split(/,(?=\s*[a-z-]+\s*:)/i)) {
+    const match = /^\s*([a-z-]+)\s*:(.*)$/i.exec(chunk);
+    if (match && !/^(unavailable_after|max-[a-z-]+)$/i.test(match[1])) {
+      entries.push({ bot: match[1].toLowerCase(), value: match[2] });
+    } else if (chunk.trim()) {
+      entries.push({ bot: null, value: chunk });
+    }
+  }
+  return entries;
+}
+
+// Reads the robots directives that apply to `bot`: <meta name="robots">, the
+// bot's own meta tag (<meta name="googlebot">) and X-Robots-Tag header values
+// that are unprefixed or prefixed with the bot's name.
+function robotsDirectives($, headers, bot = DEFAULT_SEARCH_BOT) {
+  const target = String(bot || DEFAULT_SEARCH_BOT).toLowerCase();
+  const directives = new Set();
+  $('meta[name]').each((_, el) => {
+    const name = ($(el).attr('name') || '').trim().toLowerCase();
+    if (name === 'robots' || name === target) addDirectives(directives, $(el).attr('content'));
+  });
+  const header = headers && typeof headers.get === 'function' ? headers.get('x-robots-tag') : null;
+  for (const entry of parseRobotsHeader(header)) {
+    if (!entry.bot || entry.bot === target) addDirectives(directives, entry.value);
+  }
+  return directives;
+}
+
+function isNoindex(directives) {
+  return directives.has('noindex') || directives.has('none');
+}
+
+module.exports = {
+  DEFAULT_SEARCH_BOT,
+  parseRobotsHeader,
+  robotsDirectives,
+  isNoindex
+};
@@ -0,0 +1,130 @@
+const { fetchWithTimeout } = require('./http');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (err) {
+    return '';
+  }
+}
+
+// Token bucket per host: `rate` requests per second with bursts of up to
+// `burst`. A rate of 0 leaves requests unthrottled, but pause() still holds
+// back a host that asked for it with Retry-After.
+function createHostLimiter(options = {}) {
+  const rate = Math.max(0, Number(options.hostRateLimit) || 0);
+  const burst = Math.max(1, Number(options.hostBurst) || Math.ceil(rate) || 1);
+  const buckets = new Map();
+
+  function bucketFor(host) {
+    if (!buckets.has(host)) buckets.set(host, { tokens: burst, last: Date.now(), pausedUntil: 0 });
+    return buckets.get(host);
+  }
+
+  // Takes a token right away, going into debt when the bucket is empty, and
+  // waits until the debt is paid off. Concurrent callers queue up in order.
+  async function acquire(url) {
+    const bucket = bucketFor(hostOf(url));
+    const now = Date.now();
+    let wait = Math.max(0, bucket.pausedUntil - now);
+    if (rate) {
+      bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.last) / 1000) * rate);
+      bucket.last = now;
+      bucket.tokens -= 1;
+      if (bucket.tokens < 0) wait = Math.max(wait, (-bucket.tokens / rate) * 1000);
+    }
+    if (wait > 0) await sleep(wait);
+  }
+
+  function pause(url, ms) {
+    const bucket = bucketFor(hostOf(url));
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  }
+
+  return { acquire, pause };
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Timeouts and network failures; errors such as a redirect limit are final.
+function isRetryableError(err) {
+  return Boolean(err && (err.name === 'AbortError' || err.name === 'TypeError'));
+}
+
+// Retry-After as seconds or an HTTP date, in ms. null when absent or invalid.
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffMs(attempt, options = {}) {
+  const base = Number(options.retryDelayMs);
+  return (Number.isFinite(base) && base >= 0 ? base : DEFAULT_RETRY_DELAY_MS) * 2 ** (attempt - 1);
+}
+
+// Runs attempt() (which resolves with an object holding `res`) up to
+// maxAttempts times. 429 and 5xx responses are retried after Retry-After,
+// which also pauses the host, or after an exponential backoff; so are
+// timeouts and network errors. The host is paused for Retry-After even after
+// the last attempt, so later requests to it back off. Resolves with
+// { value, attempts }, and a final error carries `attempts`.
+async function withRetries(url, attempt, options = {}) {
+  const maxAttempts = Math.max(1, Number(options.maxAttempts) || DEFAULT_MAX_ATTEMPTS);
+  for (let attempts = 1; ; attempts++) {
+    let value;
+    try {
+      value = await attempt();
+    } catch (err) {
+      if (attempts >= maxAttempts || !isRetryableError(err)) {
+        err.attempts = attempts;
+        throw err;
+      }
+      await sleep(backoffMs(attempts, options));
+      continue;
+    }
+    const res = value && value.res;
+    if (!res || !isRetryableStatus(res.status)) return { value, attempts };
+    const retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+    let wait = backoffMs(attempts, options);
+    if (retryAfter !== null) {
+      wait = Math.min(retryAfter, Number(options.maxRetryAfterMs) || MAX_RETRY_AFTER_MS);
+      if (options.hostLimiter) options.hostLimiter.pause(url, wait);
+    }
+    if (attempts >= maxAttempts) return { value, attempts };
+    if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+    await sleep(wait);
+  }
+}
+
+// fetchWithTimeout behind the job's host limiter and retries, for everything a
+// job fetches besides its pages: link, image, canonical and hreflang targets
+// and robots.txt.
+async function politeFetch(url, options = {}) {
+  const { value } = await withRetries(url, async () => {
+    if (options.hostLimiter) await options.hostLimiter.acquire(url);
+    return { res: await fetchWithTimeout(url, options) };
+  }, options);
+  return value.res;
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  createHostLimiter,
+  isRetryableStatus,
+  parseRetryAfter,
+  withRetries,
+  politeFetch
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const { siteKey } = require('./links');
+
+const USER_AGENT_PRESETS = {
+  'googlebot-desktop': 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/124.0.6367.118 Safari/537.36',
+  'googlebot-smartphone': 'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.6367.118 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+  bingbot: 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm) Chrome/116.0.1938.76 Safari/537.36'
+};
+
+// "${STAGING_PASSWORD}" is read from the environment, so secrets can stay
+// out of the profiles file.
+function expandEnv(value) {
+  if (typeof value === 'string') return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => process.env[name] || '');
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[key] = expandEnv(item);
+    return out;
+  }
+  return value;
+}
+
+// Reads the named profiles from a JSON file; a missing file means no profiles.
+function loadProfiles(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+  const data = JSON.parse(raw);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file} must hold an object of named profiles`);
+  const profiles = {};
+  for (const [name, profile] of Object.entries(data)) {
+    if (!profile || typeof profile !== 'object') throw new Error(`profile "${name}" must be an object`);
+    profiles[name] = expandEnv(profile);
+  }
+  return profiles;
+}
+
+function getProfile(profiles, name) {
+  if (!name) return null;
+  if (!Object.prototype.hasOwnProperty.call(profiles, name)) throw new Error(`unknown profile "${name}"`);
+  return profiles[name];
+}
+
+function cookieHeader(cookies) {
+  if (!cookies) return null;
+  if (typeof cookies === 'string') return cookies;
+  return Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ') || null;
+}
+
+// Request options for a profile. The user agent goes with every request;
+// custom headers, cookies and basic auth only go to the profile's `hosts`, or
+// to the sites of `urls` when it lists none, so link, image and hreflang
+// checks on other sites never see them.
+function profileOptions(profile, urls = []) {
+  if (!profile) return {};
+  const options = {};
+  if (profile.userAgent) options.userAgent = USER_AGENT_PRESETS[profile.userAgent] || profile.userAgent;
+  const scoped = { ...(profile.headers || {}) };
+  const cookie = cookieHeader(profile.cookies);
+  if (cookie) scoped.Cookie = cookie;
+  if (profile.auth && profile.auth.username) {
+    scoped.Authorization = `Basic ${Buffer.from(`${profile.auth.username}:${profile.auth.password || ''}`).toString('base64')}`;
+  }
+  if (Object.keys(scoped).length) {
+    const hosts = Array.isArray(profile.hosts) && profile.hosts.length ? profile.hosts.map(host => `http://${host}`) : urls;
+    options.credentials = { sites: [...new Set(hosts.map(siteKey).filter(Boolean))], headers: scoped };
+  }
+  return options;
+}
+
+// What the UI may show: names only, never header, cookie or password values.
+function describeProfiles(profiles) {
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    userAgent: !profile.userAgent ? null : USER_AGENT_PRESETS[profile.userAgent] ? profile.userAgent : 'custom',
+    headers: Object.keys(profile.headers || {}),
+    cookies: typeof profile.cookies === 'string'
+      ? profile.cookies.split(';').map(part => part.split('=')[0].trim()).filter(Boolean)
+      : Object.keys(profile.cookies || {}),
+    auth: Boolean(profile.auth && profile.auth.username),
+    hosts: Array.isArray(profile.hosts) ? profile.hosts : []
+  }));
+}
+
+module.exports = {
+  USER_AGENT_PRESETS,
+  loadProfiles,
+  getProfile,
+  profileOptions,
+  describeProfiles
+};
@@ -0,0 +1,90 @@
+const { fetchWithTimeout } = require('./http');
+
+const MAX_REDIRECTS = 10;
+const DEFAULT_MAX_HOPS = 3;
+
+function isRedirectStatus(status) {
+  return status >= 300 && status < 400 && status !== 304;
+}
+
+// Follows redirects by hand so every hop is recorded. Resolves with the final
+// response and the chain of { url, status, location } hops that led to it.
+async function fetchWithRedirects(url, options = {}) {
+  const chain = [];
+  const seen = new Set();
+  let current = url;
+  while (true) {
+    seen.add(current);
+    if (options.hostLimiter) await options.hostLimiter.acquire(current);
+    const res = await fetchWithTimeout(current, { ...options, redirect: 'manual' });
+    const location = res.headers.get('location');
+    if (!isRedirectStatus(res.status) || !location) {
+      return { res, chain, finalUrl: current, loop: false };
+    }
+    const next = new URL(location, current).toString();
+    chain.push({ url: current, status: res.status, location: next });
+    if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+    if (seen.has(next)) {
+      return { res, chain, finalUrl: next, loop: true };
+    }
+    if (chain.length >= MAX_REDIRECTS) {
+      throw new Error(`too many redirects (${chain.length})`);
+    }
+    current = next;
+  }
+}
+
+function stripWww(host) {
+  return host.replace(/^www\./i, '').toLowerCase();
+}
+
+function analyzeRedirects(chain, loop, options = {}) {
+  const maxHops = Number(options.maxRedirectHops) || DEFAULT_MAX_HOPS;
+  const flags = {
+    redirectCount: chain.length,
+    redirectLoop: Boolean(loop),
+    longRedirectChain: chain.length > maxHops,
+    temporaryRedirect: false,
+    httpsRedirect: false,
+    wwwRedirect: false
+  };
+  for (const hop of chain) {
+    if (hop.status === 302 || hop.status === 307) flags.temporaryRedirect = true;
+    let from;
+    let to;
+    try {
+      from = new URL(hop.url);
+      to = new URL(hop.location);
+    } catch (err) {
+      continue;
+    }
+    if (from.protocol === 'http:' && to.protocol === 'https:') flags.httpsRedirect = true;
+    if (from.hostname.toLowerCase() !== to.hostname.toLowerCase() && stripWww(from.hostname) === stripWww(to.hostname)) {
+      flags.wwwRedirect = true;
+    }
+  }
+
+  const issues = [];
+  if (flags.redirectLoop) issues.push({ code: 'redirect-loop', message: 'redirect chain loops back on itself' });
+  if (flags.longRedirectChain) issues.push({ code: 'long-redirect-chain', message: `${chain.length} redirect hops (max ${maxHops})` });
+  if (flags.temporaryRedirect) issues.push({ code: 'temporary-redirect', message: '302/307 used where a permanent redirect belongs' });
+  if (flags.httpsRedirect) issues.push({ code: 'http-to-https-redirect', message: 'URL redirects from http to https' });
+  if (flags.wwwRedirect) issues.push({ code: 'www-redirect', message: 'URL redirects between www and non-www' });
+  if (chain.length && options.source === 'sitemap') {
+    issues.push({ code: 'sitemap-url-redirects', message: 'sitemap URL redirects instead of returning 200' });
+  }
+  return { flags, issues };
+}
+
+function formatRedirectChain(chain) {
+  if (!Array.isArray(chain) || !chain.length) return '';
+  return chain.map(hop => `${hop.url} [${hop.status}]`).concat(chain[chain.length - 1].location).join(' -> ');
+}
+
+module.exports = {
+  MAX_REDIRECTS,
+  DEFAULT_MAX_HOPS,
+  fetchWithRedirects,
+  analyzeRedirects,
+  formatRedirectChain
+};
@@ -0,0 +1,169 @@
+const { DEFAULT_USER_AGENT } = require('./http');
+const { politeFetch } = require('./politeness');
+
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (key === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (key === 'allow' || key === 'disallow') {
+      // an empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ type: key, path: value });
+    } else if (key === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+  return { groups, sitemaps };
+}
+
+// Picks the group whose user-agent token is the longest match for the UA,
+// falling back to the `*` group.
+function findGroup(robots, userAgent) {
+  const ua = String(userAgent || '').toLowerCase();
+  let best = null;
+  let bestLength = 0;
+  let wildcard = null;
+  for (const group of robots.groups) {
+    for (const agent of group.agents) {
+      if (agent === '*') {
+        if (!wildcard) wildcard = group;
+      } else if (ua.includes(agent) && agent.length > bestLength) {
+        best = group;
+        bestLength = agent.length;
+      }
+    }
+  }
+  return best || wildcard;
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+function isAllowed(robots, url, userAgent) {
+  if (!robots) return true;
+  const group = findGroup(robots, userAgent);
+  if (!group) return true;
+  let target;
+  try {
+    const parsed = new URL(url);
+    target = parsed.pathname + parsed.search;
+  } catch (err) {
+    return true;
+  }
+  let match = null;
+  for (const rule of group.rules) {
+    if (!patternToRegExp(rule.path).test(target)) continue;
+    const length = rule.path.length;
+    if (!match || length > match.length || (length === match.length && rule.type === 'allow')) {
+      match = { type: rule.type, length };
+    }
+  }
+  return !match || match.type === 'allow';
+}
+
+function getCrawlDelayMs(robots, userAgent) {
+  if (!robots) return 0;
+  const group = findGroup(robots, userAgent);
+  return group && group.crawlDelay ? Math.round(group.crawlDelay * 1000) : 0;
+}
+
+function robotsUrlFor(url) {
+  return new URL('/robots.txt', url).toString();
+}
+
+// Resolves with { url, found, robots } where robots is null when robots.txt
+// could not be read. 4xx means "no restrictions"; 5xx and network errors
+// leave the verdict unknown.
+async function fetchRobots(siteUrl, options = {}) {
+  const url = robotsUrlFor(siteUrl);
+  try {
+    const res = await politeFetch(url, options);
+    if (res.ok) return { url, found: true, robots: parseRobotsTxt(await res.text()) };
+    if (res.status >= 400 && res.status < 500) return { url, found: false, robots: parseRobotsTxt('') };
+    return { url, found: false, robots: null, error: `robots.txt fetch failed: ${res.status}` };
+  } catch (err) {
+    return { url, found: false, robots: null, error: err.message };
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Per-job cache of robots.txt files keyed by origin, plus the Crawl-delay
+// bookkeeping for each origin.
+function createRobotsCache(options = {}) {
+  const entries = new Map();
+  const nextSlot = new Map();
+  const userAgent = options.userAgent || DEFAULT_USER_AGENT;
+
+  function load(url) {
+    const origin = new URL(url).origin;
+    if (!entries.has(origin)) entries.set(origin, fetchRobots(origin, options));
+    return entries.get(origin);
+  }
+
+  async function check(url) {
+    let entry;
+    try {
+      entry = await load(url);
+    } catch (err) {
+      return { allowed: null, crawlDelayMs: 0 };
+    }
+    if (!entry.robots) return { allowed: null, crawlDelayMs: 0 };
+    return {
+      allowed: isAllowed(entry.robots, url, userAgent),
+      crawlDelayMs: getCrawlDelayMs(entry.robots, userAgent)
+    };
+  }
+
+  async function waitForCrawlDelay(url) {
+    const { allowed, crawlDelayMs } = await check(url);
+    if (allowed === false || !crawlDelayMs) return;
+    const origin = new URL(url).origin;
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(origin) || 0);
+    nextSlot.set(origin, slot + crawlDelayMs);
+    if (slot > now) await sleep(slot - now);
+  }
+
+  return { load, check, waitForCrawlDelay };
+}
+
+module.exports = {
+  parseRobotsTxt,
+  isAllowed,
+  getCrawlDelayMs,
+  robotsUrlFor,
+  fetchRobots,
+  createRobotsCache
+};
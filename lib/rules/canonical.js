@@ -0,0 +1,40 @@
+const { extractCanonicals, classifyCanonical, canonicalTargetIssues } = require('../canonical');
+
+// The target is only fetched when the job carries a canonical checker
+// (on unless checkCanonical is false).
+module.exports = {
+  name: 'canonical',
+  fields: {
+    canonical: null,
+    canonicalCount: 0,
+    canonicalStatus: null,
+    canonicalTargetStatus: null
+  },
+  async check({ $, url, finalUrl, options }) {
+    const pageUrl = finalUrl || url;
+    const hrefs = extractCanonicals($, pageUrl);
+    const canonical = hrefs.find(Boolean) || null;
+    const fields = {
+      canonical,
+      canonicalCount: hrefs.length,
+      canonicalStatus: classifyCanonical(canonical, pageUrl)
+    };
+    const issues = [];
+    if (!hrefs.length) issues.push({ code: 'missing-canonical', message: 'page has no canonical link' });
+    else if (!canonical) issues.push({ code: 'invalid-canonical', message: 'canonical link has no usable href' });
+    if (hrefs.length > 1) {
+      const conflicting = new Set(hrefs).size > 1 ? ' pointing to different URLs' : '';
+      issues.push({ code: 'multiple-canonicals', message: `page has ${hrefs.length} canonical links${conflicting}` });
+    }
+    if (fields.canonicalStatus === 'cross-domain') issues.push({ code: 'cross-domain-canonical', message: `canonical points to another site: ${canonical}` });
+    if (options.source === 'sitemap' && (fields.canonicalStatus === 'canonicalised' || fields.canonicalStatus === 'cross-domain')) {
+      issues.push({ code: 'sitemap-url-canonicalised', message: 'sitemap lists a URL that is canonicalised elsewhere' });
+    }
+    if (canonical && fields.canonicalStatus !== 'self' && options.canonicalChecker) {
+      const target = await options.canonicalChecker.check(canonical);
+      fields.canonicalTargetStatus = target.status;
+      issues.push(...canonicalTargetIssues(target));
+    }
+    return { fields, issues };
+  }
+};
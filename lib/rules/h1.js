@@ -0,0 +1,30 @@
+module.exports = {
+  name: 'h1',
+  fields: {
+    hasH1: false,
+    h1Count: 0,
+    h1Length: 0,
+    multipleH1: false,
+    missingH1: true,
+    h1: null
+  },
+  check({ $ }) {
+    const h1s = $('h1');
+    const fields = {
+      h1Count: h1s.length,
+      multipleH1: h1s.length > 1,
+      missingH1: h1s.length === 0
+    };
+    if (h1s.length > 0) {
+      const h1Text = h1s.first().text().trim();
+      fields.hasH1 = true;
+      fields.h1 = h1Text;
+      fields.h1Length = h1Text.length;
+    }
+    const issues = [];
+    if (fields.missingH1) issues.push({ code: 'missing-h1', message: 'page has no <h1>' });
+    if (fields.multipleH1) issues.push({ code: 'multiple-h1', message: `page has ${fields.h1Count} <h1> tags` });
+    if (fields.hasH1 && !fields.h1) issues.push({ code: 'empty-h1', message: 'first <h1> is empty' });
+    return { fields, issues };
+  }
+};
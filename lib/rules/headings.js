@@ -0,0 +1,34 @@
+const { extractOutline, h1MatchesTitle } = require('../headings');
+
+const PAGE_ISSUES = {
+  'skipped-level': ['heading-skipped-level', 'heading(s) skip a level'],
+  empty: ['empty-heading', 'empty heading(s)'],
+  hidden: ['hidden-heading', 'heading(s) hidden with an inline style']
+};
+
+module.exports = {
+  name: 'headings',
+  fields: {
+    headings: [],
+    headingCount: 0
+  },
+  check({ $ }) {
+    const headings = extractOutline($);
+    const issues = [];
+    for (const [code, [issueCode, label]] of Object.entries(PAGE_ISSUES)) {
+      const affected = headings.filter(heading => heading.issues.includes(code));
+      if (!affected.length) continue;
+      const first = affected[0];
+      const at = code === 'skipped-level'
+        ? `H${headings[headings.indexOf(first) - 1].level} -> H${first.level}`
+        : `H${first.level}`;
+      issues.push({ code: issueCode, message: `${affected.length} ${label}, first: ${at}${first.text ? ` "${first.text}"` : ''}` });
+    }
+    const h1 = headings.find(heading => heading.level === 1);
+    const title = $('title').first().text();
+    if (h1 && h1.text && !h1MatchesTitle(h1.text, title)) {
+      issues.push({ code: 'h1-title-mismatch', message: `H1 "${h1.text}" does not match the title "${title.trim()}"` });
+    }
+    return { fields: { headings, headingCount: headings.length }, issues };
+  }
+};
@@ -0,0 +1,18 @@
+const { extractHreflang, validateAlternates } = require('../hreflang');
+
+// Page-level hreflang checks; return links and target status need the whole
+// job and are reported by the job's hreflang checker (checkHreflang option).
+module.exports = {
+  name: 'hreflang',
+  fields: {
+    hreflang: [],
+    hreflangCount: 0
+  },
+  check({ $, res, url, finalUrl, options }) {
+    const pageUrl = finalUrl || url;
+    const alternates = extractHreflang($, pageUrl);
+    if (options.hreflangChecker) options.hreflangChecker.recordPage(pageUrl, res.status, alternates);
+    const issues = validateAlternates(pageUrl, alternates).map(({ code, message }) => ({ code, message }));
+    return { fields: { hreflang: alternates, hreflangCount: alternates.length }, issues };
+  }
+};
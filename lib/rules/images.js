@@ -0,0 +1,58 @@
+const { extractImages, DEFAULT_MAX_IMAGE_BYTES } = require('../images');
+
+const PAGE_ISSUES = {
+  'missing-alt': ['image-missing-alt', 'image(s) without an alt attribute'],
+  'empty-alt': ['image-empty-alt', 'image(s) with an empty alt attribute'],
+  'missing-dimensions': ['image-missing-dimensions', 'image(s) without width and height'],
+  broken: ['broken-image', 'image(s) that do not return 200'],
+  oversized: ['oversized-image', 'image(s) over the size limit of']
+};
+
+// Markup checks run on every page. Sources (src and srcset candidates) are
+// only requested with checkImages, through the job's image checker so an
+// image shared across pages is fetched once.
+module.exports = {
+  name: 'images',
+  fields: {
+    images: [],
+    imageCount: 0,
+    imageIssueCount: 0
+  },
+  async check({ $, url, finalUrl, options }) {
+    const maxBytes = Number(options.maxImageBytes) || DEFAULT_MAX_IMAGE_BYTES;
+    const fetchImages = Boolean(options.checkImages && options.imageChecker);
+    const images = await Promise.all(extractImages($, finalUrl || url).map(async (image) => {
+      const issues = [];
+      if (image.alt === null) issues.push('missing-alt');
+      else if (image.alt === '') issues.push('empty-alt');
+      if (!image.width || !image.height) issues.push('missing-dimensions');
+      let status = null;
+      let bytes = null;
+      if (fetchImages) {
+        const heads = await Promise.all([image.url, ...image.srcset].map(src => options.imageChecker.head(src)));
+        status = heads[0].error ? null : heads[0].status;
+        bytes = heads[0].bytes;
+        if (heads.some(head => head.error || head.status !== 200)) issues.push('broken');
+        if (heads.some(head => head.bytes > maxBytes)) issues.push('oversized');
+      }
+      return { ...image, status, bytes, issues };
+    }));
+
+    const counts = {};
+    for (const image of images) {
+      for (const code of image.issues) counts[code] = (counts[code] || 0) + 1;
+    }
+    const issues = Object.entries(PAGE_ISSUES)
+      .filter(([code]) => counts[code])
+      .map(([code, [issueCode, label]]) => ({
+        code: issueCode,
+        message: `${counts[code]} ${label}${code === 'oversized' ? ` ${Math.round(maxBytes / 1024)} KB` : ''}`
+      }));
+    const fields = {
+      images,
+      imageCount: images.length,
+      imageIssueCount: images.filter(image => image.issues.length).length
+    };
+    return { fields, issues };
+  }
+};
@@ -0,0 +1,42 @@
+// Rule registry. A rule is { name, fields, check(ctx) } where `fields` holds
+// the defaults it contributes to every result and `check` returns
+// { fields, issues } for a parsed page. ctx is { $, res, url, finalUrl, options }.
+const rules = [];
+
+function registerRule(rule) {
+  if (!rule || !rule.name || typeof rule.check !== 'function') {
+    throw new Error('rule must have a name and a check function');
+  }
+  const existing = rules.findIndex(r => r.name === rule.name);
+  if (existing !== -1) rules.splice(existing, 1, rule);
+  else rules.push(rule);
+  return rule;
+}
+
+function getRules() {
+  return rules.slice();
+}
+
+function ruleFields() {
+  const fields = {};
+  for (const rule of rules) Object.assign(fields, rule.fields || {});
+  return fields;
+}
+
+registerRule(require('./h1'));
+registerRule(require('./title'));
+registerRule(require('./meta-description'));
+registerRule(require('./headings'));
+registerRule(require('./canonical'));
+registerRule(require('./indexability'));
+registerRule(require('./structured-data'));
+registerRule(require('./social'));
+registerRule(require('./images'));
+registerRule(require('./links'));
+registerRule(require('./hreflang'));
+
+module.exports = {
+  registerRule,
+  getRules,
+  ruleFields
+};
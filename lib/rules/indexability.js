@@ -0,0 +1,20 @@
+const { robotsDirectives, isNoindex } = require('../meta-robots');
+
+// Reads the directives; the indexable verdict itself is set by checkUrl once
+// every rule has run (see lib/indexability.js).
+module.exports = {
+  name: 'indexability',
+  fields: {
+    robotsDirectives: null,
+    noindex: false,
+    indexable: null,
+    indexabilityReason: null
+  },
+  check({ $, res, options }) {
+    const directives = robotsDirectives($, res.headers, options.searchBot);
+    const noindex = isNoindex(directives);
+    const issues = [];
+    if (noindex) issues.push({ code: 'noindex', message: 'page is noindex (meta robots or X-Robots-Tag)' });
+    return { fields: { robotsDirectives: [...directives].join(', ') || null, noindex }, issues };
+  }
+};
@@ -0,0 +1,21 @@
+const { extractLinks } = require('../links');
+
+// Only active when the job carries a link checker (checkLinks option).
+module.exports = {
+  name: 'links',
+  fields: {
+    linkCount: null,
+    brokenLinkCount: null
+  },
+  async check({ $, url, finalUrl, options }) {
+    if (!options.linkChecker) return null;
+    const pageUrl = finalUrl || url;
+    const links = extractLinks($, pageUrl);
+    const broken = await options.linkChecker.checkPage(pageUrl, links);
+    const issues = [];
+    const internal = broken.filter(target => target.internal).length;
+    if (internal) issues.push({ code: 'broken-internal-links', message: `${internal} broken internal link(s) or resource(s)` });
+    if (broken.length - internal) issues.push({ code: 'broken-external-links', message: `${broken.length - internal} broken external link(s) or resource(s)` });
+    return { fields: { linkCount: new Set(links.map(link => link.url)).size, brokenLinkCount: broken.length }, issues };
+  }
+};
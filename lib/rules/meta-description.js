@@ -0,0 +1,13 @@
+module.exports = {
+  name: 'metaDescription',
+  fields: {
+    metaDescription: null
+  },
+  check({ $ }) {
+    const metaDesc = $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content');
+    const value = metaDesc ? metaDesc.trim() : null;
+    const issues = [];
+    if (!value) issues.push({ code: 'missing-meta-description', message: 'page has no meta description' });
+    return { fields: { metaDescription: value || null }, issues };
+  }
+};
@@ -0,0 +1,92 @@
+const { resolveLink, documentBase, sameUrl } = require('../links');
+const { extractCanonicals } = require('../canonical');
+const { isBrokenImage } = require('../images');
+
+const TWITTER_CARDS = ['summary', 'summary_large_image', 'app', 'player'];
+// Platforms drop og:images under 200x200 and show anything under 600x315 as a small thumbnail.
+const MIN_IMAGE = { width: 200, height: 200 };
+const RECOMMENDED_IMAGE = { width: 600, height: 315 };
+
+function metaContent($, key) {
+  let value = null;
+  $('meta').each((_, el) => {
+    const name = ($(el).attr('property') || $(el).attr('name') || '').trim().toLowerCase();
+    if (name !== key) return;
+    const content = ($(el).attr('content') || '').trim();
+    if (content) {
+      value = content;
+      return false;
+    }
+  });
+  return value;
+}
+
+// og:image is fetched when the job carries an image checker (on unless
+// checkOgImage is false).
+module.exports = {
+  name: 'social',
+  fields: {
+    ogTitle: null,
+    ogDescription: null,
+    ogImage: null,
+    ogUrl: null,
+    ogType: null,
+    ogImageWidth: null,
+    ogImageHeight: null,
+    twitterCard: null,
+    twitterTitle: null,
+    twitterDescription: null,
+    twitterImage: null
+  },
+  async check({ $, url, finalUrl, options }) {
+    const pageUrl = finalUrl || url;
+    const base = documentBase($, pageUrl);
+    const resolve = value => (value ? resolveLink(value, base) || value : null);
+    const fields = {
+      ogTitle: metaContent($, 'og:title'),
+      ogDescription: metaContent($, 'og:description'),
+      ogImage: resolve(metaContent($, 'og:image') || metaContent($, 'og:image:url')),
+      ogUrl: resolve(metaContent($, 'og:url')),
+      ogType: metaContent($, 'og:type'),
+      twitterCard: metaContent($, 'twitter:card'),
+      twitterTitle: metaContent($, 'twitter:title'),
+      twitterDescription: metaContent($, 'twitter:description'),
+      twitterImage: resolve(metaContent($, 'twitter:image') || metaContent($, 'twitter:image:src'))
+    };
+
+    const issues = [];
+    for (const [field, tag] of [['ogTitle', 'og:title'], ['ogDescription', 'og:description'], ['ogImage', 'og:image'], ['ogUrl', 'og:url'], ['ogType', 'og:type']]) {
+      if (!fields[field]) issues.push({ code: `missing-${tag.replace(':', '-')}`, message: `page has no ${tag}` });
+    }
+    if (!fields.twitterCard) {
+      issues.push({ code: 'missing-twitter-card', message: 'page has no twitter:card' });
+    } else if (!TWITTER_CARDS.includes(fields.twitterCard.toLowerCase())) {
+      issues.push({ code: 'invalid-twitter-card', message: `unknown twitter:card "${fields.twitterCard}"` });
+    }
+
+    if (fields.ogUrl) {
+      const canonical = extractCanonicals($, pageUrl).find(Boolean) || pageUrl;
+      if (!sameUrl(fields.ogUrl, canonical)) {
+        issues.push({ code: 'og-url-mismatch', message: `og:url ${fields.ogUrl} does not match the canonical ${canonical}` });
+      }
+    }
+
+    if (fields.ogImage && options.imageChecker && options.checkOgImage !== false && /^https?:/i.test(fields.ogImage)) {
+      const image = await options.imageChecker.check(fields.ogImage);
+      fields.ogImageWidth = image.width;
+      fields.ogImageHeight = image.height;
+      if (isBrokenImage(image)) {
+        issues.push({ code: 'og-image-broken', message: `og:image ${image.error || `returned ${image.status}`}` });
+      } else if (image.contentType && !/^image\//i.test(image.contentType)) {
+        issues.push({ code: 'og-image-not-image', message: `og:image is served as ${image.contentType}` });
+      } else if (image.width && image.height) {
+        if (image.width < MIN_IMAGE.width || image.height < MIN_IMAGE.height) {
+          issues.push({ code: 'og-image-too-small', message: `og:image is ${image.width}x${image.height}, below ${MIN_IMAGE.width}x${MIN_IMAGE.height}` });
+        } else if (image.width < RECOMMENDED_IMAGE.width || image.height < RECOMMENDED_IMAGE.height) {
+          issues.push({ code: 'og-image-low-resolution', message: `og:image is ${image.width}x${image.height}, below the recommended ${RECOMMENDED_IMAGE.width}x${RECOMMENDED_IMAGE.height}` });
+        }
+      }
+    }
+    return { fields, issues };
+  }
+};
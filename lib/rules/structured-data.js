@@ -0,0 +1,25 @@
+const { extractStructuredData } = require('../structured-data');
+
+module.exports = {
+  name: 'structuredData',
+  fields: {
+    structuredData: [],
+    structuredDataErrors: 0
+  },
+  check({ $ }) {
+    const { items, syntaxErrors } = extractStructuredData($);
+    const issues = [];
+    for (const error of syntaxErrors) {
+      issues.push({ code: 'structured-data-syntax-error', message: `JSON-LD block ${error.block} does not parse: ${error.message}` });
+    }
+    const errors = items.flatMap(item => item.errors);
+    const warnings = items.flatMap(item => item.warnings);
+    if (errors.length) {
+      issues.push({ code: 'structured-data-missing-required', message: errors.map(e => e.message).join('; ') });
+    }
+    if (warnings.length) {
+      issues.push({ code: 'structured-data-missing-recommended', message: warnings.map(w => w.message).join('; ') });
+    }
+    return { fields: { structuredData: items, structuredDataErrors: syntaxErrors.length + errors.length }, issues };
+  }
+};
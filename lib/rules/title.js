@@ -0,0 +1,12 @@
+module.exports = {
+  name: 'title',
+  fields: {
+    title: null
+  },
+  check({ $ }) {
+    const titleText = $('title').first().text().trim();
+    const issues = [];
+    if (!titleText) issues.push({ code: 'missing-title', message: 'page has no <title>' });
+    return { fields: { title: titleText || null }, issues };
+  }
+};
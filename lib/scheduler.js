@@ -0,0 +1,106 @@
+const { parseCron, nextRun, nextRuns } = require('./cron');
+
+const SCHEDULE_MODES = ['sitemap', 'site'];
+const DEFAULT_TICK_MS = 30 * 1000;
+const UPCOMING_RUNS = 3;
+
+// Validates a schedule ({ name, url, mode, cron, profile, options }). `mode`
+// is "sitemap" for a sitemap URL or "site" to start from the sitemaps listed
+// in the site's robots.txt. Only the scan options a job body accepts are
+// kept. Throws on invalid input.
+function normalizeSchedule(input) {
+  if (!input || typeof input !== 'object') throw new Error('schedule must be an object');
+  let url;
+  try {
+    url = new URL(String(input.url || '').trim());
+  } catch (err) {
+    throw new Error('schedule url is invalid');
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new Error('schedule url must be http(s)');
+  const mode = input.mode || 'sitemap';
+  if (!SCHEDULE_MODES.includes(mode)) throw new Error(`schedule mode must be one of ${SCHEDULE_MODES.join(', ')}`);
+  const cron = String(input.cron || '').trim();
+  if (!nextRun(parseCron(cron))) throw new Error(`cron expression "${cron}" never fires`);
+  const raw = input.options || {};
+  const options = {};
+  for (const key of ['checkLinks', 'checkHreflang', 'checkImages']) {
+    if (raw[key]) options[key] = true;
+  }
+  for (const key of ['concurrency', 'maxImageKb']) {
+    if (Number(raw[key]) > 0) options[key] = Number(raw[key]);
+  }
+  return {
+    name: input.name ? String(input.name).trim() : null,
+    url: url.toString(),
+    mode,
+    cron,
+    profile: input.profile ? String(input.profile) : null,
+    options
+  };
+}
+
+// A schedule as the API shows it, with its next run times.
+function describeSchedule(schedule, now = Date.now()) {
+  return { ...schedule, upcoming: schedule.paused ? [] : nextRuns(schedule.cron, UPCOMING_RUNS, now) };
+}
+
+// Starts due schedules every tickMs. The next run is stored before a run
+// starts, so a schedule missed while the server was down runs once on start
+// rather than once per missed slot. runSchedule(schedule, runId) starts the
+// scan and records its job on the run; the finished job settles the run.
+function createScheduler({ store, runSchedule, tickMs = DEFAULT_TICK_MS, now = () => Date.now() }) {
+  let timer = null;
+
+  async function start(schedule) {
+    const runId = store.startScheduleRun(schedule.id);
+    try {
+      await runSchedule(schedule, runId);
+    } catch (err) {
+      store.finishScheduleRun(runId, { status: 'failed', error: err.message });
+    }
+    return runId;
+  }
+
+  // Starts every due schedule whose previous run has finished; an overlapping
+  // run is recorded as skipped.
+  function tick() {
+    const started = [];
+    for (const schedule of store.dueSchedules(now())) {
+      const next = nextRun(schedule.cron, now());
+      store.markScheduleRan(schedule.id, next ? next.getTime() : null);
+      if (store.hasRunningRun(schedule.id)) {
+        const runId = store.startScheduleRun(schedule.id);
+        store.finishScheduleRun(runId, { status: 'skipped', error: 'previous run still in progress' });
+        continue;
+      }
+      started.push(start(schedule));
+    }
+    return Promise.all(started);
+  }
+
+  function runNow(schedule) {
+    if (store.hasRunningRun(schedule.id)) throw new Error('previous run still in progress');
+    return start(schedule);
+  }
+
+  function startTimer() {
+    store.failInterruptedRuns();
+    tick();
+    timer = setInterval(tick, tickMs);
+    if (timer.unref) timer.unref();
+  }
+
+  function stopTimer() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { start: startTimer, stop: stopTimer, tick, runNow };
+}
+
+module.exports = {
+  SCHEDULE_MODES,
+  normalizeSchedule,
+  describeSchedule,
+  createScheduler
+};
@@ -0,0 +1,85 @@
+// Bundled schema.org ruleset for the common rich result types, after the
+// search engine structured data guidelines. `required` properties must be
+// present, `requiredOneOf` lists groups where at least one property must be
+// present, `recommended` ones only produce warnings. Subtypes share their
+// parent's rules through ALIASES.
+const SCHEMA_RULES = {
+  Product: {
+    required: ['name'],
+    requiredOneOf: [['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku', 'gtin', 'mpn']
+  },
+  Offer: {
+    requiredOneOf: [['price', 'priceSpecification']],
+    recommended: ['priceCurrency', 'availability', 'url']
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount']
+  },
+  AggregateRating: {
+    required: ['ratingValue'],
+    requiredOneOf: [['ratingCount', 'reviewCount']],
+    recommended: ['bestRating', 'worstRating']
+  },
+  Review: {
+    required: ['author', 'reviewRating'],
+    recommended: ['datePublished']
+  },
+  Article: {
+    recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author']
+  },
+  BreadcrumbList: {
+    required: ['itemListElement']
+  },
+  ListItem: {
+    required: ['position', 'name'],
+    recommended: ['item']
+  },
+  FAQPage: {
+    required: ['mainEntity']
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer']
+  },
+  Answer: {
+    required: ['text']
+  },
+  Organization: {
+    recommended: ['name', 'url', 'logo', 'sameAs']
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', 'geo', 'openingHoursSpecification']
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['endDate', 'description', 'image', 'offers', 'organizer']
+  },
+  Recipe: {
+    required: ['name', 'image'],
+    recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'totalTime']
+  },
+  VideoObject: {
+    required: ['name', 'thumbnailUrl', 'uploadDate'],
+    recommended: ['description', 'duration', 'contentUrl']
+  }
+};
+
+const ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  Corporation: 'Organization',
+  NewsMediaOrganization: 'Organization',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness'
+};
+
+function rulesFor(type) {
+  return SCHEMA_RULES[ALIASES[type] || type] || null;
+}
+
+module.exports = {
+  SCHEMA_RULES,
+  rulesFor
+};
@@ -0,0 +1,202 @@
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { fetchWithTimeout } = require('./http');
+const { resolveLink } = require('./links');
+const { fetchRobots } = require('./robots');
+
+const DEFAULT_MAX_DEPTH = 5;
+const MAX_SITEMAP_BYTES = 100 * 1024 * 1024;
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function collect($, selector, read) {
+  const out = [];
+  $(selector).each((_, el) => {
+    const value = (read ? read($(el)) : $(el).text() || '').trim();
+    if (value) out.push(value);
+  });
+  return out;
+}
+
+// hreflang alternates listed as <xhtml:link rel="alternate" hreflang> inside
+// <url> entries, keyed by the entry's <loc>.
+function collectAlternates($) {
+  const alternates = {};
+  $('urlset > url').each((_, el) => {
+    const loc = $(el).children('loc').first().text().trim();
+    if (!loc) return;
+    $(el).children().each((__, child) => {
+      const name = (child.tagName || '').toLowerCase();
+      if (name !== 'link' && !name.endsWith(':link')) return;
+      const rel = ($(child).attr('rel') || '').toLowerCase();
+      const hreflang = ($(child).attr('hreflang') || '').trim();
+      if (rel !== 'alternate' || !hreflang) return;
+      if (!alternates[loc]) alternates[loc] = [];
+      alternates[loc].push({ hreflang, href: resolveLink($(child).attr('href'), loc) });
+    });
+  });
+  return alternates;
+}
+
+function parseXml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const root = $.root().children().filter((_, el) => el.type === 'tag').first();
+  const rootName = (root.prop('tagName') || '').toLowerCase().replace(/^.*:/, '');
+  if (rootName === 'urlset') {
+    return { format: 'urlset', urlLocs: collect($, 'urlset > url > loc'), sitemapLocs: [], alternates: collectAlternates($) };
+  }
+  if (rootName === 'sitemapindex') {
+    return { format: 'sitemapindex', urlLocs: [], sitemapLocs: collect($, 'sitemapindex > sitemap > loc') };
+  }
+  if (rootName === 'rss') {
+    return { format: 'rss', urlLocs: collect($, 'channel > item > link'), sitemapLocs: [] };
+  }
+  if (rootName === 'rdf') {
+    return { format: 'rss', urlLocs: collect($, 'item > link'), sitemapLocs: [] };
+  }
+  if (rootName === 'feed') {
+    const links = collect($, 'entry > link', el => {
+      const rel = (el.attr('rel') || 'alternate').toLowerCase();
+      return rel === 'alternate' ? el.attr('href') || '' : '';
+    });
+    return { format: 'atom', urlLocs: links, sitemapLocs: [] };
+  }
+  return { format: 'unknown', urlLocs: [], sitemapLocs: [] };
+}
+
+function parseText(text) {
+  const urlLocs = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => /^https?:\/\/\S+$/i.test(line));
+  return { format: 'text', urlLocs, sitemapLocs: [] };
+}
+
+// Picks the parser from the content itself, falling back to the content type
+// and file extension: XML sitemaps and feeds start with markup, plain-text
+// sitemaps are one URL per line.
+function parseSitemap(content, { contentType = '', url = '' } = {}) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('<')) return parseXml(text);
+  let pathname = '';
+  try { pathname = new URL(url).pathname; } catch (e) { /* not a URL */ }
+  if (/text\/plain/i.test(contentType) || /\.txt(\.gz)?$/i.test(pathname) || /^https?:\/\//i.test(text)) {
+    return parseText(text);
+  }
+  return { format: 'unknown', urlLocs: [], sitemapLocs: [] };
+}
+
+async function fetchSitemap(url, options = {}) {
+  const res = await fetchWithTimeout(url, options);
+  if (!res.ok) throw new Error(`sitemap fetch failed: ${res.status}`);
+  let buffer = Buffer.from(await res.arrayBuffer());
+  // fetch already undoes Content-Encoding: gzip; this catches .gz files served as-is
+  const gzip = isGzip(buffer);
+  if (gzip) buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+  const contentType = res.headers.get('content-type') || '';
+  return { url, gzip, contentType, ...parseSitemap(buffer.toString('utf8'), { contentType, url }) };
+}
+
+// Walks sitemap indexes breadth-first from `roots`, de-duplicating sitemaps and
+// URLs. onSitemap(info) fires for every sitemap read, onUrls(urls, info,
+// alternates) with the new URLs it contributed and their hreflang alternates,
+// and onWarning(url, error) for unreadable ones.
+async function walkSitemaps(roots, options = {}, { onSitemap, onUrls, onWarning, shouldStop } = {}) {
+  const maxDepth = Math.max(1, Number(options.maxDepth) || DEFAULT_MAX_DEPTH);
+  const visited = new Set();
+  const seenUrls = new Set();
+  const queue = roots.map(url => ({ url, depth: 0 }));
+  let total = 0;
+  let lastError = null;
+
+  while (queue.length && !(shouldStop && shouldStop())) {
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    let info;
+    try {
+      info = await fetchSitemap(url, options);
+    } catch (err) {
+      lastError = err.message;
+      if (onWarning) await onWarning(url, err.message);
+      continue;
+    }
+    if (!info.urlLocs.length && !info.sitemapLocs.length) {
+      lastError = `no URLs found in ${url} (format: ${info.format})`;
+      if (onWarning) await onWarning(url, lastError);
+    }
+
+    if (depth < maxDepth) {
+      for (const loc of info.sitemapLocs) {
+        if (!visited.has(loc)) queue.push({ url: loc, depth: depth + 1 });
+      }
+    }
+
+    const newUrls = [];
+    const alternates = {};
+    for (const loc of info.urlLocs) {
+      if (!loc || seenUrls.has(loc)) continue;
+      seenUrls.add(loc);
+      newUrls.push(loc);
+      if (info.alternates && info.alternates[loc]) alternates[loc] = info.alternates[loc];
+    }
+    total += newUrls.length;
+    const summary = { url, depth, format: info.format, gzip: info.gzip, urls: newUrls.length, sitemaps: info.sitemapLocs.length };
+    if (onSitemap) await onSitemap(summary);
+    if (newUrls.length && onUrls) await onUrls(newUrls, summary, alternates);
+  }
+  return { total, lastError, sitemaps: visited.size };
+}
+
+// Where a walk starts: the sitemap itself or, for a site, the sitemaps its
+// robots.txt lists, falling back to /sitemap.xml.
+function sitemapRoots(url, { site = false, robots = null } = {}) {
+  if (!site) return [url];
+  const listed = robots ? robots.sitemaps : [];
+  return listed.length ? listed : [new URL('/sitemap.xml', url).toString()];
+}
+
+// Walks the sitemaps of `url` (a sitemap, or a site when options.site is set)
+// and collects their page URLs, deduplicated, with their hreflang alternates.
+// With options.maxUrls the walk stops once that many URLs are found.
+async function collectSitemapUrls(url, options = {}, { onWarning } = {}) {
+  const robotsInfo = options.site ? await fetchRobots(url, options) : null;
+  const roots = sitemapRoots(url, { site: options.site, robots: robotsInfo && robotsInfo.robots });
+  const maxUrls = Number(options.maxUrls) || Infinity;
+  const urls = [];
+  const alternates = {};
+  const walked = await walkSitemaps(roots, options, {
+    onWarning,
+    shouldStop: () => urls.length >= maxUrls,
+    onUrls: (batch, info, batchAlternates) => {
+      urls.push(...batch);
+      Object.assign(alternates, batchAlternates);
+    }
+  });
+  if (urls.length > maxUrls) urls.length = maxUrls;
+  return { urls, alternates, roots, sitemaps: walked.sitemaps, lastError: walked.lastError };
+}
+
+// `count` URLs picked at random, kept in their original order.
+function sampleUrls(urls, count, random = Math.random) {
+  if (!(count > 0) || count >= urls.length) return urls.slice();
+  const indexes = urls.map((_, i) => i);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (indexes.length - i));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  return indexes.slice(0, count).sort((a, b) => a - b).map(i => urls[i]);
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  parseSitemap,
+  fetchSitemap,
+  walkSitemaps,
+  sitemapRoots,
+  collectSitemapUrls,
+  sampleUrls
+};
@@ -0,0 +1,21 @@
+function initSse(res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+  res.write(`:${' '.repeat(2048)}\n\n`);
+  if (res.flush) res.flush();
+}
+
+function sendSse(res, event, payload, id) {
+  if (id !== undefined && id !== null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  if (res.flush) res.flush();
+}
+
+module.exports = {
+  initSse,
+  sendSse
+};
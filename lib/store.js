@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    site TEXT,
+    status TEXT NOT NULL,
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    params TEXT,
+    urls TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    finished_at INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS job_events (
+    job_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    idx INTEGER,
+    payload TEXT NOT NULL,
+    PRIMARY KEY (job_id, seq)
+  );
+  CREATE TABLE IF NOT EXISTS job_results (
+    job_id TEXT NOT NULL,
+    idx INTEGER NOT NULL,
+    result TEXT NOT NULL,
+    PRIMARY KEY (job_id, idx)
+  );
+  CREATE TABLE IF NOT EXISTS job_reports (
+    job_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (job_id, name)
+  );
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    job_id TEXT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    thresholds TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    status INTEGER,
+    error TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    profile TEXT,
+    options TEXT NOT NULL,
+    paused INTEGER NOT NULL DEFAULT 0,
+    next_run_at INTEGER,
+    last_run_at INTEGER,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS schedule_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id TEXT NOT NULL,
+    job_id TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    summary TEXT,
+    started_at INTEGER NOT NULL,
+    finished_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+  CREATE INDEX IF NOT EXISTS webhooks_job ON webhooks (job_id);
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_job ON webhook_deliveries (job_id);
+  CREATE INDEX IF NOT EXISTS schedule_runs_schedule ON schedule_runs (schedule_id, started_at);
+  CREATE INDEX IF NOT EXISTS schedule_runs_job ON schedule_runs (job_id);
+`;
+
+// Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves
+// existing databases without them.
+const MIGRATIONS = [
+  { table: 'jobs', column: 'site', sql: 'ALTER TABLE jobs ADD COLUMN site TEXT' }
+];
+
+function migrate(db) {
+  for (const { table, column, sql } of MIGRATIONS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes(column)) db.exec(sql);
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS jobs_site ON jobs (site, status, created_at)');
+}
+
+// The secret is only needed to sign deliveries; callers decide whether to show it.
+function rowToWebhook(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    thresholds: JSON.parse(row.thresholds),
+    createdAt: row.created_at
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    jobId: row.job_id,
+    event: row.event,
+    attempt: row.attempt,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at
+  };
+}
+
+function rowToSchedule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    mode: row.mode,
+    cron: row.cron,
+    profile: row.profile,
+    options: JSON.parse(row.options),
+    paused: Boolean(row.paused),
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at
+  };
+}
+
+function rowToRun(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    jobId: row.job_id,
+    status: row.status,
+    error: row.error,
+    summary: row.summary ? JSON.parse(row.summary) : null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+function rowToJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    site: row.site,
+    status: row.status,
+    total: row.total,
+    processed: row.processed,
+    params: row.params ? JSON.parse(row.params) : {},
+    urls: row.urls ? JSON.parse(row.urls) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// SQLite-backed store for jobs, their SSE event log, their results, the
+// job-level reports (broken links, ...) built when they finish, webhooks
+// with their delivery log, and scheduled scans with their runs.
+// Progress events are stored without their result; it is joined back in from
+// job_results on replay so every result is only written once.
+function openStore(file) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const stmts = {
+    insertJob: db.prepare(`INSERT INTO jobs (id, kind, site, status, total, processed, params, urls, created_at, updated_at)
+      VALUES (@id, @kind, @site, 'running', @total, 0, @params, @urls, @now, @now)`),
+    getJob: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+    unfinished: db.prepare(`SELECT * FROM jobs WHERE status = 'running' ORDER BY created_at`),
+    sites: db.prepare(`SELECT site, COUNT(*) AS scans, MAX(finished_at) AS lastScanAt FROM jobs
+      WHERE status = 'done' AND site IS NOT NULL GROUP BY site ORDER BY lastScanAt DESC`),
+    scans: db.prepare(`SELECT id, kind, site, status, total, processed, created_at, finished_at FROM jobs
+      WHERE status = 'done' AND site = ? ORDER BY created_at DESC LIMIT ?`),
+    progress: db.prepare('UPDATE jobs SET total = @total, processed = @processed, updated_at = @now WHERE id = @id'),
+    finish: db.prepare('UPDATE jobs SET status = @status, error = @error, total = @total, processed = @processed, updated_at = @now, finished_at = @now WHERE id = @id'),
+    nextSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM job_events WHERE job_id = ?'),
+    insertEvent: db.prepare('INSERT INTO job_events (job_id, seq, event, idx, payload) VALUES (?, ?, ?, ?, ?)'),
+    events: db.prepare(`SELECT e.seq, e.event, e.payload, r.result FROM job_events e
+      LEFT JOIN job_results r ON e.event = 'progress' AND r.job_id = e.job_id AND r.idx = e.idx
+      WHERE e.job_id = ? AND e.seq > ? ORDER BY e.seq`),
+    upsertResult: db.prepare('INSERT OR REPLACE INTO job_results (job_id, idx, result) VALUES (?, ?, ?)'),
+    results: db.prepare('SELECT idx, result FROM job_results WHERE job_id = ? ORDER BY idx'),
+    resultsAfter: db.prepare('SELECT idx, result FROM job_results WHERE job_id = ? AND idx > ? ORDER BY idx LIMIT ?'),
+    resultIndexes: db.prepare('SELECT idx FROM job_results WHERE job_id = ?'),
+    expired: db.prepare(`SELECT id FROM jobs WHERE status != 'running' AND finished_at < @before
+      AND id NOT IN (SELECT id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY site ORDER BY created_at DESC, rowid DESC) AS n
+        FROM jobs WHERE status = 'done' AND site IS NOT NULL) WHERE n <= @keepScans)`),
+    deleteJob: db.prepare('DELETE FROM jobs WHERE id = ?'),
+    deleteEvents: db.prepare('DELETE FROM job_events WHERE job_id = ?'),
+    deleteResults: db.prepare('DELETE FROM job_results WHERE job_id = ?'),
+    upsertReport: db.prepare('INSERT OR REPLACE INTO job_reports (job_id, name, data) VALUES (?, ?, ?)'),
+    getReport: db.prepare('SELECT data FROM job_reports WHERE job_id = ? AND name = ?'),
+    deleteReports: db.prepare('DELETE FROM job_reports WHERE job_id = ?'),
+    insertWebhook: db.prepare(`INSERT INTO webhooks (id, job_id, url, secret, events, thresholds, created_at)
+      VALUES (@id, @jobId, @url, @secret, @events, @thresholds, @now)`),
+    getWebhook: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+    globalWebhooks: db.prepare('SELECT * FROM webhooks WHERE job_id IS NULL ORDER BY created_at'),
+    jobWebhooks: db.prepare('SELECT * FROM webhooks WHERE job_id IS NULL OR job_id = ? ORDER BY created_at'),
+    deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+    deleteJobWebhooks: db.prepare('DELETE FROM webhooks WHERE job_id = ?'),
+    insertDelivery: db.prepare(`INSERT INTO webhook_deliveries (webhook_id, job_id, event, attempt, status, error, created_at)
+      VALUES (@webhookId, @jobId, @event, @attempt, @status, @error, @now)`),
+    webhookDeliveries: db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?'),
+    jobDeliveries: db.prepare('SELECT * FROM webhook_deliveries WHERE job_id = ? ORDER BY id'),
+    deleteWebhookDeliveries: db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?'),
+    deleteJobDeliveries: db.prepare('DELETE FROM webhook_deliveries WHERE job_id = ?'),
+    insertSchedule: db.prepare(`INSERT INTO schedules (id, name, url, mode, cron, profile, options, next_run_at, created_at)
+      VALUES (@id, @name, @url, @mode, @cron, @profile, @options, @nextRunAt, @now)`),
+    getSchedule: db.prepare('SELECT * FROM schedules WHERE id = ?'),
+    schedules: db.prepare('SELECT * FROM schedules ORDER BY created_at'),
+    dueSchedules: db.prepare('SELECT * FROM schedules WHERE paused = 0 AND next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at'),
+    pauseSchedule: db.prepare('UPDATE schedules SET paused = @paused, next_run_at = @nextRunAt WHERE id = @id'),
+    scheduleRan: db.prepare('UPDATE schedules SET next_run_at = @nextRunAt, last_run_at = @now WHERE id = @id'),
+    deleteSchedule: db.prepare('DELETE FROM schedules WHERE id = ?'),
+    insertRun: db.prepare(`INSERT INTO schedule_runs (schedule_id, status, started_at) VALUES (?, 'running', ?)`),
+    attachRun: db.prepare('UPDATE schedule_runs SET job_id = ? WHERE id = ?'),
+    finishRun: db.prepare(`UPDATE schedule_runs SET status = @status, error = @error, summary = @summary, finished_at = @now
+      WHERE id = @id AND status = 'running'`),
+    finishJobRun: db.prepare(`UPDATE schedule_runs SET status = @status, error = @error, summary = @summary, finished_at = @now
+      WHERE job_id = @jobId AND status = 'running'`),
+    runningRun: db.prepare(`SELECT 1 FROM schedule_runs WHERE schedule_id = ? AND status = 'running' LIMIT 1`),
+    interruptedRuns: db.prepare(`UPDATE schedule_runs SET status = 'failed', error = 'interrupted by a restart', finished_at = ?
+      WHERE status = 'running' AND job_id IS NULL`),
+    scheduleRuns: db.prepare('SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC, id DESC LIMIT ?'),
+    deleteScheduleRuns: db.prepare('DELETE FROM schedule_runs WHERE schedule_id = ?')
+  };
+
+  const appendEvent = db.transaction((jobId, event, payload) => {
+    const { seq } = stmts.nextSeq.get(jobId);
+    const stored = event === 'progress' ? { ...payload, result: undefined } : payload;
+    const idx = typeof payload.index === 'number' ? payload.index : null;
+    stmts.insertEvent.run(jobId, seq, event, idx, JSON.stringify(stored));
+    return seq;
+  });
+
+  const saveResult = db.transaction((jobId, index, result, counts) => {
+    stmts.upsertResult.run(jobId, index, JSON.stringify(result));
+    stmts.progress.run({ id: jobId, total: counts.total, processed: counts.processed, now: Date.now() });
+  });
+
+  const deleteJob = db.transaction((id) => {
+    stmts.deleteEvents.run(id);
+    stmts.deleteResults.run(id);
+    stmts.deleteReports.run(id);
+    stmts.deleteJobDeliveries.run(id);
+    stmts.deleteJobWebhooks.run(id);
+    stmts.deleteJob.run(id);
+  });
+
+  const deleteWebhook = db.transaction((id) => {
+    stmts.deleteWebhookDeliveries.run(id);
+    return stmts.deleteWebhook.run(id).changes > 0;
+  });
+
+  const deleteSchedule = db.transaction((id) => {
+    stmts.deleteScheduleRuns.run(id);
+    return stmts.deleteSchedule.run(id).changes > 0;
+  });
+
+  return {
+    createJob({ id, kind, site = null, total, params, urls }) {
+      stmts.insertJob.run({ id, kind, site, total, params: JSON.stringify(params || {}), urls: urls ? JSON.stringify(urls) : null, now: Date.now() });
+    },
+    getJob(id) {
+      return rowToJob(stmts.getJob.get(id));
+    },
+    listUnfinished() {
+      return stmts.unfinished.all().map(rowToJob);
+    },
+    listSites() {
+      return stmts.sites.all();
+    },
+    listScans(site, limit = 50) {
+      return stmts.scans.all(site, limit).map(rowToJob);
+    },
+    updateProgress(id, total, processed) {
+      stmts.progress.run({ id, total, processed, now: Date.now() });
+    },
+    finishJob(id, { status, error = null, total, processed }) {
+      stmts.finish.run({ id, status, error, total, processed, now: Date.now() });
+    },
+    appendEvent,
+    listEvents(jobId, afterSeq = 0) {
+      return stmts.events.all(jobId, afterSeq).map(row => {
+        const payload = JSON.parse(row.payload);
+        if (row.result) payload.result = JSON.parse(row.result);
+        return { seq: row.seq, event: row.event, payload };
+      });
+    },
+    saveResult,
+    listResults(jobId) {
+      return stmts.results.all(jobId).map(row => ({ index: row.idx, result: JSON.parse(row.result) }));
+    },
+    // One page of results by index, for streaming a large job without
+    // loading all of it.
+    listResultsAfter(jobId, afterIndex = -1, limit = 500) {
+      return stmts.resultsAfter.all(jobId, afterIndex, limit).map(row => ({ index: row.idx, result: JSON.parse(row.result) }));
+    },
+    resultIndexes(jobId) {
+      return new Set(stmts.resultIndexes.all(jobId).map(row => row.idx));
+    },
+    saveReport(jobId, name, data) {
+      stmts.upsertReport.run(jobId, name, JSON.stringify(data));
+    },
+    getReport(jobId, name) {
+      const row = stmts.getReport.get(jobId, name);
+      return row ? JSON.parse(row.data) : null;
+    },
+    createWebhook({ id, jobId = null, url, secret, events, thresholds }) {
+      stmts.insertWebhook.run({ id, jobId, url, secret, events: JSON.stringify(events), thresholds: JSON.stringify(thresholds || []), now: Date.now() });
+      return rowToWebhook(stmts.getWebhook.get(id));
+    },
+    getWebhook(id) {
+      return rowToWebhook(stmts.getWebhook.get(id));
+    },
+    // Global webhooks only, or with a jobId the global ones plus that job's own.
+    listWebhooks(jobId = null) {
+      return (jobId ? stmts.jobWebhooks.all(jobId) : stmts.globalWebhooks.all()).map(rowToWebhook);
+    },
+    deleteWebhook,
+    logDelivery({ webhookId, jobId, event, attempt, status = null, error = null }) {
+      stmts.insertDelivery.run({ webhookId, jobId, event, attempt, status, error, now: Date.now() });
+    },
+    listDeliveries({ webhookId, jobId, limit = 100 }) {
+      const rows = webhookId ? stmts.webhookDeliveries.all(webhookId, limit) : stmts.jobDeliveries.all(jobId);
+      return rows.map(rowToDelivery);
+    },
+    createSchedule({ id, name = null, url, mode, cron, profile = null, options = {}, nextRunAt }) {
+      stmts.insertSchedule.run({ id, name, url, mode, cron, profile, options: JSON.stringify(options), nextRunAt, now: Date.now() });
+      return rowToSchedule(stmts.getSchedule.get(id));
+    },
+    getSchedule(id) {
+      return rowToSchedule(stmts.getSchedule.get(id));
+    },
+    listSchedules() {
+      return stmts.schedules.all().map(rowToSchedule);
+    },
+    dueSchedules(ts) {
+      return stmts.dueSchedules.all(ts).map(rowToSchedule);
+    },
+    // A paused schedule has no next run; resuming sets one again.
+    setSchedulePaused(id, paused, nextRunAt = null) {
+      stmts.pauseSchedule.run({ id, paused: paused ? 1 : 0, nextRunAt: paused ? null : nextRunAt });
+      return rowToSchedule(stmts.getSchedule.get(id));
+    },
+    markScheduleRan(id, nextRunAt) {
+      stmts.scheduleRan.run({ id, nextRunAt, now: Date.now() });
+    },
+    deleteSchedule,
+    // Runs outlive the jobs they started, so a schedule keeps its trend after
+    // the jobs themselves are purged.
+    startScheduleRun(scheduleId) {
+      return Number(stmts.insertRun.run(scheduleId, Date.now()).lastInsertRowid);
+    },
+    attachScheduleRun(runId, jobId) {
+      stmts.attachRun.run(jobId, runId);
+    },
+    finishScheduleRun(runId, { status, error = null, summary = null }) {
+      stmts.finishRun.run({ id: runId, status, error, summary: summary ? JSON.stringify(summary) : null, now: Date.now() });
+    },
+    finishJobScheduleRun(jobId, { status, error = null, summary = null }) {
+      stmts.finishJobRun.run({ jobId, status, error, summary: summary ? JSON.stringify(summary) : null, now: Date.now() });
+    },
+    hasRunningRun(scheduleId) {
+      return Boolean(stmts.runningRun.get(scheduleId));
+    },
+    // Runs still collecting their URLs when the server stopped; runs with a
+    // job finish when the job resumes.
+    failInterruptedRuns() {
+      return stmts.interruptedRuns.run(Date.now()).changes;
+    },
+    listScheduleRuns(scheduleId, limit = 50) {
+      return stmts.scheduleRuns.all(scheduleId, limit).map(rowToRun);
+    },
+    // The newest keepScans completed scans of each site stay for the scan
+    // history and diffs, however old they are.
+    purgeFinishedBefore(ts, { keepScans = 0 } = {}) {
+      const ids = stmts.expired.all({ before: ts, keepScans }).map(row => row.id);
+      for (const id of ids) deleteJob(id);
+      return ids.length;
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  openStore
+};
@@ -0,0 +1,210 @@
+const { rulesFor } = require('./schema-rules');
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// "https://schema.org/Product", "schema:Product" and "Product" are all "Product".
+function schemaType(value) {
+  return String(value || '').trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+function typesOf(node) {
+  return asArray(node && node['@type']).map(schemaType).filter(Boolean);
+}
+
+// Top-level JSON-LD nodes from every <script type="application/ld+json">,
+// unwrapping arrays and @graph. Blocks that do not parse are returned as errors.
+function extractJsonLd($) {
+  const items = [];
+  const errors = [];
+  let block = 0;
+  $('script[type]').each((_, el) => {
+    if (!/^application\/ld\+json\b/i.test(($(el).attr('type') || '').trim())) return;
+    block += 1;
+    const raw = $(el).text().trim();
+    if (!raw) return;
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      errors.push({ block, message: err.message });
+      return;
+    }
+    for (const node of asArray(data)) {
+      if (!node || typeof node !== 'object') continue;
+      if (Array.isArray(node['@graph'])) items.push(...node['@graph'].filter(n => n && typeof n === 'object'));
+      else items.push(node);
+    }
+  });
+  return { items, errors };
+}
+
+function attributeValue($el) {
+  const tag = ($el.prop('tagName') || '').toLowerCase();
+  if ($el.attr('content') !== undefined) return $el.attr('content').trim();
+  if (tag === 'a' || tag === 'link' || tag === 'area') return ($el.attr('href') || '').trim();
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag)) return ($el.attr('src') || '').trim();
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime').trim();
+  if ((tag === 'data' || tag === 'meter') && $el.attr('value') !== undefined) return $el.attr('value').trim();
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function addProperty(node, name, value) {
+  if (node[name] === undefined) node[name] = value;
+  else node[name] = asArray(node[name]).concat([value]);
+}
+
+// Reads markup that puts a type on one attribute (itemtype / typeof) and its
+// properties on another (itemprop / property) into JSON-LD shaped nodes, so
+// every format is validated the same way.
+function createAttributeReader({ scope, type, prop }) {
+  function owner($, el) {
+    const $el = $(el);
+    return ($el.is(scope) ? $el.parent() : $el).closest(scope).get(0);
+  }
+
+  function readItem($, el) {
+    const node = { '@type': ($(el).attr(type) || '').trim().split(/\s+/).filter(Boolean) };
+    if (node['@type'].length === 1) node['@type'] = node['@type'][0];
+    $(el).find(`[${prop}]`).each((_, child) => {
+      if (owner($, child) !== el) return;
+      const value = $(child).is(scope) ? readItem($, child) : attributeValue($(child));
+      for (const name of ($(child).attr(prop) || '').trim().split(/\s+/).filter(Boolean)) {
+        addProperty(node, name.replace(/^schema:/i, ''), value);
+      }
+    });
+    return node;
+  }
+
+  return function extract($) {
+    const items = [];
+    $(scope).each((_, el) => {
+      // nested items are read as properties of the item that owns them
+      if ($(el).attr(prop) !== undefined && owner($, el)) return;
+      items.push(readItem($, el));
+    });
+    return items;
+  };
+}
+
+const extractMicrodata = createAttributeReader({ scope: '[itemscope]', type: 'itemtype', prop: 'itemprop' });
+const extractRdfa = createAttributeReader({ scope: '[typeof]', type: 'typeof', prop: 'property' });
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.every(isEmptyValue);
+  return false;
+}
+
+// Checks a node and every typed node nested in it against the bundled ruleset.
+function validateNode(node, path, found) {
+  for (const type of typesOf(node)) {
+    const rules = rulesFor(type);
+    if (!rules) continue;
+    const at = path ? `${path} (${type})` : type;
+    for (const property of rules.required || []) {
+      if (isEmptyValue(node[property])) found.errors.push({ type, property, message: `${at} is missing required property "${property}"` });
+    }
+    for (const group of rules.requiredOneOf || []) {
+      if (group.every(property => isEmptyValue(node[property]))) {
+        found.errors.push({ type, property: group.join('|'), message: `${at} needs one of ${group.map(p => `"${p}"`).join(', ')}` });
+      }
+    }
+    for (const property of rules.recommended || []) {
+      if (isEmptyValue(node[property])) found.warnings.push({ type, property, message: `${at} is missing recommended property "${property}"` });
+    }
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@')) continue;
+    asArray(value).forEach((child, i) => {
+      if (child && typeof child === 'object' && typesOf(child).length) {
+        const childPath = `${path || typesOf(node)[0] || 'item'}.${key}${Array.isArray(value) ? `[${i}]` : ''}`;
+        validateNode(child, childPath, found);
+      }
+    });
+  }
+}
+
+// Everything the page declares: one entry per top-level item with its format,
+// types and the required (errors) and recommended (warnings) properties it lacks.
+function extractStructuredData($) {
+  const jsonLd = extractJsonLd($);
+  const sources = [
+    ['json-ld', jsonLd.items],
+    ['microdata', extractMicrodata($)],
+    ['rdfa', extractRdfa($)]
+  ];
+  const items = [];
+  for (const [format, nodes] of sources) {
+    for (const node of nodes) {
+      const found = { errors: [], warnings: [] };
+      validateNode(node, '', found);
+      items.push({ format, types: typesOf(node), errors: found.errors, warnings: found.warnings });
+    }
+  }
+  return { items, syntaxErrors: jsonLd.errors };
+}
+
+// Groups pages by template: the first path segment ("/products/*"), or "/"
+// for the home page and other top-level pages.
+function templateKey(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return segments.length > 1 ? `/${segments[0]}/*` : '/';
+  } catch (err) {
+    return '/';
+  }
+}
+
+// Per-type and per-template counts over a job's results, so templates that
+// lack markup stand out.
+function summarizeStructuredData(results) {
+  const types = new Map();
+  const templates = new Map();
+  for (const result of results) {
+    if (!result || result.error || !Array.isArray(result.structuredData)) continue;
+    const key = templateKey(result.url);
+    if (!templates.has(key)) templates.set(key, { template: key, pages: 0, withMarkup: 0, withoutMarkup: 0, types: {}, exampleWithout: null });
+    const template = templates.get(key);
+    template.pages += 1;
+    const pageTypes = [...new Set(result.structuredData.flatMap(item => item.types))];
+    if (pageTypes.length) {
+      template.withMarkup += 1;
+    } else {
+      template.withoutMarkup += 1;
+      if (!template.exampleWithout) template.exampleWithout = result.url;
+    }
+    for (const type of pageTypes) {
+      template.types[type] = (template.types[type] || 0) + 1;
+      if (!types.has(type)) types.set(type, { type, pages: 0, pagesWithErrors: 0, pagesWithWarnings: 0 });
+      const entry = types.get(type);
+      const items = result.structuredData.filter(item => item.types.includes(type));
+      entry.pages += 1;
+      if (items.some(item => item.errors.length)) entry.pagesWithErrors += 1;
+      if (items.some(item => item.warnings.length)) entry.pagesWithWarnings += 1;
+    }
+  }
+  return {
+    types: [...types.values()].sort((a, b) => b.pages - a.pages || a.type.localeCompare(b.type)),
+    templates: [...templates.values()].sort((a, b) => b.withoutMarkup - a.withoutMarkup || a.template.localeCompare(b.template))
+  };
+}
+
+// Flattens the page's types into one cell: "Product;BreadcrumbList".
+function formatStructuredData(items) {
+  return [...new Set((items || []).flatMap(item => item.types))].join(';');
+}
+
+module.exports = {
+  schemaType,
+  extractJsonLd,
+  extractMicrodata,
+  extractRdfa,
+  extractStructuredData,
+  templateKey,
+  summarizeStructuredData,
+  formatStructuredData
+};
@@ -0,0 +1,86 @@
+const { findDuplicates } = require('./duplicates');
+
+function createSummary() {
+  return {
+    total: 0,
+    ok: 0,
+    errors: 0,
+    withH1: 0,
+    missingH1: 0,
+    multipleH1: 0,
+    status2xx: 0,
+    status3xx: 0,
+    status4xx: 0,
+    status5xx: 0,
+    blocked: 0,
+    notIndexable: 0,
+    issues: 0
+  };
+}
+
+// Adds one result to the counts, so a summary can be kept while results
+// stream past without holding on to them.
+function addToSummary(summary, r) {
+  if (!r) return summary;
+  summary.total += 1;
+  if (r.ok) summary.ok += 1;
+  if (r.error) summary.errors += 1;
+  if (r.hasH1) summary.withH1 += 1;
+  if (r.missingH1 || r.hasH1 === false) summary.missingH1 += 1;
+  if (r.multipleH1) summary.multipleH1 += 1;
+  if (typeof r.status === 'number') {
+    const bucket = `status${Math.floor(r.status / 100)}xx`;
+    if (bucket in summary) summary[bucket] += 1;
+  }
+  if (r.robotsAllowed === false) summary.blocked += 1;
+  if (r.indexable === false) summary.notIndexable += 1;
+  summary.issues += Array.isArray(r.issues) ? r.issues.length : 0;
+  return summary;
+}
+
+// Job-wide counts over a list of results, as shown in the UI summary cards.
+function summarizeResults(results) {
+  return results.reduce(addToSummary, createSummary());
+}
+
+const SUMMARY_METRICS = Object.keys(createSummary());
+
+function formatDuration(ms) {
+  const totalSec = Math.max(0, Math.round(ms / 1000));
+  const mins = Math.floor(totalSec / 60);
+  const secs = totalSec % 60;
+  return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
+}
+
+// The web UI summary cards ({ key, label, value }) in the order the UI shows
+// them, for reports that should carry the same numbers.
+function summaryCards(results, { durationMs = null, duplicates = null } = {}) {
+  const rows = results.filter(Boolean);
+  const summary = summarizeResults(rows);
+  const social = rows.filter(r => Array.isArray(r.issues) && r.issues.some(issue => issue.rule === 'social')).length;
+  const images = rows.filter(r => r.imageIssueCount).length;
+  return [
+    { key: 'total', label: 'Total checked', value: summary.total },
+    { key: 'withH1', label: 'With H1', value: summary.withH1 },
+    { key: 'missingH1', label: 'Missing H1', value: summary.missingH1 },
+    { key: 'multipleH1', label: 'Multiple H1s', value: summary.multipleH1 },
+    { key: 'blocked', label: 'Blocked by robots.txt', value: summary.blocked },
+    { key: 'notIndexable', label: 'Not indexable', value: summary.notIndexable },
+    { key: 'social', label: 'Social meta issues', value: social },
+    { key: 'images', label: 'Pages with image issues', value: images },
+    { key: 'duplicates', label: 'Duplicate groups', value: (duplicates || findDuplicates(rows)).groupCount },
+    { key: 'time', label: 'Time taken', value: durationMs === null ? '' : formatDuration(durationMs) },
+    { key: 'status2xx', label: '200', value: summary.status2xx },
+    { key: 'status4xx', label: '4xx', value: summary.status4xx },
+    { key: 'status5xx', label: '5xx', value: summary.status5xx }
+  ];
+}
+
+module.exports = {
+  SUMMARY_METRICS,
+  createSummary,
+  addToSummary,
+  summarizeResults,
+  formatDuration,
+  summaryCards
+};
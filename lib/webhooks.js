@@ -0,0 +1,140 @@
+const { createHmac, randomBytes, randomUUID } = require('crypto');
+const { fetchWithTimeout, errorMessage } = require('./http');
+const { withRetries } = require('./politeness');
+const { SUMMARY_METRICS, summarizeResults } = require('./summary');
+const { THRESHOLD_OPS } = require('./gate');
+
+const WEBHOOK_EVENTS = ['done', 'failed'];
+const DEFAULT_WEBHOOK_ATTEMPTS = 5;
+
+// Validates a webhook registration ({ url, secret, events, thresholds }) and
+// fills in the defaults: both events, no thresholds and a random secret.
+// Throws on invalid input.
+function normalizeWebhook(input) {
+  if (!input || typeof input !== 'object') throw new Error('webhook must be an object');
+  let url;
+  try {
+    url = new URL(String(input.url || ''));
+  } catch (err) {
+    throw new Error('webhook url is invalid');
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new Error('webhook url must be http(s)');
+  const events = input.events === undefined ? WEBHOOK_EVENTS.slice() : input.events;
+  if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    throw new Error(`webhook events must be a list of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const thresholds = input.thresholds === undefined ? [] : input.thresholds;
+  if (!Array.isArray(thresholds)) throw new Error('webhook thresholds must be a list');
+  for (const rule of thresholds) {
+    if (!rule || !SUMMARY_METRICS.includes(rule.metric)) throw new Error(`threshold metric must be one of ${SUMMARY_METRICS.join(', ')}`);
+    if (!THRESHOLD_OPS[rule.op]) throw new Error(`threshold op must be one of ${Object.keys(THRESHOLD_OPS).join(' ')}`);
+    if (typeof rule.value !== 'number') throw new Error('threshold value must be a number');
+  }
+  const secret = input.secret === undefined ? randomBytes(24).toString('hex') : String(input.secret);
+  if (!secret) throw new Error('webhook secret must not be empty');
+  return { url: url.toString(), secret, events, thresholds: thresholds.map(({ metric, op, value }) => ({ metric, op, value })) };
+}
+
+// The registration as the API shows it: everything but the secret.
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Threshold rules that hold for the summary. A webhook with rules is only
+// called when at least one of them matches.
+function matchThresholds(thresholds, summary) {
+  return (thresholds || []).filter(rule => THRESHOLD_OPS[rule.op](summary[rule.metric], rule.value));
+}
+
+// Calls the global webhooks and the job's own when it finishes. Every
+// attempt, and every call skipped by its thresholds, goes to the delivery log.
+function createWebhookNotifier({ store, baseUrl, maxAttempts = DEFAULT_WEBHOOK_ATTEMPTS, retryDelayMs, timeoutMs, userAgent }) {
+  function buildPayload(job, event, summary, matched) {
+    const record = store.getJob(job.id) || {};
+    const jobUrl = `${baseUrl}/api/jobs/${encodeURIComponent(job.id)}`;
+    return {
+      id: randomUUID(),
+      event: `job.${event}`,
+      createdAt: new Date().toISOString(),
+      job: {
+        id: job.id,
+        kind: job.kind,
+        site: job.site,
+        status: record.status || null,
+        error: record.error || null,
+        total: job.total,
+        processed: job.processed
+      },
+      summary,
+      thresholds: matched,
+      links: { job: jobUrl, results: `${jobUrl}/results`, csv: `${jobUrl}/results?format=csv` }
+    };
+  }
+
+  async function deliver(webhook, job, event, payload) {
+    const body = JSON.stringify(payload);
+    let attempt = 0;
+    const send = async () => {
+      attempt += 1;
+      try {
+        const res = await fetchWithTimeout(webhook.url, {
+          method: 'POST',
+          body,
+          timeoutMs,
+          userAgent,
+          redirect: 'manual',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Delivery': payload.id,
+            'X-Webhook-Signature': signPayload(body, webhook.secret)
+          }
+        });
+        if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+        // redirects are not followed, so a moved receiver got nothing
+        const error = res.status >= 300 && res.status < 400 ? `not delivered: redirected to ${res.headers.get('location') || 'no location'}` : null;
+        store.logDelivery({ webhookId: webhook.id, jobId: job.id, event, attempt, status: res.status, error });
+        return { res };
+      } catch (err) {
+        store.logDelivery({ webhookId: webhook.id, jobId: job.id, event, attempt, error: errorMessage(err) });
+        throw err;
+      }
+    };
+    try {
+      await withRetries(webhook.url, send, { maxAttempts, retryDelayMs });
+    } catch (err) {
+      // already in the delivery log
+    }
+  }
+
+  async function notify(job, event) {
+    if (!WEBHOOK_EVENTS.includes(event)) return;
+    const webhooks = store.listWebhooks(job.id).filter(webhook => webhook.events.includes(event));
+    if (!webhooks.length) return;
+    const summary = summarizeResults(store.listResults(job.id).map(row => row.result));
+    await Promise.all(webhooks.map(webhook => {
+      const matched = matchThresholds(webhook.thresholds, summary);
+      if (webhook.thresholds.length && !matched.length) {
+        store.logDelivery({ webhookId: webhook.id, jobId: job.id, event, attempt: 0, error: 'skipped: no threshold matched' });
+        return null;
+      }
+      return deliver(webhook, job, event, buildPayload(job, event, summary, matched));
+    }));
+  }
+
+  return { notify };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  normalizeWebhook,
+  publicWebhook,
+  signPayload,
+  matchThresholds,
+  createWebhookNotifier
+};
@@ -0,0 +1,54 @@
+const { resultColumns, formatCell } = require('./audit');
+const { summaryCards } = require('./summary');
+const { toXlsx } = require('./xlsx');
+
+const URL_COLUMNS = new Set(['url', 'finalUrl', 'canonical']);
+const WIDTHS = { url: 60, finalUrl: 60, canonical: 60, title: 40, metaDescription: 50, h1: 40, issues: 40, error: 30 };
+
+// The columns of the per-issue sheets; the All URLs sheet has every column.
+const ISSUE_COLUMNS = ['url', 'status', 'finalUrl', 'title', 'h1Count', 'h1', 'indexable', 'issues', 'error'];
+
+const ISSUE_SHEETS = [
+  { name: 'Missing H1', match: r => Boolean(r.missingH1 || r.hasH1 === false) },
+  { name: 'Multiple H1s', match: r => Boolean(r.multipleH1) },
+  { name: '4xx', match: r => r.status >= 400 && r.status <= 499 },
+  { name: '5xx', match: r => r.status >= 500 && r.status <= 599 },
+  { name: 'Errors', match: r => Boolean(r.error) }
+];
+
+function column(key) {
+  return { key, header: key, width: WIDTHS[key], link: URL_COLUMNS.has(key) };
+}
+
+function cells(result, columns) {
+  return Object.fromEntries(columns.map(col => [col.key, formatCell(result, col.key)]));
+}
+
+// The sheets of the XLSX export: Summary, All URLs, then one sheet per issue
+// type. Issue sheets are written even when empty so every export has the
+// same tabs.
+function resultsSheets(results, options = {}) {
+  const rows = results.filter(Boolean);
+  const all = resultColumns().map(column);
+  const issue = ISSUE_COLUMNS.map(column);
+  return [
+    {
+      name: 'Summary',
+      columns: [{ key: 'metric', header: 'Metric', width: 28 }, { key: 'value', header: 'Value', width: 12 }],
+      rows: summaryCards(rows, options).map(card => ({ metric: card.label, value: card.value })),
+      autoFilter: false
+    },
+    { name: 'All URLs', columns: all, rows: rows.map(r => cells(r, all)) },
+    ...ISSUE_SHEETS.map(sheet => ({ name: sheet.name, columns: issue, rows: rows.filter(sheet.match).map(r => cells(r, issue)) }))
+  ];
+}
+
+function resultsXlsx(results, options) {
+  return toXlsx(resultsSheets(results, options));
+}
+
+module.exports = {
+  ISSUE_SHEETS,
+  resultsSheets,
+  resultsXlsx
+};
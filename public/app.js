@@ -11,6 +11,7 @@ const tbody = resultsTable.querySelector('tbody');
 const exportControls = document.getElementById('export-controls');
 const exportFilterEl = document.getElementById('exportFilter');
 const exportBtn = document.getElementById('exportCsv');
+const exportXlsxBtn = document.getElementById('exportXlsx');
 const sitemapUrlEl = document.getElementById('sitemapUrl');
 const loadSitemapBtn = document.getElementById('loadSitemap');
 const sitemapLoader = document.getElementById('sitemapLoader');
@@ -18,6 +19,13 @@ const urlCountEl = document.getElementById('urlCount');
 const sitemapLabelEl = document.getElementById('sitemapLabel');
 const modeSiteEl = document.getElementById('modeSite');
 const modeSitemapEl = document.getElementById('modeSitemap');
+const modeCrawlEl = document.getElementById('modeCrawl');
+const crawlOptionsEl = document.getElementById('crawlOptions');
+const crawlDepthEl = document.getElementById('crawlDepth');
+const crawlMaxPagesEl = document.getElementById('crawlMaxPages');
+const crawlScopeEl = document.getElementById('crawlScope');
+const crawlIncludeEl = document.getElementById('crawlInclude');
+const crawlExcludeEl = document.getElementById('crawlExclude');
 const statusBarEl = document.getElementById('statusBar');
 const statusFillEl = statusBarEl ? statusBarEl.querySelector('.status-fill') : null;
 const siteBadgeEl = document.getElementById('siteBadge');
@@ -32,7 +40,61 @@ const sumTimeEl = document.getElementById('sumTime');
 const sum200El = document.getElementById('sum200');
 const sum4xxEl = document.getElementById('sum4xx');
 const sum5xxEl = document.getElementById('sum5xx');
+const sumBlockedEl = document.getElementById('sumBlocked');
+const sumNotIndexableEl = document.getElementById('sumNotIndexable');
+const sumSocialEl = document.getElementById('sumSocial');
+const sumImagesEl = document.getElementById('sumImages');
 const statusPieEl = document.getElementById('statusPie');
+const checkLinksEl = document.getElementById('checkLinks');
+const brokenLinksPanelEl = document.getElementById('brokenLinksPanel');
+const brokenLinksMetaEl = document.getElementById('brokenLinksMeta');
+const brokenInternalBody = document.querySelector('#brokenInternal tbody');
+const brokenExternalBody = document.querySelector('#brokenExternal tbody');
+const exportBrokenLinksBtn = document.getElementById('exportBrokenLinks');
+const sumDuplicatesEl = document.getElementById('sumDuplicates');
+const duplicatesPanelEl = document.getElementById('duplicatesPanel');
+const duplicatesMetaEl = document.getElementById('duplicatesMeta');
+const duplicateGroupEls = {
+  title: document.getElementById('duplicateTitle'),
+  metaDescription: document.getElementById('duplicateMetaDescription'),
+  h1: document.getElementById('duplicateH1')
+};
+const exportDuplicatesBtn = document.getElementById('exportDuplicates');
+const structuredDataPanelEl = document.getElementById('structuredDataPanel');
+const structuredDataMetaEl = document.getElementById('structuredDataMeta');
+const structuredDataTypesBody = document.querySelector('#structuredDataTypes tbody');
+const structuredDataTemplatesBody = document.querySelector('#structuredDataTemplates tbody');
+const checkImagesEl = document.getElementById('checkImages');
+const scanProfileEl = document.getElementById('scanProfile');
+const imagesPanelEl = document.getElementById('imagesPanel');
+const imagesMetaEl = document.getElementById('imagesMeta');
+const imagesBody = document.querySelector('#imagesTable tbody');
+const exportImagesBtn = document.getElementById('exportImages');
+const checkHreflangEl = document.getElementById('checkHreflang');
+const hreflangPanelEl = document.getElementById('hreflangPanel');
+const hreflangMetaEl = document.getElementById('hreflangMeta');
+const hreflangBody = document.querySelector('#hreflangTable tbody');
+const exportHreflangBtn = document.getElementById('exportHreflang');
+const historySiteEl = document.getElementById('historySite');
+const historyBaseEl = document.getElementById('historyBase');
+const historyCompareEl = document.getElementById('historyCompare');
+const historyCompareBtn = document.getElementById('historyCompareBtn');
+const historyMetaEl = document.getElementById('historyMeta');
+const historyDiffEl = document.getElementById('historyDiff');
+const diffBody = document.querySelector('#diffTable tbody');
+const diffAddedEl = document.getElementById('diffAdded');
+const diffRemovedEl = document.getElementById('diffRemoved');
+const diffChangedEl = document.getElementById('diffChanged');
+const diffRegressionsEl = document.getElementById('diffRegressions');
+const exportDiffCsvBtn = document.getElementById('exportDiffCsv');
+const exportDiffJsonBtn = document.getElementById('exportDiffJson');
+const scheduleNameEl = document.getElementById('scheduleName');
+const scheduleUrlEl = document.getElementById('scheduleUrl');
+const scheduleModeEl = document.getElementById('scheduleMode');
+const scheduleCronEl = document.getElementById('scheduleCron');
+const addScheduleBtn = document.getElementById('addSchedule');
+const schedulesMetaEl = document.getElementById('schedulesMeta');
+const scheduleListEl = document.getElementById('scheduleList');
 const resultsToggle = document.getElementById('resultsToggle');
 const resultsPanel = document.getElementById('resultsPanel');
 
@@ -42,9 +104,17 @@ let checkSource = null;
 let checkJobId = null;
 let resultsCollapsed = false;
 let loadedUrls = [];
+let loadedAlternates = {};
 const defaultConcurrency = 10;
 let checkStartTs = null;
 let checkTimerId = null;
+let linksEnabled = false;
+let brokenLinksReport = null;
+let hreflangEnabled = false;
+let resultsJobId = null;
+let duplicatesJobId = null;
+let hreflangJobId = null;
+let imagesJobId = null;
 
 clearBtn.addEventListener('click', ()=>{
   if (checkSource) {
@@ -62,6 +132,7 @@ clearBtn.addEventListener('click', ()=>{
   loadSitemapBtn.disabled = false;
   resetResults();
   loadedUrls = [];
+  loadedAlternates = {};
   urlCountEl.textContent = '0';
   setStatus('');
   hideFavicon();
@@ -81,14 +152,23 @@ loadSitemapBtn.addEventListener('click', () => {
   }
   resetResults();
   loadedUrls = [];
+  loadedAlternates = {};
   updateUrlCount();
+  if (getInputMode() === 'crawl') {
+    const startUrl = normalizeUrl(baseUrl);
+    showFavicon(startUrl);
+    startCrawl(startUrl);
+    return;
+  }
   setStatus('Fetching sitemap...');
   sitemapLoader.classList.remove('hidden');
   loadSitemapBtn.disabled = true;
-  const sitemapUrl = getInputMode() === 'site' ? buildSitemapUrl(baseUrl) : normalizeUrl(baseUrl);
-  showFavicon(sitemapUrl);
+  const targetUrl = normalizeUrl(baseUrl);
+  showFavicon(targetUrl);
 
-  const streamUrl = `/api/sitemap-stream?url=${encodeURIComponent(sitemapUrl)}`;
+  const param = getInputMode() === 'site' ? 'site' : 'url';
+  const profile = selectedProfile();
+  const streamUrl = `/api/sitemap-stream?${param}=${encodeURIComponent(targetUrl)}${profile ? `&profile=${encodeURIComponent(profile)}` : ''}`;
   const es = new EventSource(streamUrl);
   sitemapSource = es;
   let finished = false;
@@ -105,13 +185,36 @@ loadSitemapBtn.addEventListener('click', () => {
     }
   };
 
+  es.addEventListener('robots', (evt) => {
+    const data = JSON.parse(evt.data || '{}');
+    const count = Array.isArray(data.sitemaps) ? data.sitemaps.length : 0;
+    if (data.found) {
+      setStatus(`robots.txt lists ${count} sitemap${count === 1 ? '' : 's'}. Fetching sitemap...`);
+    } else {
+      setStatus('No robots.txt found. Fetching sitemap...');
+    }
+  });
+
+  es.addEventListener('sitemap', (evt) => {
+    const data = JSON.parse(evt.data || '{}');
+    const format = data.gzip ? `${data.format}, gzip` : data.format;
+    setStatus(`Read ${data.url} (${format}): ${data.urls} URLs, ${data.sitemaps} child sitemaps...`);
+  });
+
+  es.addEventListener('warning', (evt) => {
+    const data = JSON.parse(evt.data || '{}');
+    console.warn('sitemap warning', data.url, data.error);
+  });
+
   es.addEventListener('batch', (evt) => {
     const data = JSON.parse(evt.data || '{}');
     if (Array.isArray(data.urls) && data.urls.length) {
       for (const u of data.urls) loadedUrls.push(u);
+      Object.assign(loadedAlternates, data.alternates || {});
       total = typeof data.total === 'number' ? data.total : loadedUrls.length;
       urlCountEl.textContent = String(total);
-      setStatus(`Found ${total} URLs...`);
+      const blocked = data.blockedTotal ? ` (${data.blockedTotal} blocked by robots.txt)` : '';
+      setStatus(`Found ${total} URLs${blocked}...`);
     }
   });
 
@@ -119,9 +222,9 @@ loadSitemapBtn.addEventListener('click', () => {
     const data = JSON.parse(evt.data || '{}');
     total = typeof data.total === 'number' ? data.total : loadedUrls.length;
     urlCountEl.textContent = String(total);
-    setStatus(`Loaded ${total} URLs. Starting check...`);
+    setStatus(`Loaded ${total} URLs${describeSitemapFormats(data.sitemaps)}. Starting check...`);
     finish();
-    startCheck(loadedUrls);
+    startCheck(loadedUrls, targetUrl);
   });
 
   es.addEventListener('failed', (evt) => {
@@ -138,6 +241,17 @@ loadSitemapBtn.addEventListener('click', () => {
   };
 });
 
+function describeSitemapFormats(sitemaps){
+  if (!Array.isArray(sitemaps) || !sitemaps.length) return '';
+  const counts = {};
+  for (const s of sitemaps) {
+    const format = s.gzip ? `${s.format}.gz` : s.format;
+    counts[format] = (counts[format] || 0) + 1;
+  }
+  const parts = Object.keys(counts).map(format => `${counts[format]} ${format}`);
+  return ` from ${sitemaps.length} sitemap${sitemaps.length === 1 ? '' : 's'} (${parts.join(', ')})`;
+}
+
 function renderResults(rows){
   lastResults = Array.isArray(rows) ? rows : [];
   tbody.innerHTML = '';
@@ -148,7 +262,8 @@ function renderResults(rows){
   if (lastResults.length) exportControls.classList.remove('hidden');
 }
 
-function escapeHtml(s){ return (s||'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+// Also escapes quotes, since the result is used inside attribute values.
+function escapeHtml(s){ return (s||'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;'); }
 
 function setStatus(text, loading){
   if (!text) {
@@ -213,7 +328,7 @@ function appendResultRow(r){
   const tr = document.createElement('tr');
   const url = r && r.url ? r.url : '';
   const href = url ? encodeURI(url) : '';
-  tr.innerHTML = `<td><a href="${href}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a></td><td>${r.status||''}</td><td>${r.ok}</td><td>${r.responseTimeMs ?? ''}</td><td>${r.hasH1}</td><td>${r.h1Count ?? ''}</td><td>${r.h1Length ?? ''}</td><td>${r.multipleH1 ?? ''}</td><td>${escapeHtml(r.title||'')}</td><td>${escapeHtml(r.metaDescription||'')}</td><td>${escapeHtml(r.canonical||'')}</td><td>${escapeHtml(r.h1||'')}</td><td>${escapeHtml(r.error||'')}</td>`;
+  tr.innerHTML = `<td><a href="${href}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a></td><td>${r.status||''}</td><td>${r.ok}</td><td>${r.responseTimeMs ?? ''}</td><td title="${escapeHtml(formatRedirectChain(r.redirectChain))}">${escapeHtml(formatRedirectChain(r.redirectChain))}</td><td>${formatRobots(r.robotsAllowed)}</td><td>${escapeHtml(formatIndexable(r))}</td><td>${r.hasH1}</td><td>${r.h1Count ?? ''}</td><td>${r.h1Length ?? ''}</td><td>${r.multipleH1 ?? ''}</td><td>${r.brokenLinkCount ?? ''}</td><td>${escapeHtml(r.title||'')}</td><td>${escapeHtml(r.metaDescription||'')}</td><td>${escapeHtml(r.canonical||'')}</td><td>${escapeHtml(formatStructuredData(r))}</td><td>${escapeHtml(r.h1||'')}</td><td>${renderOutline(r.headings)}</td><td>${escapeHtml(formatIssues(r.issues))}</td><td>${escapeHtml(r.error||'')}</td>`;
   tbody.appendChild(tr);
 }
 
@@ -226,6 +341,12 @@ function resetResults(){
   stopElapsedTimer();
   exportControls.classList.add('hidden');
   lastResults = [];
+  resultsJobId = null;
+  resetBrokenLinks();
+  resetHreflang();
+  resetDuplicates();
+  resetStructuredData();
+  resetImages();
   summaryEl.classList.add('hidden');
   sumTotalEl.textContent = '0';
   sumH1El.textContent = '0';
@@ -235,6 +356,10 @@ function resetResults(){
   sum200El.textContent = '0';
   sum4xxEl.textContent = '0';
   sum5xxEl.textContent = '0';
+  sumBlockedEl.textContent = '0';
+  sumNotIndexableEl.textContent = '0';
+  sumSocialEl.textContent = '0';
+  sumImagesEl.textContent = '0';
   if (statusPieEl) {
     statusPieEl.style.setProperty('--p200', '0deg');
     statusPieEl.style.setProperty('--p4xx', '0deg');
@@ -248,6 +373,60 @@ function updateUrlCount(){
   return count;
 }
 
+function isBlocked(r){
+  return Boolean(r && r.robotsAllowed === false);
+}
+
+function isNotIndexable(r){
+  return Boolean(r && r.indexable === false);
+}
+
+function hasSitemapConflict(r){
+  return Boolean(r && Array.isArray(r.issues) && r.issues.some((issue) => issue.code === 'sitemap-conflict'));
+}
+
+function hasSocialIssues(r){
+  return Boolean(r && Array.isArray(r.issues) && r.issues.some((issue) => issue.rule === 'social'));
+}
+
+function hasImageIssues(r){
+  return Boolean(r && r.imageIssueCount);
+}
+
+// Nests each heading under the closest shallower heading before it.
+function renderOutline(headings){
+  if (!Array.isArray(headings) || !headings.length) return '';
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  let problems = 0;
+  for (const heading of headings) {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    const node = { ...heading, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+    if (heading.issues.length) problems += 1;
+  }
+  const renderNodes = (nodes) => `<ul>${nodes.map((node) => {
+    const flags = node.issues.length ? ` <span class="heading-issue">(${escapeHtml(node.issues.join(', '))})</span>` : '';
+    const children = node.children.length ? renderNodes(node.children) : '';
+    return `<li>H${node.level} ${escapeHtml(node.text)}${flags}${children}</li>`;
+  }).join('')}</ul>`;
+  const label = `${headings.length} heading${headings.length === 1 ? '' : 's'}${problems ? `, ${problems} flagged` : ''}`;
+  return `<details class="outline-tree"><summary>${label}</summary>${renderNodes(root.children)}</details>`;
+}
+
+function formatIndexable(r){
+  if (r.indexable === true) return 'yes';
+  if (r.indexable === false) return `no (${r.indexabilityReason})`;
+  return '';
+}
+
+function formatRobots(allowed){
+  if (allowed === true) return 'allowed';
+  if (allowed === false) return 'blocked';
+  return '';
+}
+
 function isSuccess(r){
   return Boolean(r && r.ok && r.hasH1 && !r.error);
 }
@@ -261,7 +440,15 @@ function updateSummary(){
   let count200 = 0;
   let count4xx = 0;
   let count5xx = 0;
+  let blocked = 0;
+  let notIndexable = 0;
+  let socialIssues = 0;
+  let imageIssues = 0;
   for (const r of rows) {
+    if (r && r.robotsAllowed === false) blocked += 1;
+    if (isNotIndexable(r)) notIndexable += 1;
+    if (hasSocialIssues(r)) socialIssues += 1;
+    if (hasImageIssues(r)) imageIssues += 1;
     if (r && r.hasH1) withH1 += 1;
     if (r && (r.missingH1 || r.hasH1 === false)) missingH1 += 1;
     if (r && r.multipleH1) multipleH1 += 1;
@@ -278,6 +465,10 @@ function updateSummary(){
   sum200El.textContent = String(count200);
   sum4xxEl.textContent = String(count4xx);
   sum5xxEl.textContent = String(count5xx);
+  sumBlockedEl.textContent = String(blocked);
+  sumNotIndexableEl.textContent = String(notIndexable);
+  sumSocialEl.textContent = String(socialIssues);
+  sumImagesEl.textContent = String(imageIssues);
   if (statusPieEl) {
     const denom = total || 1;
     const p200 = (count200 / denom) * 360;
@@ -309,11 +500,36 @@ function csvEscape(value){
   return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
 }
 
+function formatIssues(issues){
+  return Array.isArray(issues) ? issues.map((issue) => issue.code).join(';') : '';
+}
+
+function formatRedirectChain(chain){
+  if (!Array.isArray(chain) || !chain.length) return '';
+  return chain.map((hop) => `${hop.url} [${hop.status}]`).concat(chain[chain.length - 1].location).join(' -> ');
+}
+
+function formatStructuredData(r){
+  if (!Array.isArray(r.structuredData)) return '';
+  const types = [...new Set(r.structuredData.flatMap((item) => item.types))].join(';');
+  return r.structuredDataErrors ? `${types} (${r.structuredDataErrors} errors)` : types;
+}
+
+function formatCell(r, key){
+  if (key === 'issues') return formatIssues(r.issues);
+  if (key === 'redirectChain') return formatRedirectChain(r.redirectChain);
+  if (key === 'structuredData') return formatStructuredData(r);
+  if (key === 'headings') return Array.isArray(r.headings) ? r.headings.map((heading) => `H${heading.level} ${heading.text}`.trim()).join(';') : '';
+  if (key === 'images') return Array.isArray(r.images) ? r.images.filter((image) => image.issues.length).map((image) => `${image.url} (${image.issues.join(',')})`).join(';') : '';
+  if (key === 'hreflang') return Array.isArray(r.hreflang) ? r.hreflang.map((alt) => `${alt.hreflang}=${alt.href || ''}`).join(';') : '';
+  return r[key];
+}
+
 function buildCsv(rows){
-  const headers = ['url','status','ok','responseTimeMs','hasH1','h1Count','h1Length','multipleH1','missingH1','title','metaDescription','canonical','h1','error'];
+  const headers = ['url','status','ok','responseTimeMs','attempts','finalUrl','redirectCount','redirectChain','redirectLoop','longRedirectChain','temporaryRedirect','httpsRedirect','wwwRedirect','robotsAllowed','hasH1','h1Count','h1Length','multipleH1','missingH1','headings','headingCount','linkCount','brokenLinkCount','hreflang','hreflangCount','title','metaDescription','canonical','canonicalCount','canonicalStatus','canonicalTargetStatus','structuredData','structuredDataErrors','ogTitle','ogDescription','ogImage','ogImageWidth','ogImageHeight','ogUrl','ogType','twitterCard','twitterTitle','twitterDescription','twitterImage','images','imageCount','imageIssueCount','robotsDirectives','noindex','indexable','indexabilityReason','h1','issues','error'];
   const lines = [headers.join(',')];
   for(const r of rows){
-    const row = headers.map((key) => csvEscape(r[key]));
+    const row = headers.map((key) => csvEscape(formatCell(r, key)));
     lines.push(row.join(','));
   }
   return lines.join('\r\n');
@@ -338,11 +554,20 @@ exportBtn.addEventListener('click', () => {
   let rows = rowsAll;
   if (filter === 'success') rows = rowsAll.filter(isSuccess);
   if (filter === 'fail') rows = rowsAll.filter((r) => !isSuccess(r));
+  if (filter === 'blocked') rows = rowsAll.filter(isBlocked);
+  if (filter === 'notIndexable') rows = rowsAll.filter(isNotIndexable);
+  if (filter === 'sitemapConflict') rows = rowsAll.filter(hasSitemapConflict);
   const csv = buildCsv(rows);
   const name = `h1-results-${filter}.csv`;
   downloadCsv(csv, name);
 });
 
+// The workbook is built by the server from the job's stored results.
+exportXlsxBtn.addEventListener('click', () => {
+  if (!resultsJobId) return alert('No results to export');
+  window.location.href = `/api/jobs/${encodeURIComponent(resultsJobId)}/results?format=xlsx`;
+});
+
 updateUrlCount();
 syncInputMode();
 if (sitemapUrlEl) {
@@ -353,6 +578,214 @@ if (sitemapUrlEl) {
   });
 }
 
+function resetBrokenLinks(){
+  brokenLinksReport = null;
+  brokenLinksPanelEl.classList.add('hidden');
+  brokenInternalBody.innerHTML = '';
+  brokenExternalBody.innerHTML = '';
+  brokenLinksMetaEl.textContent = '';
+}
+
+function renderBrokenTargets(body, targets){
+  body.innerHTML = '';
+  if (!targets.length) {
+    body.innerHTML = '<tr><td colspan="4">None found.</td></tr>';
+    return;
+  }
+  for (const target of targets) {
+    const tr = document.createElement('tr');
+    const sources = target.sources.map((src) => {
+      const text = src.text ? ` &ldquo;${escapeHtml(src.text)}&rdquo;` : '';
+      return `<li><a href="${encodeURI(src.page)}" target="_blank" rel="noopener noreferrer">${escapeHtml(src.page)}</a>${text}</li>`;
+    }).join('');
+    tr.innerHTML = `<td><a href="${encodeURI(target.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(target.url)}</a></td><td>${escapeHtml(target.type)}</td><td>${escapeHtml(target.error || String(target.status ?? ''))}</td><td><ul>${sources}</ul></td>`;
+    body.appendChild(tr);
+  }
+}
+
+async function loadBrokenLinks(jobId){
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/broken-links`);
+    if (!res.ok) throw new Error('Server error: '+res.status);
+    brokenLinksReport = await res.json();
+  } catch (err) {
+    brokenLinksMetaEl.textContent = `Could not load broken links: ${err.message}`;
+    brokenLinksPanelEl.classList.remove('hidden');
+    return;
+  }
+  const { checked, internal, external } = brokenLinksReport;
+  brokenLinksMetaEl.textContent = `Checked ${checked} unique targets: ${internal.length} broken internal, ${external.length} broken external.`;
+  renderBrokenTargets(brokenInternalBody, internal);
+  renderBrokenTargets(brokenExternalBody, external);
+  brokenLinksPanelEl.classList.remove('hidden');
+}
+
+function buildBrokenLinksCsv(report){
+  const headers = ['scope','url','type','status','error','sourcePage','anchorText'];
+  const lines = [headers.join(',')];
+  for (const scope of ['internal', 'external']) {
+    for (const target of report[scope]) {
+      for (const src of target.sources) {
+        const row = { scope, url: target.url, type: target.type, status: target.status, error: target.error, sourcePage: src.page, anchorText: src.text };
+        lines.push(headers.map((key) => csvEscape(row[key])).join(','));
+      }
+    }
+  }
+  return lines.join('\r\n');
+}
+
+exportBrokenLinksBtn.addEventListener('click', () => {
+  if (!brokenLinksReport) return alert('No broken link report to export');
+  downloadCsv(buildBrokenLinksCsv(brokenLinksReport), 'broken-links.csv');
+});
+
+function resetDuplicates(){
+  duplicatesJobId = null;
+  duplicatesPanelEl.classList.add('hidden');
+  duplicatesMetaEl.textContent = '';
+  sumDuplicatesEl.textContent = '-';
+  for (const el of Object.values(duplicateGroupEls)) el.innerHTML = '';
+}
+
+async function loadDuplicates(jobId){
+  let report;
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/duplicates`);
+    if (!res.ok) throw new Error('Server error: '+res.status);
+    report = await res.json();
+  } catch (err) {
+    duplicatesMetaEl.textContent = `Could not load duplicates: ${err.message}`;
+    duplicatesPanelEl.classList.remove('hidden');
+    return;
+  }
+  duplicatesJobId = jobId;
+  sumDuplicatesEl.textContent = String(report.groupCount);
+  duplicatesMetaEl.textContent = `${report.groupCount} duplicate group${report.groupCount === 1 ? '' : 's'} across ${report.urlCount} of ${report.pages} pages.`;
+  for (const [field, el] of Object.entries(duplicateGroupEls)) {
+    const groups = report[field] || [];
+    if (!groups.length) {
+      el.innerHTML = '<div class="report-meta">None found.</div>';
+      continue;
+    }
+    el.innerHTML = groups.map((group) => {
+      const urls = group.urls.map((url) => `<li><a href="${encodeURI(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a></li>`).join('');
+      return `<details><summary>${escapeHtml(group.value)} (${group.urls.length} URLs)</summary><ul>${urls}</ul></details>`;
+    }).join('');
+  }
+  duplicatesPanelEl.classList.remove('hidden');
+}
+
+exportDuplicatesBtn.addEventListener('click', () => {
+  if (!duplicatesJobId) return alert('No duplicates report to export');
+  window.location.href = `/api/jobs/${encodeURIComponent(duplicatesJobId)}/duplicates?format=csv`;
+});
+
+function resetStructuredData(){
+  structuredDataPanelEl.classList.add('hidden');
+  structuredDataMetaEl.textContent = '';
+  structuredDataTypesBody.innerHTML = '';
+  structuredDataTemplatesBody.innerHTML = '';
+}
+
+async function loadStructuredData(jobId){
+  let report;
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/structured-data`);
+    if (!res.ok) throw new Error('Server error: '+res.status);
+    report = await res.json();
+  } catch (err) {
+    structuredDataMetaEl.textContent = `Could not load structured data summary: ${err.message}`;
+    structuredDataPanelEl.classList.remove('hidden');
+    return;
+  }
+  const lacking = report.templates.filter((t) => t.withoutMarkup > 0).length;
+  structuredDataMetaEl.textContent = `${report.types.length} schema.org type${report.types.length === 1 ? '' : 's'} found; ${lacking} of ${report.templates.length} templates have pages without markup.`;
+  structuredDataTypesBody.innerHTML = report.types.length
+    ? report.types.map((t) => `<tr><td>${escapeHtml(t.type)}</td><td>${t.pages}</td><td>${t.pagesWithErrors}</td><td>${t.pagesWithWarnings}</td></tr>`).join('')
+    : '<tr><td colspan="4">None found.</td></tr>';
+  structuredDataTemplatesBody.innerHTML = report.templates.map((t) => {
+    const types = Object.entries(t.types).map(([type, count]) => `${type} (${count})`).join(', ');
+    const example = t.exampleWithout ? `<a href="${encodeURI(t.exampleWithout)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t.exampleWithout)}</a>` : '';
+    return `<tr${t.withoutMarkup ? ' class="regression"' : ''}><td>${escapeHtml(t.template)}</td><td>${t.pages}</td><td>${t.withoutMarkup}</td><td>${escapeHtml(types)}</td><td>${example}</td></tr>`;
+  }).join('');
+  structuredDataPanelEl.classList.remove('hidden');
+}
+
+function resetImages(){
+  imagesJobId = null;
+  imagesPanelEl.classList.add('hidden');
+  imagesBody.innerHTML = '';
+  imagesMetaEl.textContent = '';
+}
+
+async function loadImages(jobId){
+  let report;
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/images`);
+    if (!res.ok) throw new Error('Server error: '+res.status);
+    report = await res.json();
+  } catch (err) {
+    imagesMetaEl.textContent = `Could not load image report: ${err.message}`;
+    imagesPanelEl.classList.remove('hidden');
+    return;
+  }
+  imagesJobId = jobId;
+  imagesMetaEl.textContent = `${report.imageCount} image${report.imageCount === 1 ? '' : 's'} on ${report.pages} pages; ${report.problemImageCount} with problems.`;
+  imagesBody.innerHTML = report.rows.length
+    ? report.rows.map((row) => {
+      const size = row.width || row.height ? `${row.width || '?'}x${row.height || '?'}` : '';
+      const alt = row.alt === null ? '' : escapeHtml(row.alt);
+      return `<tr><td><a href="${encodeURI(row.page)}" target="_blank" rel="noopener noreferrer">${escapeHtml(row.page)}</a></td><td><a href="${encodeURI(row.image)}" target="_blank" rel="noopener noreferrer">${escapeHtml(row.image)}</a></td><td>${alt}</td><td>${escapeHtml(size)}</td><td>${row.status ?? ''}</td><td>${row.bytes ?? ''}</td><td>${escapeHtml(row.issues)}</td></tr>`;
+    }).join('')
+    : '<tr><td colspan="7">None found.</td></tr>';
+  imagesPanelEl.classList.remove('hidden');
+}
+
+exportImagesBtn.addEventListener('click', () => {
+  if (!imagesJobId) return alert('No image report to export');
+  window.location.href = `/api/jobs/${encodeURIComponent(imagesJobId)}/images?format=csv`;
+});
+
+function resetHreflang(){
+  hreflangJobId = null;
+  hreflangPanelEl.classList.add('hidden');
+  hreflangBody.innerHTML = '';
+  hreflangMetaEl.textContent = '';
+}
+
+async function loadHreflang(jobId){
+  let report;
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/hreflang`);
+    if (!res.ok) throw new Error('Server error: '+res.status);
+    report = await res.json();
+  } catch (err) {
+    hreflangMetaEl.textContent = `Could not load hreflang report: ${err.message}`;
+    hreflangPanelEl.classList.remove('hidden');
+    return;
+  }
+  hreflangJobId = jobId;
+  hreflangMetaEl.textContent = `${report.pages} pages declare hreflang in ${report.clusters.length} cluster${report.clusters.length === 1 ? '' : 's'}: ${report.issueCount} problem${report.issueCount === 1 ? '' : 's'}.`;
+  hreflangBody.innerHTML = '';
+  for (const cluster of report.clusters) {
+    for (const page of cluster.pages) {
+      for (const issue of page.issues) {
+        const tr = document.createElement('tr');
+        const target = issue.target ? `<a href="${encodeURI(issue.target)}" target="_blank" rel="noopener noreferrer">${escapeHtml(issue.target)}</a>` : '';
+        tr.innerHTML = `<td>${cluster.id}</td><td><a href="${encodeURI(page.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(page.url)}</a></td><td title="${escapeHtml(issue.message)}">${escapeHtml(issue.code)}</td><td>${escapeHtml(issue.hreflang || '')}</td><td>${target}</td>`;
+        hreflangBody.appendChild(tr);
+      }
+    }
+  }
+  if (!hreflangBody.children.length) hreflangBody.innerHTML = '<tr><td colspan="5">None found.</td></tr>';
+  hreflangPanelEl.classList.remove('hidden');
+}
+
+exportHreflangBtn.addEventListener('click', () => {
+  if (!hreflangJobId) return alert('No hreflang report to export');
+  window.location.href = `/api/jobs/${encodeURIComponent(hreflangJobId)}/hreflang?format=csv`;
+});
+
 function listenToCheckStream(jobId, totalHint){
   if (checkSource) {
     checkSource.close();
@@ -374,6 +807,7 @@ function listenToCheckStream(jobId, totalHint){
     }
     checkJobId = null;
     checkStartTs = null;
+    forgetActiveJob();
   };
 
   es.addEventListener('start', (evt) => {
@@ -383,6 +817,14 @@ function listenToCheckStream(jobId, totalHint){
     updateProgressBar(processed, total);
   });
 
+  es.addEventListener('discovered', (evt) => {
+    const payload = JSON.parse(evt.data || '{}');
+    if (typeof payload.total === 'number') total = payload.total;
+    urlCountEl.textContent = String(total);
+    setStatus(`Crawling... found ${total} URLs`);
+    updateProgressBar(processed, total);
+  });
+
   es.addEventListener('progress', (evt) => {
     const payload = JSON.parse(evt.data || '{}');
     processed = typeof payload.processed === 'number' ? payload.processed : processed + 1;
@@ -410,9 +852,16 @@ function listenToCheckStream(jobId, totalHint){
       finish(`Done. Checked ${doneCount} URLs.`);
     }
     updateSummary();
+    resultsJobId = jobId;
     if (lastResults.filter(Boolean).length) {
       exportControls.classList.remove('hidden');
     }
+    if (linksEnabled) loadBrokenLinks(jobId);
+    if (hreflangEnabled) loadHreflang(jobId);
+    loadDuplicates(jobId);
+    loadStructuredData(jobId);
+    loadImages(jobId);
+    loadHistorySites();
   });
 
   es.addEventListener('failed', (evt) => {
@@ -429,27 +878,134 @@ function listenToCheckStream(jobId, totalHint){
     // keep-alive
   });
 
+  es.addEventListener('resumed', (evt) => {
+    const payload = JSON.parse(evt.data || '{}');
+    setStatus(`Server restarted. Resuming at ${payload.processed ?? processed} of ${payload.total ?? total} URLs...`);
+  });
+
   es.onerror = () => {
-    if (!finished) finish('Error: check stream disconnected');
+    if (finished) return;
+    // EventSource reconnects by itself and the server replays what we missed
+    if (es.readyState === EventSource.CONNECTING) {
+      setStatus('Connection lost. Reconnecting...');
+      return;
+    }
+    finish('Error: check stream disconnected');
   };
 }
 
+const activeJobKey = 'seoscan.activeJob';
+
+function rememberActiveJob(jobId){
+  try { localStorage.setItem(activeJobKey, jobId); } catch (err) { /* storage unavailable */ }
+}
+
+function forgetActiveJob(){
+  try { localStorage.removeItem(activeJobKey); } catch (err) { /* storage unavailable */ }
+}
+
+// Re-attaches to a job that was still running when the page was closed.
+async function restoreActiveJob(){
+  let jobId = null;
+  try { jobId = localStorage.getItem(activeJobKey); } catch (err) { return; }
+  if (!jobId) return;
+  let job;
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+    if (!res.ok) throw new Error('Server error: '+res.status);
+    job = await res.json();
+  } catch (err) {
+    forgetActiveJob();
+    return;
+  }
+  resetResults();
+  linksEnabled = Boolean(job.params && job.params.checkLinks);
+  hreflangEnabled = Boolean(job.params && job.params.checkHreflang);
+  checkJobId = job.id;
+  checkStartTs = job.createdAt || Date.now();
+  startElapsedTimer();
+  setStatus(`Reconnecting to job with ${job.total} URLs...`);
+  listenToCheckStream(job.id, job.total);
+}
+
 function cancelCheckJob(){
   if (!checkJobId) return;
   postJson('/api/check-cancel', { jobId: checkJobId }).catch(() => {});
   checkJobId = null;
+  forgetActiveJob();
 }
 
-async function startCheck(lines){
+async function startCheck(lines, siteUrl){
   if (!lines.length) {
     setStatus('No URLs found in sitemap.');
     return;
   }
+  const body = { urls: lines, site: siteUrl, concurrency: defaultConcurrency, source: 'sitemap', checkLinks: isLinkCheckEnabled(), checkHreflang: isHreflangCheckEnabled(), checkImages: isImageCheckEnabled(), profile: selectedProfile() || undefined };
+  if (body.checkHreflang) body.alternates = loadedAlternates;
+  await startJob('/api/check-job', body, `Starting check for ${lines.length} URLs...`, lines.length);
+}
+
+async function startCrawl(startUrl){
+  const body = {
+    url: startUrl,
+    concurrency: defaultConcurrency,
+    maxDepth: crawlDepthEl ? crawlDepthEl.value : undefined,
+    maxPages: crawlMaxPagesEl ? crawlMaxPagesEl.value : undefined,
+    scope: crawlScopeEl ? crawlScopeEl.value : 'host',
+    include: crawlIncludeEl ? crawlIncludeEl.value : '',
+    exclude: crawlExcludeEl ? crawlExcludeEl.value : '',
+    checkLinks: isLinkCheckEnabled(),
+    checkHreflang: isHreflangCheckEnabled(),
+    checkImages: isImageCheckEnabled(),
+    profile: selectedProfile() || undefined
+  };
+  await startJob('/api/crawl-job', body, `Starting crawl from ${startUrl}...`, 0);
+}
+
+function isLinkCheckEnabled(){
+  return Boolean(checkLinksEl && checkLinksEl.checked);
+}
+
+function isHreflangCheckEnabled(){
+  return Boolean(checkHreflangEl && checkHreflangEl.checked);
+}
+
+function isImageCheckEnabled(){
+  return Boolean(checkImagesEl && checkImagesEl.checked);
+}
+
+function selectedProfile(){
+  return scanProfileEl ? scanProfileEl.value : '';
+}
+
+function describeProfile(profile){
+  const parts = [];
+  if (profile.userAgent) parts.push(`UA: ${profile.userAgent}`);
+  if (profile.headers.length) parts.push(`headers: ${profile.headers.join(', ')}`);
+  if (profile.cookies.length) parts.push(`cookies: ${profile.cookies.join(', ')}`);
+  if (profile.auth) parts.push('basic auth');
+  return parts.join('; ');
+}
+
+async function loadProfiles(){
+  if (!scanProfileEl) return;
+  let profiles;
+  try {
+    ({ profiles } = await getJson('/api/profiles'));
+  } catch (err) {
+    return;
+  }
+  scanProfileEl.innerHTML = '<option value="">Default</option>' + profiles.map((p) => `<option value="${escapeHtml(p.name)}" title="${escapeHtml(describeProfile(p))}">${escapeHtml(p.name)}</option>`).join('');
+}
+
+async function startJob(endpoint, body, startMessage, totalHint){
   resetResults();
+  linksEnabled = Boolean(body.checkLinks);
+  hreflangEnabled = Boolean(body.checkHreflang);
   checkStartTs = Date.now();
   sumTimeEl.textContent = '0s';
-  setStatus(`Starting check for ${lines.length} URLs...`);
-  updateProgressBar(0, lines.length);
+  setStatus(startMessage);
+  updateProgressBar(0, totalHint);
   startElapsedTimer();
   if (checkSource) {
     checkSource.close();
@@ -457,8 +1013,9 @@ async function startCheck(lines){
   }
   cancelCheckJob();
   try{
-    const json = await postJson('/api/check-job', { urls: lines, concurrency: defaultConcurrency });
+    const json = await postJson(endpoint, body);
     checkJobId = json.jobId;
+    rememberActiveJob(json.jobId);
     listenToCheckStream(json.jobId, json.total);
   }catch(err){
     setStatus('Error: '+err.message);
@@ -500,19 +1057,24 @@ function hideFavicon(){
 }
 
 function getInputMode(){
+  if (modeCrawlEl && modeCrawlEl.checked) return 'crawl';
   return modeSitemapEl && modeSitemapEl.checked ? 'sitemap' : 'site';
 }
 
+const inputModeLabels = { site: 'Site URL', sitemap: 'Sitemap URL', crawl: 'Start URL' };
+
 function syncInputMode(){
   const mode = getInputMode();
-  if (sitemapLabelEl) sitemapLabelEl.textContent = mode === 'site' ? 'Site URL' : 'Sitemap URL';
+  if (sitemapLabelEl) sitemapLabelEl.textContent = inputModeLabels[mode];
   if (sitemapUrlEl) {
-    sitemapUrlEl.placeholder = mode === 'site' ? 'https://example.com' : 'https://example.com/sitemap.xml';
+    sitemapUrlEl.placeholder = mode === 'sitemap' ? 'https://example.com/sitemap.xml' : 'https://example.com';
   }
+  if (crawlOptionsEl) crawlOptionsEl.classList.toggle('hidden', mode !== 'crawl');
 }
 
 if (modeSiteEl) modeSiteEl.addEventListener('change', syncInputMode);
 if (modeSitemapEl) modeSitemapEl.addEventListener('change', syncInputMode);
+if (modeCrawlEl) modeCrawlEl.addEventListener('change', syncInputMode);
 
 function normalizeUrl(input){
   let url = input.trim();
@@ -525,6 +1087,7 @@ function autoDetectMode(value){
   if (!raw) return;
   const lower = raw.toLowerCase();
   const isSitemap = /sitemap\.xml$/.test(lower) || (lower.includes('sitemap') && lower.endsWith('.xml'));
+  if (getInputMode() === 'crawl' && !isSitemap) return;
   if (modeSitemapEl && modeSiteEl) {
     modeSitemapEl.checked = isSitemap;
     modeSiteEl.checked = !isSitemap;
@@ -532,11 +1095,196 @@ function autoDetectMode(value){
   }
 }
 
-function buildSitemapUrl(input){
-  let url = normalizeUrl(input);
-  if (!/\/sitemap\.xml$/i.test(url)) {
-    url = url.replace(/\/+$/, '');
-    url = `${url}/sitemap.xml`;
+async function getJson(url){
+  const res = await fetch(url);
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || 'Server error: '+res.status);
+  return json;
+}
+
+function formatScanOption(scan){
+  const when = new Date(scan.finishedAt || scan.createdAt).toLocaleString();
+  return `${when} (${scan.kind}, ${scan.total} URLs)`;
+}
+
+async function loadHistorySites(){
+  let sites;
+  try {
+    ({ sites } = await getJson('/api/sites'));
+  } catch (err) {
+    historyMetaEl.textContent = `Could not load scan history: ${err.message}`;
+    return;
   }
-  return url;
+  const current = historySiteEl.value;
+  historySiteEl.innerHTML = sites.map((s) => `<option value="${escapeHtml(s.site)}">${escapeHtml(s.site)} (${s.scans})</option>`).join('');
+  if (!sites.length) {
+    historyMetaEl.textContent = 'No completed scans yet.';
+    historyBaseEl.innerHTML = '';
+    historyCompareEl.innerHTML = '';
+    return;
+  }
+  if (sites.some((s) => s.site === current)) historySiteEl.value = current;
+  await loadHistoryScans();
+}
+
+async function loadHistoryScans(){
+  const site = historySiteEl.value;
+  if (!site) return;
+  let scans;
+  try {
+    ({ scans } = await getJson(`/api/sites/${encodeURIComponent(site)}/scans`));
+  } catch (err) {
+    historyMetaEl.textContent = `Could not load scans: ${err.message}`;
+    return;
+  }
+  const options = scans.map((scan) => `<option value="${escapeHtml(scan.id)}">${escapeHtml(formatScanOption(scan))}</option>`).join('');
+  historyBaseEl.innerHTML = options;
+  historyCompareEl.innerHTML = options;
+  // newest first: compare the latest scan against the one before it
+  if (scans.length > 1) historyBaseEl.value = scans[1].id;
+  historyCompareBtn.disabled = scans.length < 2;
+  historyMetaEl.textContent = scans.length < 2 ? 'Run at least two scans of this site to compare them.' : `${scans.length} completed scans.`;
+}
+
+function diffUrl(format){
+  const params = new URLSearchParams({ base: historyBaseEl.value, compare: historyCompareEl.value });
+  if (format) params.set('format', format);
+  return `/api/scans/diff?${params.toString()}`;
+}
+
+function describeChanges(item){
+  return item.changes.map((c) => `${escapeHtml(c.field)}: ${escapeHtml(String(c.before ?? '—'))} &rarr; ${escapeHtml(String(c.after ?? '—'))}`).join('<br>');
+}
+
+function renderDiff(diff){
+  diffAddedEl.textContent = String(diff.summary.added);
+  diffRemovedEl.textContent = String(diff.summary.removed);
+  diffChangedEl.textContent = String(diff.summary.changed);
+  diffRegressionsEl.textContent = String(diff.summary.regressions);
+  const rows = [];
+  const link = (url) => `<a href="${encodeURI(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`;
+  for (const item of diff.changed) {
+    const cls = item.regressions.length ? ' class="regression"' : '';
+    rows.push(`<tr${cls}><td>${link(item.url)}</td><td>changed</td><td>${describeChanges(item)}</td><td>${escapeHtml(item.regressions.join(', '))}</td></tr>`);
+  }
+  for (const item of diff.added) rows.push(`<tr><td>${link(item.url)}</td><td>new</td><td>status ${escapeHtml(String(item.status ?? ''))}</td><td></td></tr>`);
+  for (const item of diff.removed) rows.push(`<tr><td>${link(item.url)}</td><td>removed</td><td>was ${escapeHtml(String(item.status ?? ''))}</td><td></td></tr>`);
+  diffBody.innerHTML = rows.length ? rows.join('') : '<tr><td colspan="4">No differences.</td></tr>';
+  historyDiffEl.classList.remove('hidden');
+}
+
+historySiteEl.addEventListener('change', () => {
+  historyDiffEl.classList.add('hidden');
+  loadHistoryScans();
+});
+
+historyCompareBtn.addEventListener('click', async () => {
+  if (historyBaseEl.value === historyCompareEl.value) return alert('Pick two different scans');
+  try {
+    renderDiff(await getJson(diffUrl()));
+  } catch (err) {
+    historyMetaEl.textContent = `Compare failed: ${err.message}`;
+  }
+});
+
+exportDiffCsvBtn.addEventListener('click', () => { window.location.href = diffUrl('csv'); });
+exportDiffJsonBtn.addEventListener('click', () => { window.location.href = diffUrl('json'); });
+
+async function sendJson(url, method, body){
+  const res = await fetch(url, { method, headers: { 'Content-Type': 'application/json' }, body: body ? JSON.stringify(body) : undefined });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || 'Server error: '+res.status);
+  return json;
+}
+
+function formatTime(ts){
+  return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+function renderScheduleRuns(runs){
+  if (!runs.length) return '<tr><td colspan="8">No runs yet.</td></tr>';
+  return runs.map((run) => {
+    const s = run.summary || {};
+    const count = (value) => escapeHtml(String(value ?? '—'));
+    const status = run.error ? `${run.status}: ${run.error}` : run.status;
+    return `<tr><td>${escapeHtml(formatTime(run.startedAt))}</td><td>${escapeHtml(status)}</td><td>${count(s.total)}</td><td>${count(s.missingH1)}</td><td>${count(s.status4xx)}</td><td>${count(s.status5xx)}</td><td>${count(s.errors)}</td><td>${count(s.issues)}</td></tr>`;
+  }).join('');
+}
+
+function renderSchedule(schedule){
+  const id = escapeHtml(schedule.id);
+  const next = schedule.paused ? 'paused' : `next: ${schedule.upcoming.map(formatTime).join(', ')}`;
+  const toggle = schedule.paused ? 'resume' : 'pause';
+  return `<div class="schedule${schedule.paused ? ' paused' : ''}" data-id="${id}">
+    <div class="schedule-title">
+      <strong>${escapeHtml(schedule.name || schedule.url)}</strong>
+      <span>${escapeHtml(schedule.url)} (${escapeHtml(schedule.mode)})</span>
+      <code>${escapeHtml(schedule.cron)}</code>
+      <span>${escapeHtml(next)}</span>
+      <button type="button" data-action="${toggle}">${toggle === 'pause' ? 'Pause' : 'Resume'}</button>
+      <button type="button" data-action="run">Run now</button>
+      <button type="button" data-action="delete">Delete</button>
+    </div>
+    <table class="report-table">
+      <thead><tr><th>Started</th><th>Status</th><th>URLs</th><th>Missing H1</th><th>4xx</th><th>5xx</th><th>Errors</th><th>Issues</th></tr></thead>
+      <tbody>${renderScheduleRuns(schedule.runs)}</tbody>
+    </table>
+  </div>`;
+}
+
+async function loadSchedules(){
+  let schedules;
+  try {
+    ({ schedules } = await getJson('/api/schedules'));
+  } catch (err) {
+    schedulesMetaEl.textContent = `Could not load schedules: ${err.message}`;
+    return;
+  }
+  schedulesMetaEl.textContent = schedules.length ? '' : 'No scheduled scans yet.';
+  scheduleListEl.innerHTML = schedules.map(renderSchedule).join('');
 }
+
+addScheduleBtn.addEventListener('click', async () => {
+  const options = {};
+  if (isLinkCheckEnabled()) options.checkLinks = true;
+  if (isHreflangCheckEnabled()) options.checkHreflang = true;
+  if (isImageCheckEnabled()) options.checkImages = true;
+  try {
+    await sendJson('/api/schedules', 'POST', {
+      name: scheduleNameEl.value.trim(),
+      url: normalizeUrl(scheduleUrlEl.value),
+      mode: scheduleModeEl.value,
+      cron: scheduleCronEl.value.trim(),
+      profile: selectedProfile(),
+      options
+    });
+  } catch (err) {
+    schedulesMetaEl.textContent = `Could not add schedule: ${err.message}`;
+    return;
+  }
+  scheduleNameEl.value = '';
+  scheduleUrlEl.value = '';
+  scheduleCronEl.value = '';
+  loadSchedules();
+});
+
+scheduleListEl.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const id = btn.closest('.schedule').dataset.id;
+  const action = btn.dataset.action;
+  if (action === 'delete' && !confirm('Delete this schedule and its run history?')) return;
+  try {
+    if (action === 'delete') await sendJson(`/api/schedules/${encodeURIComponent(id)}`, 'DELETE');
+    else await sendJson(`/api/schedules/${encodeURIComponent(id)}/${action}`, 'POST');
+  } catch (err) {
+    schedulesMetaEl.textContent = `Could not ${action} schedule: ${err.message}`;
+    return;
+  }
+  loadSchedules();
+});
+
+loadHistorySites();
+loadSchedules();
+loadProfiles();
+restoreActiveJob();
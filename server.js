@@ -1,307 +1,276 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const { randomUUID } = require('crypto');
 const cors = require('cors');
-const cheerio = require('cheerio');
-const { AbortController } = require('abort-controller');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
-const { randomUUID } = require('crypto');
+const { run, runStreaming, normalizeInputUrl, resultColumns, formatCell } = require('./lib/audit');
+const { crawl, compilePatterns } = require('./lib/crawler');
+const { createLinkChecker, brokenLinkRows, brokenLinkColumns } = require('./lib/link-checker');
+const { createHreflangChecker, hreflangRows, hreflangColumns } = require('./lib/hreflang');
+const { toCsv } = require('./lib/csv');
+const { XLSX_CONTENT_TYPE } = require('./lib/xlsx');
+const { resultsXlsx } = require('./lib/xlsx-report');
+const { openStore } = require('./lib/store');
+const { diffScans, diffColumns, diffRows } = require('./lib/diff');
+const { findDuplicates, duplicateColumns, duplicateRows } = require('./lib/duplicates');
+const { summarizeImages, imageColumns } = require('./lib/images');
+const { summarizeStructuredData } = require('./lib/structured-data');
+const { siteKey } = require('./lib/links');
+const { createJobManager } = require('./lib/jobs');
+const { initSse, sendSse } = require('./lib/sse');
+const { fetchRobots, isAllowed, getCrawlDelayMs } = require('./lib/robots');
+const { walkSitemaps, sitemapRoots, collectSitemapUrls } = require('./lib/sitemap');
+const { loadProfiles, getProfile, profileOptions, describeProfiles } = require('./lib/profiles');
+const { normalizeWebhook, publicWebhook, createWebhookNotifier } = require('./lib/webhooks');
+const { summarizeResults } = require('./lib/summary');
+const { DEFAULT_MAX_ATTEMPTS, createHostLimiter } = require('./lib/politeness');
+const { nextRun } = require('./lib/cron');
+const { normalizeSchedule, describeSchedule, createScheduler } = require('./lib/scheduler');
 
 const defaultConcurrency = Math.max(1, Number(process.env.DEFAULT_CONCURRENCY) || 5);
 const requestTimeoutMs = Math.max(1000, Number(process.env.REQUEST_TIMEOUT_MS) || 15000);
 const jobTtlMs = Math.max(1, Number(process.env.JOB_TTL_MINUTES) || 10) * 60 * 1000;
+const jobRetentionMs = Math.max(1, Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const scanHistoryLimit = Math.max(0, parseInt(process.env.SCAN_HISTORY_LIMIT, 10) || 20);
+const jobDbPath = process.env.JOB_DB_PATH || path.join(__dirname, 'data', 'jobs.db');
 const uploadLimitMb = Math.max(1, Number(process.env.UPLOAD_LIMIT_MB) || 5);
 const userAgent = process.env.USER_AGENT || 'h1-checker/1.0';
 const sitemapMaxDepth = Math.max(1, Number(process.env.SITEMAP_MAX_DEPTH) || 5);
+const crawlMaxDepth = Math.max(0, Number(process.env.CRAWL_MAX_DEPTH) || 3);
+const crawlMaxPages = Math.max(1, Number(process.env.CRAWL_MAX_PAGES) || 500);
+const redirectMaxHops = Math.max(1, Number(process.env.REDIRECT_MAX_HOPS) || 3);
+const respectRobots = !/^(0|false|no)$/i.test(process.env.RESPECT_ROBOTS || '');
+const searchBot = process.env.SEARCH_BOT || 'googlebot';
+const maxImageKb = Math.max(1, Number(process.env.MAX_IMAGE_KB) || 500);
+const hostRateLimit = Math.max(0, Number(process.env.HOST_RATE_LIMIT) || 0);
+const maxAttempts = Math.max(1, Number(process.env.MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS);
+const webhookMaxAttempts = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5);
+const port = Number(process.env.PORT) || 3002;
+const publicUrl = (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, '');
+const profiles = loadProfiles(process.env.PROFILES_PATH || path.join(__dirname, 'profiles.json'));
+
+const auditOptions = { timeoutMs: requestTimeoutMs, userAgent, maxRedirectHops: redirectMaxHops, respectRobots, searchBot, hostRateLimit, maxAttempts };
+
+// Request options of the profile named in a job body, scoped to the job's site.
+// Throws for an unknown profile.
+function scanOptionsFor(body = {}) {
+  return { ...auditOptions, ...profileOptions(getProfile(profiles, body.profile), [body.site || body.url].filter(Boolean)) };
+}
+
+function auditOptionsFor(body = {}, fallbackConcurrency = defaultConcurrency) {
+  return {
+    ...scanOptionsFor(body),
+    concurrency: Number(body.concurrency) || fallbackConcurrency,
+    source: body.source === 'sitemap' ? 'sitemap' : null,
+    checkLinks: Boolean(body.checkLinks),
+    checkHreflang: Boolean(body.checkHreflang),
+    checkImages: Boolean(body.checkImages),
+    maxImageBytes: (Number(body.maxImageKb) || maxImageKb) * 1024
+  };
+}
+
+// Job-scoped state that outlives the run, so reports can be built from it afterwards.
+function attachJobState(job, options, params = {}) {
+  // one host limiter for the pages and every probe the job's checkers make
+  if (!options.hostLimiter) options.hostLimiter = createHostLimiter(options);
+  if (options.checkLinks) {
+    options.linkChecker = createLinkChecker(options);
+    job.linkChecker = options.linkChecker;
+  }
+  if (options.checkHreflang) {
+    options.hreflangChecker = createHreflangChecker(options);
+    options.hreflangChecker.addSitemapAlternates(params.alternates);
+    job.hreflangChecker = options.hreflangChecker;
+  }
+  return options;
+}
+
+// Job-level checks that need every page first run before the job is settled,
+// so their reports are complete when `done` goes out.
+async function completeJobState(job) {
+  if (job.hreflangChecker && !job.cancelled) await job.hreflangChecker.finalize();
+}
+
+function clampLimit(value, max) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) || n < 0 ? max : Math.min(n, max);
+}
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-const AbortControllerImpl = global.AbortController || AbortController;
-
 // multer setup (memory storage) for CSV uploads
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: uploadLimitMb * 1024 * 1024 } });
 
-const jobs = new Map();
+const store = openStore(jobDbPath);
+const jobManager = createJobManager({ store, jobTtlMs });
+const { createJob, pushJobEvent, recordResult, settleJob } = jobManager;
+
+jobManager.onFinish((job, event, payload) => {
+  if (job.linkChecker) store.saveReport(job.id, 'brokenLinks', job.linkChecker.report());
+  if (job.hreflangChecker) store.saveReport(job.id, 'hreflang', job.hreflangChecker.report());
+  const results = store.listResults(job.id).map(row => row.result);
+  store.saveReport(job.id, 'duplicates', findDuplicates(results));
+  store.saveReport(job.id, 'structuredData', summarizeStructuredData(results));
+  store.saveReport(job.id, 'images', summarizeImages(results));
+  if (job.params && job.params.scheduleId) {
+    const status = event === 'done' ? 'done' : payload.error === 'cancelled' ? 'cancelled' : 'failed';
+    store.finishJobScheduleRun(job.id, { status, error: event === 'failed' ? payload.error : null, summary: summarizeResults(results) });
+  }
+});
 
-function initSse(res) {
-  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  if (res.flushHeaders) res.flushHeaders();
-  res.write(`:${' '.repeat(2048)}\n\n`);
-  if (res.flush) res.flush();
-}
+const webhookNotifier = createWebhookNotifier({ store, baseUrl: publicUrl, maxAttempts: webhookMaxAttempts, timeoutMs: requestTimeoutMs, userAgent });
 
-function sendSse(res, event, payload) {
-  res.write(`event: ${event}\n`);
-  res.write(`data: ${JSON.stringify(payload)}\n\n`);
-  if (res.flush) res.flush();
-}
+jobManager.onEvent((job, event) => {
+  if (event !== 'done' && event !== 'failed') return;
+  webhookNotifier.notify(job, event).catch((err) => {
+    console.error(`webhooks failed for job ${job.id}: ${err.message}`);
+  });
+});
 
-function createJob(urls) {
-  const job = {
-    id: randomUUID(),
-    total: urls.length,
-    processed: 0,
-    results: new Array(urls.length),
-    events: [],
-    clients: new Set(),
-    done: false,
-    cancelled: false,
-    cleanupTimer: null
-  };
-  jobs.set(job.id, job);
-  return job;
+// Validates the `webhooks` of a job body. Throws on the first invalid one.
+function jobWebhooksFor(list) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error('webhooks must be an array');
+  return list.map(normalizeWebhook);
 }
 
-function cleanupJob(job) {
-  if (job.cleanupTimer) clearTimeout(job.cleanupTimer);
-  job.cleanupTimer = setTimeout(() => {
-    jobs.delete(job.id);
-  }, jobTtlMs);
+// Registers a job's webhooks; the response is the only place their secrets are shown.
+function registerJobWebhooks(job, webhooks) {
+  return webhooks.map(webhook => store.createWebhook({ ...webhook, id: randomUUID(), jobId: job.id }))
+    .map(({ id, url, secret, events, thresholds }) => ({ id, url, secret, events, thresholds }));
 }
 
-function pushJobEvent(job, event, payload) {
-  job.events.push({ event, payload });
-  for (const res of job.clients) {
-    sendSse(res, event, payload);
-    if (event === 'done' || event === 'failed') {
-      res.end();
+app.post('/api/check', async (req, res) => {
+  try {
+    const { urls } = req.body;
+    if (!Array.isArray(urls) || urls.length === 0) return res.status(400).json({ error: 'urls must be a non-empty array' });
+    let options;
+    try {
+      options = auditOptionsFor({ ...req.body, site: req.body.site || urls[0] });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
+    const results = await run(urls, options);
+    res.json({ results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  if (event === 'done' || event === 'failed') {
-    job.clients.clear();
-  }
+});
+
+function crawlOptionsFor(body) {
+  return {
+    ...auditOptionsFor(body),
+    maxDepth: clampLimit(body.maxDepth, crawlMaxDepth),
+    maxPages: clampLimit(body.maxPages, crawlMaxPages) || crawlMaxPages,
+    scope: body.scope === 'subdomains' ? 'subdomains' : 'host',
+    include: compilePatterns(body.include),
+    exclude: compilePatterns(body.exclude)
+  };
 }
 
-async function fetchWithTimeout(url, ms = requestTimeoutMs) {
-  const controller = new AbortControllerImpl();
-  let fetchPromise;
-  let timeoutId;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => {
-      controller.abort();
-      const err = new Error('timeout');
-      err.name = 'AbortError';
-      reject(err);
-    }, ms);
-  });
+// `pending` lists the indexes still to check; a fresh job checks them all.
+function runCheckJob(job, urls, params, pending) {
+  const indexes = pending || urls.map((_, index) => index);
+  let options;
   try {
-    fetchPromise = fetch(url, { signal: controller.signal, redirect: 'follow', headers: { 'User-Agent': userAgent } });
-    const res = await Promise.race([fetchPromise, timeoutPromise]);
-    clearTimeout(timeoutId);
-    return res;
+    options = attachJobState(job, auditOptionsFor({ ...params, site: params.site || urls[0] }), params);
   } catch (err) {
-    if (typeof fetchPromise?.catch === 'function') {
-      fetchPromise.catch(() => {});
-    }
-    clearTimeout(timeoutId);
-    throw err;
+    // a resumed job whose profile has since been removed
+    settleJob(job, Promise.reject(err));
+    return;
   }
+  settleJob(job, runStreaming(indexes.map(index => urls[index]), options, (i, result) => {
+    if (job.cancelled) return;
+    recordResult(job, indexes[i], result);
+  }, () => job.cancelled).then(() => completeJobState(job)));
 }
 
-async function checkUrl(url) {
-  const out = {
-    url,
-    status: null,
-    ok: false,
-    responseTimeMs: null,
-    hasH1: false,
-    h1Count: 0,
-    h1Length: 0,
-    multipleH1: false,
-    missingH1: true,
-    h1: null,
-    title: null,
-    metaDescription: null,
-    canonical: null,
-    error: null
-  };
-  const start = Date.now();
+function runCrawlJob(job, params, resume) {
+  let options;
   try {
-    const res = await fetchWithTimeout(url);
-    out.status = res.status;
-    out.ok = res.ok;
-    const contentType = res.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) {
-      out.error = `non-html content-type: ${contentType}`;
-      return out;
-    }
-    const text = await res.text();
-    const $ = cheerio.load(text);
-    const titleText = $('title').first().text().trim();
-    out.title = titleText || null;
-
-    const metaDesc = $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content');
-    out.metaDescription = metaDesc ? metaDesc.trim() : null;
-
-    const canonicalHref = $('link[rel="canonical"]').attr('href');
-    out.canonical = canonicalHref ? canonicalHref.trim() : null;
-
-    const h1s = $('h1');
-    out.h1Count = h1s.length;
-    out.multipleH1 = out.h1Count > 1;
-    out.missingH1 = out.h1Count === 0;
-    if (out.h1Count > 0) {
-      const h1Text = h1s.first().text().trim();
-      out.hasH1 = true;
-      out.h1 = h1Text;
-      out.h1Length = h1Text.length;
-    }
+    options = attachJobState(job, { ...crawlOptionsFor(params), resume }, params);
   } catch (err) {
-    out.error = err.name === 'AbortError' ? 'timeout' : err.message;
-  } finally {
-    out.responseTimeMs = Date.now() - start;
+    settleJob(job, Promise.reject(err));
+    return;
   }
-  return out;
+  settleJob(job, crawl(params.url, options, {
+    onDiscover: (index, url, depth) => {
+      if (job.cancelled) return;
+      job.total = index + 1;
+      pushJobEvent(job, 'discovered', { index, url, depth, total: job.total });
+    },
+    onResult: (index, result) => {
+      if (job.cancelled) return;
+      recordResult(job, index, result);
+    },
+    shouldStop: () => job.cancelled
+  }).then(() => completeJobState(job)));
 }
 
-async function run(urls, concurrency = defaultConcurrency) {
-  const results = new Array(urls.length);
-  let i = 0;
-  async function worker() {
-    while (true) {
-      let idx = i++;
-      if (idx >= urls.length) break;
-      let url = urls[idx];
-      if (!/^https?:\/\//i.test(url)) url = 'http://' + url;
-      try {
-        results[idx] = await checkUrl(url);
-      } catch (err) {
-        results[idx] = {
-          url,
-          status: null,
-          ok: false,
-          responseTimeMs: null,
-          hasH1: false,
-          h1Count: 0,
-          h1Length: 0,
-          multipleH1: false,
-          missingH1: true,
-          h1: null,
-          title: null,
-          metaDescription: null,
-          canonical: null,
-          error: err.message
-        };
-      }
-    }
+app.post('/api/check-job', async (req, res) => {
+  // webhooks are stored on their own, so their secrets stay out of the job params
+  const { urls, webhooks: webhookList, ...params } = req.body || {};
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({ error: 'urls must be a non-empty array' });
   }
-  const workers = [];
-  const w = Math.max(1, Math.min(concurrency, urls.length));
-  for (let k = 0; k < w; k++) workers.push(worker());
-  await Promise.all(workers);
-  return results;
-}
 
-async function runStreaming(urls, concurrency = defaultConcurrency, onResult, shouldStop) {
-  let i = 0;
-  async function worker() {
-    while (true) {
-      if (shouldStop && shouldStop()) break;
-      let idx = i++;
-      if (idx >= urls.length) break;
-      let url = urls[idx];
-      if (!/^https?:\/\//i.test(url)) url = 'http://' + url;
-      let result;
-      try {
-        result = await checkUrl(url);
-      } catch (err) {
-        result = {
-          url,
-          status: null,
-          ok: false,
-          responseTimeMs: null,
-          hasH1: false,
-          h1Count: 0,
-          h1Length: 0,
-          multipleH1: false,
-          missingH1: true,
-          h1: null,
-          title: null,
-          metaDescription: null,
-          canonical: null,
-          error: err.message
-        };
-      }
-      if (shouldStop && shouldStop()) break;
-      await onResult(idx, result);
-    }
+  let webhooks;
+  try {
+    getProfile(profiles, params.profile);
+    webhooks = jobWebhooksFor(webhookList);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
-  const workers = [];
-  const w = Math.max(1, Math.min(concurrency, urls.length));
-  for (let k = 0; k < w; k++) workers.push(worker());
-  await Promise.all(workers);
-}
 
-function parseSitemapXml(xml) {
-  const $ = cheerio.load(xml, { xmlMode: true });
-  const urlLocs = [];
-  $('urlset > url > loc').each((_, el) => {
-    const loc = $(el).text().trim();
-    if (loc) urlLocs.push(loc);
-  });
-  const sitemapLocs = [];
-  $('sitemapindex > sitemap > loc').each((_, el) => {
-    const loc = $(el).text().trim();
-    if (loc) sitemapLocs.push(loc);
-  });
-  return { urlLocs, sitemapLocs };
-}
+  // only site and sitemap checks (an explicit `site`) join the scan history;
+  // a plain URL list has no site and ages out with the other jobs
+  const site = params.site ? siteKey(normalizeInputUrl(params.site)) : null;
+  const job = createJob(urls, { kind: 'check', site, params });
+  const registered = registerJobWebhooks(job, webhooks);
+  pushJobEvent(job, 'start', { total: job.total });
+  res.json({ jobId: job.id, total: job.total, webhooks: registered });
 
-app.post('/api/check', async (req, res) => {
+  runCheckJob(job, urls, params);
+});
+
+app.post('/api/crawl-job', async (req, res) => {
+  const { webhooks: webhookList, ...body } = req.body || {};
+  let startUrl;
   try {
-    const { urls, concurrency } = req.body;
-    if (!Array.isArray(urls) || urls.length === 0) return res.status(400).json({ error: 'urls must be a non-empty array' });
-    const results = await run(urls, Number(concurrency) || defaultConcurrency);
-    res.json({ results });
+    const parsed = new URL(normalizeInputUrl(body.url));
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error('invalid protocol');
+    startUrl = parsed.toString();
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    return res.status(400).json({ error: 'invalid site url' });
   }
-});
-
-app.post('/api/check-job', async (req, res) => {
-  const { urls, concurrency } = req.body || {};
-  if (!Array.isArray(urls) || urls.length === 0) {
-    return res.status(400).json({ error: 'urls must be a non-empty array' });
+  let options;
+  let webhooks;
+  try {
+    options = crawlOptionsFor({ ...body, url: startUrl });
+    webhooks = jobWebhooksFor(webhookList);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  const job = createJob(urls);
-  pushJobEvent(job, 'start', { total: job.total });
-  res.json({ jobId: job.id, total: job.total });
+  const params = { ...body, url: startUrl };
+  const job = createJob([], { kind: 'crawl', site: siteKey(startUrl), params });
+  const registered = registerJobWebhooks(job, webhooks);
+  pushJobEvent(job, 'start', { total: job.total, mode: 'crawl', maxDepth: options.maxDepth, maxPages: options.maxPages, scope: options.scope });
+  res.json({ jobId: job.id, total: job.total, webhooks: registered });
 
-  runStreaming(urls, Number(concurrency) || defaultConcurrency, (index, result) => {
-    if (job.cancelled) return;
-    job.results[index] = result;
-    job.processed += 1;
-    pushJobEvent(job, 'progress', { index, result, processed: job.processed, total: job.total });
-  }, () => job.cancelled).then(() => {
-    if (job.done) return;
-    if (job.cancelled) {
-      job.done = true;
-      pushJobEvent(job, 'failed', { error: 'cancelled' });
-    } else {
-      job.done = true;
-      pushJobEvent(job, 'done', { processed: job.processed, total: job.total });
-    }
-    cleanupJob(job);
-  }).catch((err) => {
-    if (job.done) return;
-    job.done = true;
-    pushJobEvent(job, 'failed', { error: err.message });
-    cleanupJob(job);
-  });
+  runCrawlJob(job, params);
 });
 
 app.get('/api/check-events', (req, res) => {
   const jobId = (req.query.jobId || '').toString().trim();
-  const job = jobs.get(jobId);
-  if (!job) return res.status(404).json({ error: 'job not found' });
+  if (!jobManager.getJob(jobId)) return res.status(404).json({ error: 'job not found' });
+  // EventSource sends Last-Event-ID when it reconnects; ?since= does the same for manual reconnects
+  const afterSeq = Math.max(0, parseInt(req.get('Last-Event-ID') || req.query.since, 10) || 0);
 
   initSse(res);
 
@@ -311,34 +280,241 @@ app.get('/api/check-events', (req, res) => {
 
   req.on('close', () => {
     clearInterval(heartbeat);
-    job.clients.delete(res);
+    jobManager.detachClient(jobId, res);
   });
 
-  for (const evt of job.events) {
-    sendSse(res, evt.event, evt.payload);
-  }
-
-  if (job.done) {
+  if (!jobManager.attachClient(jobId, res, afterSeq)) {
     clearInterval(heartbeat);
     return res.end();
   }
+});
 
-  job.clients.add(res);
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const { urls, ...summary } = job;
+  return res.json(summary);
 });
 
-app.post('/api/check-cancel', (req, res) => {
-  const { jobId } = req.body || {};
-  const job = jobs.get(jobId);
-  if (!job) return res.json({ ok: false });
-  job.cancelled = true;
-  if (!job.done) {
-    job.done = true;
-    pushJobEvent(job, 'failed', { error: 'cancelled' });
-    cleanupJob(job);
+app.get('/api/jobs/:id/results', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const results = store.listResults(job.id).map(row => row.result);
+  if (req.query.format === 'csv') {
+    const columns = resultColumns();
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="results-${job.id}.csv"`);
+    return res.send(toCsv(columns, results.map(result => Object.fromEntries(columns.map(key => [key, formatCell(result, key)]))), '\r\n'));
+  }
+  if (req.query.format === 'xlsx') {
+    const durationMs = job.finishedAt ? job.finishedAt - job.createdAt : null;
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="results-${job.id}.xlsx"`);
+    return res.send(resultsXlsx(results, { durationMs, duplicates: store.getReport(job.id, 'duplicates') }));
+  }
+  return res.json({ done: job.status !== 'running', results });
+});
+
+// Resolves once `res` can take more data or the client has gone.
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Streams a job's results as one JSON object per line: the stored ones by
+// index first, then live ones as they come in until the job finishes.
+app.get('/api/jobs/:id/results.ndjson', async (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  // watch before reading the store so nothing recorded in between is missed;
+  // results seen both ways are only sent once
+  const live = [];
+  let finished = false;
+  let closed = false;
+  let wake = null;
+  const unwatch = jobManager.watchJob(job.id, (event, payload) => {
+    if (event === 'progress') live.push(payload);
+    if (event === 'done' || event === 'failed') finished = true;
+    if (wake) wake();
+  });
+  if (!unwatch) finished = true;
+  req.on('close', () => {
+    closed = true;
+    if (unwatch) unwatch();
+    if (wake) wake();
+  });
+
+  const sent = new Set();
+  const send = async (index, result) => {
+    if (sent.has(index)) return;
+    sent.add(index);
+    if (!res.write(`${JSON.stringify(result)}\n`)) await waitForDrain(res);
+  };
+
+  let after = -1;
+  for (let page = store.listResultsAfter(job.id, after); page.length && !closed; page = store.listResultsAfter(job.id, after)) {
+    for (const row of page) {
+      if (closed) break;
+      await send(row.index, row.result);
+    }
+    after = page[page.length - 1].index;
+  }
+  while (!closed) {
+    while (live.length && !closed) {
+      const { index, result } = live.shift();
+      await send(index, result);
+    }
+    if (finished || closed) break;
+    await new Promise((resolve) => { wake = resolve; });
+    wake = null;
+  }
+  if (unwatch) unwatch();
+  res.end();
+});
+
+app.get('/api/jobs/:id/webhooks', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  return res.json({ webhooks: store.listWebhooks(job.id).map(publicWebhook), deliveries: store.listDeliveries({ jobId: job.id }) });
+});
+
+app.get('/api/jobs/:id/broken-links', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const live = jobManager.getLiveJob(job.id);
+  const report = live && live.linkChecker ? live.linkChecker.report() : store.getReport(job.id, 'brokenLinks');
+  if (!report) return res.status(400).json({ error: 'link checking was not enabled for this job' });
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="broken-links-${job.id}.csv"`);
+    return res.send(toCsv(brokenLinkColumns, brokenLinkRows(report), '\r\n'));
+  }
+  return res.json({ done: job.status !== 'running', ...report });
+});
+
+app.get('/api/jobs/:id/hreflang', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const live = jobManager.getLiveJob(job.id);
+  const report = live && live.hreflangChecker ? live.hreflangChecker.report() : store.getReport(job.id, 'hreflang');
+  if (!report) return res.status(400).json({ error: 'hreflang checking was not enabled for this job' });
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="hreflang-${job.id}.csv"`);
+    return res.send(toCsv(hreflangColumns, hreflangRows(report), '\r\n'));
+  }
+  return res.json({ done: job.status !== 'running', ...report });
+});
+
+app.get('/api/jobs/:id/duplicates', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const report = store.getReport(job.id, 'duplicates') || findDuplicates(store.listResults(job.id).map(row => row.result));
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="duplicates-${job.id}.csv"`);
+    return res.send(toCsv(duplicateColumns, duplicateRows(report), '\r\n'));
+  }
+  return res.json({ done: job.status !== 'running', ...report });
+});
+
+app.get('/api/jobs/:id/structured-data', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const report = store.getReport(job.id, 'structuredData') || summarizeStructuredData(store.listResults(job.id).map(row => row.result));
+  return res.json({ done: job.status !== 'running', ...report });
+});
+
+app.get('/api/jobs/:id/images', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  const report = store.getReport(job.id, 'images') || summarizeImages(store.listResults(job.id).map(row => row.result));
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="images-${job.id}.csv"`);
+    return res.send(toCsv(imageColumns, report.rows, '\r\n'));
+  }
+  return res.json({ done: job.status !== 'running', ...report });
+});
+
+// Global webhooks are called for every job; secrets are only shown on creation.
+app.post('/api/webhooks', (req, res) => {
+  let webhook;
+  try {
+    webhook = normalizeWebhook(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
+  const created = store.createWebhook({ ...webhook, id: randomUUID() });
+  return res.status(201).json(created);
+});
+
+app.get('/api/webhooks', (req, res) => {
+  res.json({ webhooks: store.listWebhooks().map(publicWebhook) });
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  if (!store.deleteWebhook(req.params.id)) return res.status(404).json({ error: 'webhook not found' });
   return res.json({ ok: true });
 });
 
+app.get('/api/webhooks/:id/deliveries', (req, res) => {
+  if (!store.getWebhook(req.params.id)) return res.status(404).json({ error: 'webhook not found' });
+  return res.json({ deliveries: store.listDeliveries({ webhookId: req.params.id, limit: clampLimit(req.query.limit, 500) || 100 }) });
+});
+
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: describeProfiles(profiles) });
+});
+
+app.get('/api/sites', (req, res) => {
+  res.json({ sites: store.listSites() });
+});
+
+app.get('/api/sites/:site/scans', (req, res) => {
+  const scans = store.listScans(req.params.site.toLowerCase(), clampLimit(req.query.limit, 200) || 50);
+  res.json({ site: req.params.site, scans: scans.map(({ params, urls, ...scan }) => scan) });
+});
+
+app.get('/api/scans/diff', (req, res) => {
+  const base = store.getJob((req.query.base || '').toString());
+  const compare = store.getJob((req.query.compare || '').toString());
+  if (!base || !compare) return res.status(404).json({ error: 'scan not found' });
+  if (base.site !== compare.site) return res.status(400).json({ error: 'scans belong to different sites' });
+  if (base.status !== 'done' || compare.status !== 'done') return res.status(400).json({ error: 'both scans must be completed' });
+
+  const diff = diffScans(
+    store.listResults(base.id).map(row => row.result),
+    store.listResults(compare.id).map(row => row.result)
+  );
+  const meta = { site: base.site, base: { id: base.id, createdAt: base.createdAt }, compare: { id: compare.id, createdAt: compare.createdAt } };
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="scan-diff-${base.site}.csv"`);
+    return res.send(toCsv(diffColumns, diffRows(diff), '\r\n'));
+  }
+  if (req.query.format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="scan-diff-${base.site}.json"`);
+  }
+  return res.json({ ...meta, ...diff });
+});
+
+app.post('/api/check-cancel', (req, res) => {
+  const { jobId } = req.body || {};
+  return res.json({ ok: jobManager.cancelJob(jobId) });
+});
+
 app.post('/api/check-stream', async (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
   res.setHeader('Cache-Control', 'no-cache');
@@ -366,7 +542,7 @@ app.post('/api/check-stream', async (req, res) => {
     if (res.flush) res.flush();
   };
 
-  const { urls, concurrency } = req.body || {};
+  const { urls } = req.body || {};
   if (!Array.isArray(urls) || urls.length === 0) {
     send('failed', { error: 'urls must be a non-empty array' });
     clearInterval(heartbeat);
@@ -378,7 +554,7 @@ app.post('/api/check-stream', async (req, res) => {
   send('start', { total });
 
   try {
-    await runStreaming(urls, Number(concurrency) || 5, (index, result) => {
+    await runStreaming(urls, auditOptionsFor(req.body, 5), (index, result) => {
       processed += 1;
       send('progress', { index, result, processed, total });
     });
@@ -404,7 +580,8 @@ app.get('/api/sitemap-stream', async (req, res) => {
     res.write(`data: ${JSON.stringify(payload)}\n\n`);
   };
 
-  const rawUrl = (req.query.url || '').toString().trim();
+  const rawSite = (req.query.site || '').toString().trim();
+  const rawUrl = (req.query.url || '').toString().trim() || rawSite;
   if (!rawUrl) {
     send('failed', { error: 'sitemap url required' });
     return res.end();
@@ -416,62 +593,68 @@ app.get('/api/sitemap-stream', async (req, res) => {
     if (!/^https?:$/.test(parsed.protocol)) throw new Error('invalid protocol');
     sitemapUrl = parsed.toString();
   } catch (err) {
-    send('failed', { error: 'invalid sitemap url' });
+    send('failed', { error: rawSite ? 'invalid site url' : 'invalid sitemap url' });
     return res.end();
   }
 
+  let scanOptions;
+  try {
+    scanOptions = scanOptionsFor({ profile: (req.query.profile || '').toString().trim(), url: sitemapUrl });
+  } catch (err) {
+    send('failed', { error: err.message });
+    return res.end();
+  }
+  const agent = scanOptions.userAgent;
+
   let closed = false;
   req.on('close', () => { closed = true; });
 
-  const visitedSitemaps = new Set();
-  const seenUrls = new Set();
-  const queue = [{ url: sitemapUrl, depth: 0 }];
-  const maxDepth = sitemapMaxDepth;
+  // robots.txt gives us the sitemaps in site mode and the blocked-URL report in both modes
+  const robotsInfo = await fetchRobots(sitemapUrl, scanOptions);
+  const roots = sitemapRoots(sitemapUrl, { site: Boolean(rawSite), robots: robotsInfo.robots });
+  if (closed) return;
+  send('robots', {
+    url: robotsInfo.url,
+    found: robotsInfo.found,
+    error: robotsInfo.error || null,
+    sitemaps: robotsInfo.robots ? robotsInfo.robots.sitemaps : [],
+    crawlDelayMs: getCrawlDelayMs(robotsInfo.robots, agent),
+    roots
+  });
+
   let total = 0;
+  let blockedTotal = 0;
+  const sitemaps = [];
 
   try {
-    while (queue.length && !closed) {
-      const { url, depth } = queue.shift();
-      if (visitedSitemaps.has(url)) continue;
-      visitedSitemaps.add(url);
-
-      let xml;
-      try {
-        const resXml = await fetchWithTimeout(url);
-        if (!resXml.ok) {
-          send('failed', { error: `sitemap fetch failed: ${resXml.status}` });
-          return res.end();
-        }
-        xml = await resXml.text();
-      } catch (err) {
-        send('failed', { error: err.message });
-        return res.end();
-      }
-
-      const { urlLocs, sitemapLocs } = parseSitemapXml(xml);
-      if (depth < maxDepth) {
-        for (const loc of sitemapLocs) {
-          if (!visitedSitemaps.has(loc)) queue.push({ url: loc, depth: depth + 1 });
+    const walked = await walkSitemaps(roots, { ...scanOptions, maxDepth: sitemapMaxDepth }, {
+      shouldStop: () => closed,
+      onWarning: (url, error) => send('warning', { url, error }),
+      onSitemap: (info) => {
+        sitemaps.push({ url: info.url, format: info.format, gzip: info.gzip, urls: info.urls });
+        send('sitemap', info);
+      },
+      onUrls: (urls, info, alternates) => {
+        const chunkSize = 200;
+        for (let i = 0; i < urls.length; i += chunkSize) {
+          const batch = urls.slice(i, i + chunkSize);
+          const blocked = robotsInfo.robots ? batch.filter(loc => !isAllowed(robotsInfo.robots, loc, agent)) : [];
+          const batchAlternates = {};
+          for (const loc of batch) if (alternates[loc]) batchAlternates[loc] = alternates[loc];
+          total += batch.length;
+          blockedTotal += blocked.length;
+          send('batch', { urls: batch, total, blocked, blockedTotal, alternates: batchAlternates });
         }
       }
-
-      const newUrls = [];
-      for (const loc of urlLocs) {
-        if (!loc || seenUrls.has(loc)) continue;
-        seenUrls.add(loc);
-        newUrls.push(loc);
-      }
-
-      const chunkSize = 200;
-      for (let i = 0; i < newUrls.length; i += chunkSize) {
-        const batch = newUrls.slice(i, i + chunkSize);
-        total += batch.length;
-        send('batch', { urls: batch, total });
-      }
-    }
+    });
+    const lastError = walked.lastError;
 
     if (!closed) {
-      send('done', { total });
+      if (total === 0 && lastError) {
+        send('failed', { error: lastError });
+        return res.end();
+      }
+      send('done', { total, blockedTotal, sitemaps });
       return res.end();
     }
   } catch (err) {
@@ -507,9 +690,107 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
   }
 });
 
+// Collects the schedule's sitemap URLs and starts a check job for them, like
+// the UI does after loading a sitemap.
+async function runSchedule(schedule, runId) {
+  const body = { ...schedule.options, profile: schedule.profile, site: schedule.url, source: 'sitemap', scheduleId: schedule.id };
+  const options = scanOptionsFor(body);
+  const { urls, alternates, lastError } = await collectSitemapUrls(schedule.url, { ...options, site: schedule.mode === 'site', maxDepth: sitemapMaxDepth });
+  if (!urls.length) throw new Error(lastError || 'no URLs found in the sitemaps');
+  const params = body.checkHreflang ? { ...body, alternates } : body;
+  const job = createJob(urls, { kind: 'check', site: siteKey(schedule.url), params });
+  store.attachScheduleRun(runId, job.id);
+  pushJobEvent(job, 'start', { total: job.total });
+  runCheckJob(job, urls, params);
+}
+
+const scheduler = createScheduler({ store, runSchedule });
+
+function scheduleWithRuns(schedule) {
+  return { ...describeSchedule(schedule), runs: store.listScheduleRuns(schedule.id, 20) };
+}
+
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: store.listSchedules().map(scheduleWithRuns) });
+});
+
+app.post('/api/schedules', (req, res) => {
+  let schedule;
+  try {
+    schedule = normalizeSchedule(req.body);
+    getProfile(profiles, schedule.profile);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const created = store.createSchedule({ ...schedule, id: randomUUID(), nextRunAt: nextRun(schedule.cron).getTime() });
+  return res.status(201).json(scheduleWithRuns(created));
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = store.getSchedule(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'schedule not found' });
+  return res.json(scheduleWithRuns(schedule));
+});
+
+app.post('/api/schedules/:id/pause', (req, res) => {
+  if (!store.getSchedule(req.params.id)) return res.status(404).json({ error: 'schedule not found' });
+  return res.json(scheduleWithRuns(store.setSchedulePaused(req.params.id, true)));
+});
+
+app.post('/api/schedules/:id/resume', (req, res) => {
+  const schedule = store.getSchedule(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'schedule not found' });
+  return res.json(scheduleWithRuns(store.setSchedulePaused(schedule.id, false, nextRun(schedule.cron).getTime())));
+});
+
+app.post('/api/schedules/:id/run', (req, res) => {
+  const schedule = store.getSchedule(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'schedule not found' });
+  try {
+    scheduler.runNow(schedule);
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  return res.status(202).json(scheduleWithRuns(schedule));
+});
+
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!store.deleteSchedule(req.params.id)) return res.status(404).json({ error: 'schedule not found' });
+  return res.json({ ok: true });
+});
+
 app.get('/health', (req, res) => res.json({ ok: true }));
 
-const port = Number(process.env.PORT) || 3002;
+// Picks up jobs that were still running when the server stopped, skipping the
+// indexes that already have a stored result.
+function resumeUnfinishedJobs() {
+  for (const record of store.listUnfinished()) {
+    const job = jobManager.restoreJob(record);
+    const visited = store.resultIndexes(job.id);
+    pushJobEvent(job, 'resumed', { processed: job.processed, total: job.total });
+    if (record.kind === 'crawl') {
+      const discovered = store.listEvents(job.id)
+        .filter(evt => evt.event === 'discovered')
+        .map(evt => ({ index: evt.payload.index, url: evt.payload.url, depth: evt.payload.depth }));
+      runCrawlJob(job, record.params, { discovered, visited });
+    } else {
+      const urls = record.urls || [];
+      const pending = urls.map((_, index) => index).filter(index => !visited.has(index));
+      runCheckJob(job, urls, record.params, pending);
+    }
+  }
+}
+
+function purgeExpiredJobs() {
+  const removed = store.purgeFinishedBefore(Date.now() - jobRetentionMs, { keepScans: scanHistoryLimit });
+  if (removed) console.log(`Purged ${removed} job(s) past retention`);
+}
+
+purgeExpiredJobs();
+setInterval(purgeExpiredJobs, 60 * 60 * 1000).unref();
+resumeUnfinishedJobs();
+scheduler.start();
+
 app.listen(port,'0.0.0.0', () => {
   console.log(`Server listening on http://localhost:${port}`);
 });
@@ -0,0 +1,195 @@
+const assert = require('assert');
+const http = require('http');
+const { checkUrl, resultColumns, formatCell } = require('../lib/audit');
+const { registerRule } = require('../lib/rules');
+const { createCanonicalChecker, classifyCanonical } = require('../lib/canonical');
+const { indexabilityReason } = require('../lib/indexability');
+const { createImageChecker } = require('../lib/images');
+
+const pages = {
+  '/': '<html><head><title>Hello | Home</title><meta name="description" content="Welcome"><link rel="canonical" href="/">' +
+    '<meta property="og:title" content="Home"><meta property="og:description" content="Welcome"><meta property="og:image" content="/og.png">' +
+    '<meta property="og:url" content="/"><meta property="og:type" content="website"><meta name="twitter:card" content="summary_large_image"></head><body><h1>Hello</h1></body></html>',
+  '/social': '<html><head><meta property="og:image" content="/small.png"><meta property="og:url" content="/elsewhere"><meta name="twitter:card" content="large"></head><body></body></html>',
+  '/outline': '<html><head><title>Pricing plans</title></head><body><h1>Welcome</h1><h2>Plans</h2><h4>Details</h4>' +
+    '<h3><img src="/logo.png" alt="Logo"></h3><h3> </h3><div style="display: none"><h2>Promo</h2></div></body></html>',
+  '/multi': '<html><head></head><body><h1>One</h1><h1>Two</h1></body></html>',
+  '/dup': '<html><head><link rel="canonical" href="/"><link rel="canonical" href="https://elsewhere.test/"></head><body><h1>Dup</h1></body></html>',
+  '/to-old': '<html><head><link rel="canonical" href="old"></head><body></body></html>',
+  '/to-chain': '<html><head><link rel="canonical" href="/chained"></head><body></body></html>',
+  '/chained': '<html><head><link rel="canonical" href="/"><meta name="robots" content="noindex"></head><body></body></html>',
+  '/to-missing': '<html><head><link rel="canonical" href="/gone#x"></head><body></body></html>',
+  '/bot-noindex': '<html><head><meta name="robots" content="index, follow"><meta name="Googlebot" content="noindex"></head><body></body></html>',
+  '/header-noindex': '<html><head></head><body></body></html>'
+};
+
+const extraHeaders = {
+  '/header-noindex': { 'X-Robots-Tag': 'bingbot: noindex, googlebot: nofollow' }
+};
+
+const redirects = {
+  '/old': { status: 301, location: '/moved' },
+  '/moved': { status: 302, location: '/' },
+  '/loop': { status: 301, location: '/loop' }
+};
+
+function png(width, height) {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+const images = {
+  '/og.png': png(1200, 630),
+  '/small.png': png(120, 120)
+};
+
+const server = http.createServer((req, res) => {
+  if (images[req.url]) {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': images[req.url].length });
+    return res.end(images[req.url]);
+  }
+  if (redirects[req.url]) {
+    res.writeHead(redirects[req.url].status, { Location: redirects[req.url].location });
+    return res.end();
+  }
+  const body = pages[req.url];
+  if (!body) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('not found');
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ...extraHeaders[req.url] });
+  res.end(body);
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const home = await checkUrl(`${base}/`);
+    assert.strictEqual(home.status, 200);
+    assert.strictEqual(home.hasH1, true);
+    assert.strictEqual(home.h1, 'Hello');
+    assert.strictEqual(home.title, 'Hello | Home');
+    assert.strictEqual(home.metaDescription, 'Welcome');
+    assert.strictEqual(home.canonical, `${base}/`);
+    assert.strictEqual(home.canonicalStatus, 'self');
+    assert.deepStrictEqual(home.issues, []);
+    assert.strictEqual(home.indexable, true);
+    assert.strictEqual(home.indexabilityReason, null);
+    // without the trailing slash the canonical and og:url still point to the page itself
+    const bare = await checkUrl(base, { source: 'sitemap' });
+    assert.strictEqual(bare.canonicalStatus, 'self');
+    assert.strictEqual(bare.indexable, true);
+    assert.deepStrictEqual(bare.issues, []);
+
+    const outline = await checkUrl(`${base}/outline`);
+    assert.strictEqual(outline.headingCount, 6);
+    assert.deepStrictEqual(outline.headings.map(h => [h.level, h.text, h.issues]), [
+      [1, 'Welcome', []],
+      [2, 'Plans', []],
+      [4, 'Details', ['skipped-level']],
+      [3, 'Logo', []],
+      [3, '', ['empty']],
+      [2, 'Promo', ['hidden']]
+    ]);
+    assert.deepStrictEqual(outline.issues.filter(i => i.rule === 'headings').map(i => i.code), ['heading-skipped-level', 'empty-heading', 'hidden-heading', 'h1-title-mismatch']);
+    assert.strictEqual(outline.issues.find(i => i.code === 'heading-skipped-level').message, '1 heading(s) skip a level, first: H2 -> H4 "Details"');
+    assert.strictEqual(formatCell(outline, 'headings'), 'H1 Welcome;H2 Plans;H4 Details;H3 Logo;H3;H2 Promo');
+
+    const multi = await checkUrl(`${base}/multi`);
+    assert.strictEqual(multi.h1Count, 2);
+    assert.strictEqual(multi.multipleH1, true);
+    const codes = multi.issues.map(i => i.code);
+    assert.ok(codes.includes('multiple-h1'));
+    assert.ok(codes.includes('missing-title'));
+
+    const missing = await checkUrl(`${base}/nope`);
+    assert.strictEqual(missing.status, 404);
+    assert.ok(/non-html/.test(missing.error));
+
+    const moved = await checkUrl(`${base}/old`, { source: 'sitemap' });
+    assert.strictEqual(moved.status, 200);
+    assert.strictEqual(moved.finalUrl, `${base}/`);
+    assert.strictEqual(moved.redirectCount, 2);
+    assert.deepStrictEqual(moved.redirectChain.map(hop => hop.status), [301, 302]);
+    assert.strictEqual(moved.temporaryRedirect, true);
+    const movedCodes = moved.issues.map(i => i.code);
+    assert.ok(movedCodes.includes('temporary-redirect'));
+    assert.ok(movedCodes.includes('sitemap-url-redirects'));
+
+    const canonicalChecker = createCanonicalChecker({ timeoutMs: 5000 });
+    const dup = await checkUrl(`${base}/dup`, { source: 'sitemap', canonicalChecker });
+    assert.strictEqual(dup.canonicalCount, 2);
+    assert.strictEqual(dup.canonical, `${base}/`);
+    assert.strictEqual(dup.canonicalStatus, 'canonicalised');
+    assert.strictEqual(dup.canonicalTargetStatus, 200);
+    assert.deepStrictEqual(dup.issues.filter(i => i.rule === 'canonical').map(i => i.code), ['multiple-canonicals', 'sitemap-url-canonicalised']);
+
+    const toOld = await checkUrl(`${base}/to-old`, { canonicalChecker });
+    assert.strictEqual(toOld.canonical, `${base}/old`);
+    assert.strictEqual(toOld.canonicalTargetStatus, 301);
+    assert.ok(toOld.issues.some(i => i.code === 'canonical-target-redirects'));
+
+    const toChain = await checkUrl(`${base}/to-chain`, { canonicalChecker });
+    const chainCodes = toChain.issues.map(i => i.code);
+    assert.ok(chainCodes.includes('canonical-chain'));
+    assert.ok(chainCodes.includes('canonical-target-noindex'));
+
+    const toMissing = await checkUrl(`${base}/to-missing`, { canonicalChecker });
+    assert.strictEqual(toMissing.canonical, `${base}/gone`);
+    assert.ok(toMissing.issues.some(i => i.code === 'canonical-target-4xx'));
+
+    assert.strictEqual(classifyCanonical('https://elsewhere.test/', `${base}/`), 'cross-domain');
+    assert.strictEqual(classifyCanonical('https://www.example.com/a', 'https://example.com/b'), 'canonicalised');
+
+    const imageChecker = createImageChecker({ timeoutMs: 5000 });
+    const social = await checkUrl(`${base}/social`, { imageChecker });
+    assert.strictEqual(social.ogImage, `${base}/small.png`);
+    assert.strictEqual(social.ogImageWidth, 120);
+    const socialCodes = social.issues.filter(i => i.rule === 'social').map(i => i.code);
+    assert.deepStrictEqual(socialCodes, ['missing-og-title', 'missing-og-description', 'missing-og-type', 'invalid-twitter-card', 'og-url-mismatch', 'og-image-too-small']);
+    const homeWithImage = await checkUrl(`${base}/`, { imageChecker });
+    assert.strictEqual(homeWithImage.ogImageHeight, 630);
+    assert.ok(!homeWithImage.issues.some(i => i.rule === 'social'));
+
+    const botNoindex = await checkUrl(`${base}/bot-noindex`, { source: 'sitemap' });
+    assert.strictEqual(botNoindex.noindex, true);
+    assert.strictEqual(botNoindex.indexable, false);
+    assert.strictEqual(botNoindex.indexabilityReason, 'noindex');
+    assert.ok(botNoindex.issues.some(i => i.code === 'sitemap-conflict'));
+    const bingNoindex = await checkUrl(`${base}/bot-noindex`, { searchBot: 'bingbot' });
+    assert.strictEqual(bingNoindex.indexable, true);
+
+    const headerNoindex = await checkUrl(`${base}/header-noindex`, { searchBot: 'bingbot' });
+    assert.strictEqual(headerNoindex.indexabilityReason, 'noindex');
+    assert.strictEqual((await checkUrl(`${base}/header-noindex`)).robotsDirectives, 'nofollow');
+
+    assert.strictEqual(moved.indexabilityReason, 'non-200');
+    assert.strictEqual(missing.indexabilityReason, 'non-200');
+    assert.strictEqual(dup.indexabilityReason, 'canonicalised');
+    assert.strictEqual(indexabilityReason({ robotsAllowed: false, status: null }), 'blocked');
+
+    const loop = await checkUrl(`${base}/loop`);
+    assert.strictEqual(loop.redirectLoop, true);
+    assert.strictEqual(loop.error, 'redirect loop');
+
+    registerRule({
+      name: 'wordCount',
+      fields: { wordCount: 0 },
+      check({ $ }) {
+        return { fields: { wordCount: $('body').text().trim().split(/\s+/).length }, issues: [] };
+      }
+    });
+    assert.ok(resultColumns().includes('wordCount'));
+    const counted = await checkUrl(`${base}/`);
+    assert.strictEqual(counted.wordCount, 1);
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  console.log('Test passed — audit rules');
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const http = require('http');
+const { crawl } = require('../lib/crawler');
+const { createLinkChecker } = require('../lib/link-checker');
+
+const pages = {
+  '/': '<html><body><h1>Home</h1><a href="/about">About</a><a href="/blog/post#top">Post</a><a href="https://elsewhere.test/">Out</a><a href="/logo.png">Logo</a></body></html>',
+  '/about': '<html><body><h1>About</h1><a href="/">Home</a><a href="/team" rel="nofollow">Team</a></body></html>',
+  '/blog/post': '<html><body><h1>Post</h1><a href="/blog/deeper">Deeper</a></body></html>',
+  '/blog/deeper': '<html><body><h1>Deeper</h1><a href="/gone">Old page</a><img src="/missing.png" alt="Chart"></body></html>'
+};
+
+const server = http.createServer((req, res) => {
+  const body = pages[req.url];
+  if (!body) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    return res.end('<h1>Not found</h1>');
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(body);
+});
+
+async function collect(start, options) {
+  const found = [];
+  const results = [];
+  await crawl(start, { concurrency: 2, ...options }, {
+    onDiscover: (index, url, depth) => { found[index] = { url, depth }; },
+    onResult: (index, result) => { results[index] = result; }
+  });
+  return { found, results };
+}
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const all = await collect(`${base}/`, { maxDepth: 2 });
+    assert.deepStrictEqual(all.found.map(f => f.url).sort(), [`${base}/`, `${base}/about`, `${base}/blog/deeper`, `${base}/blog/post`]);
+    assert.strictEqual(all.results.length, 4);
+    assert.ok(all.results.every(r => r.status === 200));
+
+    const shallow = await collect(`${base}/`, { maxDepth: 1 });
+    assert.ok(!shallow.found.some(f => f.url.endsWith('/blog/deeper')));
+
+    const capped = await collect(`${base}/`, { maxPages: 2 });
+    assert.strictEqual(capped.found.length, 2);
+
+    const linkChecker = createLinkChecker();
+    const checked = await collect(`${base}/`, { checkLinks: true, linkChecker });
+    const deeper = checked.results.find(r => r.url.endsWith('/blog/deeper'));
+    assert.strictEqual(deeper.brokenLinkCount, 2);
+    const report = linkChecker.report();
+    assert.deepStrictEqual(report.internal.map(t => t.url).sort(), [`${base}/gone`, `${base}/logo.png`, `${base}/missing.png`, `${base}/team`]);
+    const gone = report.internal.find(t => t.url.endsWith('/gone'));
+    assert.strictEqual(gone.status, 404);
+    assert.deepStrictEqual(gone.sources, [{ page: `${base}/blog/deeper`, text: 'Old page' }]);
+    assert.strictEqual(report.external.length, 1);
+
+    const filtered = await collect(`${base}/`, { exclude: ['/blog/'] });
+    assert.deepStrictEqual(filtered.found.map(f => f.url).sort(), [`${base}/`, `${base}/about`]);
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  console.log('Test passed — link-following crawl and broken links');
+});
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const { diffScans, diffRows } = require('../lib/diff');
+
+const lastWeek = [
+  { url: 'https://example.com/', status: 200, hasH1: true, h1: 'Home', title: 'Home', metaDescription: 'Welcome', canonical: 'https://example.com/' },
+  { url: 'https://example.com/shop', status: 200, hasH1: true, h1: 'Shop', title: 'Shop', metaDescription: null, canonical: null },
+  { url: 'https://example.com/old', status: 200, hasH1: true, h1: 'Old', title: 'Old', metaDescription: null, canonical: null }
+];
+const thisWeek = [
+  { url: 'https://example.com/', status: 200, hasH1: true, h1: 'Home', title: 'Home page', metaDescription: 'Welcome', canonical: 'https://example.com/' },
+  { url: 'https://example.com/shop', status: 404, hasH1: false, h1: null, title: 'Not found', metaDescription: null, canonical: null },
+  { url: 'https://example.com/new', status: 200, hasH1: true, h1: 'New', title: 'New', metaDescription: null, canonical: null }
+];
+
+try {
+  const diff = diffScans(lastWeek, thisWeek);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 2, regressions: 1 });
+  assert.deepStrictEqual(diff.added.map(a => a.url), ['https://example.com/new']);
+  assert.deepStrictEqual(diff.removed.map(r => r.url), ['https://example.com/old']);
+
+  const home = diff.changed.find(c => c.url === 'https://example.com/');
+  assert.deepStrictEqual(home.changes, [{ field: 'title', before: 'Home', after: 'Home page' }]);
+  assert.deepStrictEqual(home.regressions, []);
+
+  const shop = diff.changed.find(c => c.url === 'https://example.com/shop');
+  assert.deepStrictEqual(shop.regressions, ['lost-h1', 'now-4xx']);
+
+  const rows = diffRows(diff);
+  assert.strictEqual(rows.filter(r => r.change === 'changed').length, 5);
+  assert.ok(rows.some(r => r.change === 'added' && r.after === 200));
+} catch (err) {
+  console.error(err);
+  process.exit(2);
+}
+console.log('Test passed — scan diff');
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { findDuplicates, duplicateRows } = require('../lib/duplicates');
+
+const results = [
+  { url: 'https://example.com/a', title: 'Blue Widget | Shop', metaDescription: 'Buy widgets', h1: 'Widget' },
+  { url: 'https://example.com/b', title: 'blue widget  | shop ', metaDescription: 'Buy widgets', h1: 'Other' },
+  { url: 'https://example.com/c', title: 'Blue Widget | Shop', metaDescription: null, h1: 'Widget' },
+  { url: 'https://example.com/d', title: 'Unique', metaDescription: null, h1: null },
+  { url: 'https://example.com/e', title: 'Unique', metaDescription: null, h1: null, error: 'timeout' }
+];
+
+try {
+  const report = findDuplicates(results);
+  assert.strictEqual(report.pages, 4);
+  assert.deepStrictEqual(report.title, [{ value: 'Blue Widget | Shop', urls: ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'] }]);
+  assert.deepStrictEqual(report.metaDescription.map(g => g.urls.length), [2]);
+  assert.deepStrictEqual(report.h1, [{ value: 'Widget', urls: ['https://example.com/a', 'https://example.com/c'] }]);
+  assert.strictEqual(report.groupCount, 3);
+  assert.strictEqual(report.urlCount, 3);
+
+  const rows = duplicateRows(report);
+  assert.strictEqual(rows.length, 7);
+  assert.deepStrictEqual(rows[0], { field: 'title', value: 'Blue Widget | Shop', count: 3, url: 'https://example.com/a' });
+} catch (err) {
+  console.error(err);
+  process.exit(2);
+}
+console.log('Test passed — duplicate detection');
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { summarizeResults } = require('../lib/summary');
+const { findDuplicates } = require('../lib/duplicates');
+const { parseFailOn, evaluateThresholds, failingResults } = require('../lib/gate');
+const { toJunit, toSarif } = require('../lib/ci-reports');
+
+const page = (url, fields) => ({ url, status: 200, ok: true, hasH1: true, multipleH1: false, error: null, issues: [], ...fields });
+
+const results = [
+  page('https://example.com/'),
+  page('https://example.com/no-h1', { hasH1: false, missingH1: true, issues: [{ code: 'missing-h1' }] }),
+  page('https://example.com/two', { multipleH1: true, issues: [{ code: 'multiple-h1' }] }),
+  page('https://example.com/down', { status: 503, ok: false, hasH1: false, missingH1: true }),
+  page('https://example.com/<gone>', { status: null, ok: false, hasH1: false, error: 'timeout' })
+];
+
+const server = http.createServer((req, res) => {
+  res.writeHead(req.url === '/down' ? 500 : 200, { 'Content-Type': 'text/html' });
+  res.end(req.url === '/no-h1' ? '<html><head><title>x</title></head><body></body></html>' : '<html><head><title>x</title></head><body><h1>x</h1></body></html>');
+});
+
+function cli(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'check-h1.js'), ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gate-'));
+  try {
+    assert.deepStrictEqual(parseFailOn('missingH1>0, status5xx>=1,multipleH1>10%'), [
+      { metric: 'missingH1', op: '>', value: 0, percent: false },
+      { metric: 'status5xx', op: '>=', value: 1, percent: false },
+      { metric: 'multipleH1', op: '>', value: 10, percent: true }
+    ]);
+    assert.deepStrictEqual(parseFailOn(''), []);
+    assert.throws(() => parseFailOn('missingH1=>0'), /invalid threshold/);
+    assert.throws(() => parseFailOn('h1Missing>0'), /unknown metric "h1Missing"/);
+
+    const summary = summarizeResults(results);
+    const evaluated = evaluateThresholds(parseFailOn('missingH1>0,multipleH1>25%,status5xx>5,ok<80%'), summary);
+    assert.deepStrictEqual(evaluated.map(r => [r.rule, r.actual, r.failed]), [
+      ['missingH1>0', 3, true],
+      ['multipleH1>25%', 20, false],
+      ['status5xx>5', 1, false],
+      ['ok<80%', 60, true]
+    ]);
+
+    // pages count against `<` rules when they do not add to the metric
+    const failing = failingResults(results, evaluated);
+    assert.deepStrictEqual(failing.map(f => [f.result.url.replace('https://example.com', ''), f.rules.map(r => r.rule)]), [
+      ['/no-h1', ['missingH1>0']],
+      ['/down', ['missingH1>0', 'ok<80%']],
+      ['/<gone>', ['missingH1>0', 'ok<80%']]
+    ]);
+
+    const junit = toJunit(results, evaluated, failing, { durationMs: 1500 });
+    assert.ok(junit.startsWith('<?xml'));
+    assert.ok(/<testsuites name="h1-checker" tests="9" failures="4" errors="1" time="1.500">/.test(junit));
+    assert.ok(junit.includes('<testsuite name="urls" tests="5" failures="2" errors="1"'));
+    assert.ok(junit.includes('name="https://example.com/&lt;gone&gt;"'));
+    assert.ok(junit.includes('<error type="errors" message="missingH1&gt;0, ok&lt;80%">error: timeout; no H1</error>'));
+    assert.ok(junit.includes('<failure type="threshold" message="ok is 60%, threshold ok&lt;80%"/>'));
+
+    const sarif = toSarif(results, evaluated, failing);
+    assert.strictEqual(sarif.version, '2.1.0');
+    const run = sarif.runs[0];
+    assert.deepStrictEqual(run.tool.driver.rules.map(r => r.id), ['missingH1', 'ok']);
+    assert.strictEqual(run.results.length, 5);
+    assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'https://example.com/no-h1');
+    assert.strictEqual(run.results[1].ruleIndex, 0);
+    assert.strictEqual(run.results[2].ruleIndex, 1);
+
+    const junitOut = path.join(dir, 'junit.xml');
+    const sarifOut = path.join(dir, 'report.sarif');
+    const failed = await cli([`${base}/`, `${base}/down`, `${base}/no-h1`, '--fail-on', 'status5xx>0,multipleH1>0', '--junit-out', junitOut, '--sarif-out', sarifOut, '--json']);
+    assert.strictEqual(failed.code, 1, failed.stderr);
+    assert.ok(/Threshold failed: status5xx>0 \(measured 1\)/.test(failed.stderr));
+    assert.ok(!/multipleH1/.test(failed.stderr));
+    assert.ok(fs.readFileSync(junitOut, 'utf8').includes(`<failure type="status5xx" message="status5xx&gt;0">`));
+    const written = JSON.parse(fs.readFileSync(sarifOut, 'utf8'));
+    assert.deepStrictEqual(written.runs[0].results.map(r => r.locations[0].physicalLocation.artifactLocation.uri), [`${base}/down`]);
+
+    // --json stays a plain array; --json-report wraps it with the reports and thresholds
+    const plain = JSON.parse((await cli([`${base}/`, '--json'])).stdout);
+    assert.ok(Array.isArray(plain));
+    assert.strictEqual(plain[0].url, `${base}/`);
+    const wrapped = await cli([`${base}/`, `${base}/down`, '--fail-on', 'status5xx>0', '--json-report']);
+    assert.strictEqual(wrapped.code, 1);
+    const report = JSON.parse(wrapped.stdout);
+    assert.strictEqual(report.results.length, 2);
+    assert.deepStrictEqual(report.duplicates, findDuplicates(report.results));
+    assert.deepStrictEqual(report.thresholds.map(r => [r.rule, r.failed]), [['status5xx>0', true]]);
+    assert.strictEqual((await cli([`${base}/`, '--json', '--json-report'])).code, 1);
+
+    const passed = await cli([`${base}/`, '--fail-on', 'status5xx>0']);
+    assert.strictEqual(passed.code, 0, passed.stderr);
+    // without --fail-on the exit code stays 0
+    assert.strictEqual((await cli([`${base}/down`])).code, 0);
+    const bad = await cli([`${base}/`, '--fail-on', 'nope>1']);
+    assert.strictEqual(bad.code, 1);
+    assert.ok(/unknown metric "nope"/.test(bad.stderr));
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('Test passed — CI thresholds and reporters');
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const http = require('http');
+const { run } = require('../lib/audit');
+const { hreflangCodeError, validateAlternates, createHreflangChecker, hreflangRows } = require('../lib/hreflang');
+const { parseSitemap } = require('../lib/sitemap');
+
+const alternates = (links) => links.map(([code, path]) => `<link rel="alternate" hreflang="${code}" href="${path}">`).join('');
+
+const pages = {
+  '/en': alternates([['en', '/en'], ['de', '/de'], ['fr', '/fr'], ['x-default', '/en']]),
+  '/de': alternates([['en', '/en'], ['de', '/de'], ['x-default', '/en']]),
+  '/es': alternates([['es_ES', '/es-es'], ['en-UK', '/en']]),
+  '/fr/': alternates([['fr', '/fr/']]),
+  '/it': ''
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/fr') {
+    res.writeHead(301, { Location: '/fr/' });
+    return res.end();
+  }
+  if (pages[req.url] === undefined) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<html><head><title>t</title>${pages[req.url]}</head><body><h1>x</h1></body></html>`);
+});
+
+function codesFor(report, url) {
+  for (const cluster of report.clusters) {
+    const page = cluster.pages.find(p => p.url === url);
+    if (page) return page.issues.map(issue => `${issue.code}:${issue.hreflang || ''}`).sort();
+  }
+  return null;
+}
+
+(async () => {
+  try {
+    assert.strictEqual(hreflangCodeError('en'), null);
+    assert.strictEqual(hreflangCodeError('en-GB'), null);
+    assert.strictEqual(hreflangCodeError('zh-Hant-TW'), null);
+    assert.strictEqual(hreflangCodeError('X-Default'), null);
+    assert.ok(/region/.test(hreflangCodeError('en-UK')));
+    assert.ok(/underscore/.test(hreflangCodeError('en_US')));
+    assert.ok(/language/.test(hreflangCodeError('xx')));
+    assert.ok(hreflangCodeError('english'));
+
+    const sitemap = parseSitemap(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+      <url><loc>https://example.com/a</loc><xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/a"/></url>
+      <url><loc>https://example.com/b</loc></url></urlset>`);
+    assert.deepStrictEqual(sitemap.alternates, { 'https://example.com/a': [{ hreflang: 'de', href: 'https://example.com/de/a' }] });
+
+    // a page without a trailing slash still references itself
+    assert.deepStrictEqual(validateAlternates('https://example.com', [{ hreflang: 'en', href: 'https://example.com/' }, { hreflang: 'x-default', href: 'https://example.com/' }]), []);
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const hreflangChecker = createHreflangChecker({ timeoutMs: 5000 });
+    hreflangChecker.addSitemapAlternates({ [`${base}/it`]: [{ hreflang: 'it', href: `${base}/it` }, { hreflang: 'en', href: `${base}/en` }] });
+    const results = await run([`${base}/en`, `${base}/de`, `${base}/es`], { checkRobots: false, checkHreflang: true, hreflangChecker, concurrency: 2 });
+
+    assert.strictEqual(results[0].hreflangCount, 4);
+    assert.deepStrictEqual(results[0].hreflang[1], { hreflang: 'de', href: `${base}/de` });
+    const esCodes = results[2].issues.map(i => i.code);
+    assert.ok(esCodes.includes('hreflang-invalid-code'));
+    assert.ok(esCodes.includes('hreflang-missing-self'));
+    assert.ok(esCodes.includes('hreflang-missing-x-default'));
+
+    await hreflangChecker.finalize();
+    const report = hreflangChecker.report();
+    assert.deepStrictEqual(codesFor(report, `${base}/en`), ['hreflang-target-not-200:fr']);
+    assert.deepStrictEqual(codesFor(report, `${base}/de`), []);
+    assert.deepStrictEqual(codesFor(report, `${base}/es`), [
+      'hreflang-invalid-code:en-UK',
+      'hreflang-invalid-code:es_ES',
+      'hreflang-missing-self:',
+      'hreflang-missing-x-default:',
+      'hreflang-no-return-link:en-UK',
+      'hreflang-target-not-200:es_ES'
+    ]);
+    assert.deepStrictEqual(codesFor(report, `${base}/it`), ['hreflang-missing-x-default:', 'hreflang-no-return-link:en']);
+
+    assert.strictEqual(report.clusters.length, 1);
+    assert.deepStrictEqual(report.clusters[0].urls, ['/de', '/en', '/es', '/es-es', '/fr', '/it'].map(p => base + p));
+    assert.strictEqual(report.pages, 4);
+    assert.strictEqual(hreflangRows(report).length, report.issueCount);
+  } catch (err) {
+    console.error(err);
+    process.exit(2);
+  } finally {
+    server.close();
+  }
+  console.log('Test passed — hreflang extraction and reciprocity');
+})();
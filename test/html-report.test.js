@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const vm = require('vm');
+const cheerio = require('cheerio');
+const { execFile } = require('child_process');
+const { findDuplicates } = require('../lib/duplicates');
+const { renderHtmlReport } = require('../lib/html-report');
+
+const results = [
+  { url: 'https://example.com/', status: 200, ok: true, hasH1: true, h1Count: 1, h1: 'Home', title: '"><img src=x onerror=alert(1)>', issues: [] },
+  { url: 'https://example.com/two', status: 200, ok: true, hasH1: true, h1Count: 2, multipleH1: true, h1: '</script><script>alert(2)</script>', title: 'Home', issues: [{ rule: 'h1', code: 'multiple-h1', message: 'more than one <h1>' }] },
+  { url: 'https://example.com/gone', status: 404, ok: false, hasH1: false, missingH1: true, title: 'Home', issues: [] },
+  { url: 'javascript:alert(3)', status: null, ok: false, hasH1: false, error: 'invalid URL', issues: [] }
+];
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<html><head><title>Tom &amp; Jerry</title></head><body><h1>x</h1></body></html>');
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-'));
+  try {
+    const html = renderHtmlReport(results, { duplicates: findDuplicates(results), durationMs: 125000, generatedAt: new Date('2026-10-19T08:00:00Z') });
+    const $ = cheerio.load(html);
+
+    // page content never becomes markup
+    assert.strictEqual($('img').length, 0);
+    assert.strictEqual($('script').length, 2);
+    assert.strictEqual($('#results tbody tr').eq(0).find('td').eq(9).text(), '"><img src=x onerror=alert(1)>');
+    assert.strictEqual($('#results tbody tr').eq(1).find('td').eq(8).text(), '</script><script>alert(2)</script>');
+    assert.ok(!/javascript:/.test($('a').map((i, a) => $(a).attr('href')).get().join(' ')));
+    assert.strictEqual($('#results tbody tr').eq(3).find('td.url').text(), 'javascript:alert(3)');
+
+    const cards = Object.fromEntries($('.summary-grid .summary-card').map((i, card) => [[$(card).find('.summary-label').text(), $(card).find('.summary-value').text()]]).get());
+    assert.deepStrictEqual(cards, {
+      'Total checked': '4',
+      'With H1': '2',
+      'Missing H1': '2',
+      'Multiple H1s': '1',
+      'Blocked by robots.txt': '0',
+      'Not indexable': '0',
+      'Social meta issues': '0',
+      'Pages with image issues': '0',
+      'Duplicate groups': '1',
+      'Time taken': '2m 5s'
+    });
+    assert.deepStrictEqual($('.status-grid .serverstatus').map((i, el) => $(el).text()).get(), ['2', '1', '0']);
+    assert.strictEqual($('.status-pie').attr('style'), '--p200:180.00deg;--p4xx:90.00deg;--p5xx:0.00deg');
+
+    assert.deepStrictEqual($('#results tbody tr').map((i, tr) => $(tr).attr('data-tags')).get(), [
+      'success',
+      'success multipleH1 issues',
+      'fail missingH1 status4xx',
+      'fail missingH1 errors'
+    ]);
+    const badge = $('#results tbody tr').eq(1).find('.badge');
+    assert.strictEqual(badge.attr('class'), 'badge badge-h1');
+    assert.strictEqual(badge.attr('title'), 'more than one <h1>');
+    assert.strictEqual($('#results tbody tr').eq(2).find('td').eq(1).attr('data-sort'), '404');
+
+    // the embedded data parses back and the inline script compiles
+    const data = JSON.parse($('#report-data').text());
+    assert.strictEqual(data.rows.length, 4);
+    assert.deepStrictEqual(data.failed, [2, 3]);
+    assert.strictEqual(data.rows[1][data.columns.indexOf('h1')], '</script><script>alert(2)</script>');
+    assert.ok(!$('#report-data').html().includes('</script'));
+    assert.doesNotThrow(() => new vm.Script($('script').last().html()));
+    assert.strictEqual($('h3').length, 3);
+
+    assert.ok(renderHtmlReport([]).includes('No results.'));
+
+    const htmlOut = path.join(dir, 'report.html');
+    const cli = await new Promise((resolve) => {
+      execFile(process.execPath, [path.join(__dirname, '..', 'check-h1.js'), `${base}/`, '--html-out', htmlOut, '--export', 'failed'], { timeout: 60000, cwd: dir }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      });
+    });
+    assert.strictEqual(cli.code, 0, cli.stderr);
+    const written = cheerio.load(fs.readFileSync(htmlOut, 'utf8'));
+    assert.strictEqual(written('#results tbody tr td').eq(9).text(), 'Tom & Jerry');
+    assert.strictEqual(written('.meta a').attr('href'), 'report_failed.csv');
+    assert.ok(fs.existsSync(path.join(dir, 'report_failed.csv')));
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('Test passed — HTML report');
+});
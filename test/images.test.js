@@ -0,0 +1,103 @@
+const assert = require('assert');
+const http = require('http');
+const cheerio = require('cheerio');
+const { checkUrl, run, formatCell } = require('../lib/audit');
+const { parseSrcset, extractImages, summarizeImages } = require('../lib/images');
+
+const gallery = '<html><head></head><body>' +
+  '<img src="/logo.png" alt="Logo" width="100" height="40">' +
+  '<img src="/placeholder.gif" data-src="/lazy.png" alt="" width="10" height="10">' +
+  '<img src="/hero.png" srcset="/hero.png 1x, /hero-2x.png 2x" alt="Hero">' +
+  '<img src="/missing.png" width="1" height="1">' +
+  '<img alt="no source">' +
+  '</body></html>';
+
+const pages = {
+  '/gallery': gallery,
+  '/about': '<html><head></head><body><img src="/logo.png" alt="Logo" width="100" height="40"></body></html>'
+};
+
+const images = {
+  '/logo.png': 2000,
+  '/lazy.png': 1000,
+  '/hero.png': 3000,
+  '/hero-2x.png': 900 * 1024
+};
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  if (images[req.url]) {
+    requests.push(`${req.method} ${req.url}`);
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': images[req.url] });
+    return res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(images[req.url]));
+  }
+  const body = pages[req.url];
+  if (!body) {
+    if (req.url.endsWith('.png')) requests.push(`${req.method} ${req.url}`);
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('not found');
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(body);
+});
+
+server.listen(0, async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    assert.deepStrictEqual(parseSrcset('a.jpg 1x, b.jpg 2x'), ['a.jpg', 'b.jpg']);
+    assert.deepStrictEqual(parseSrcset('/img/x,y.jpg 480w, /img/z.jpg 800w'), ['/img/x,y.jpg', '/img/z.jpg']);
+    assert.deepStrictEqual(parseSrcset(''), []);
+
+    const found = extractImages(cheerio.load(gallery), `${base}/gallery`);
+    assert.strictEqual(found.length, 4);
+    assert.strictEqual(found[1].url, `${base}/lazy.png`);
+    assert.strictEqual(found[1].alt, '');
+    assert.deepStrictEqual(found[2].srcset, [`${base}/hero-2x.png`]);
+    assert.strictEqual(found[3].alt, null);
+
+    // markup checks run without fetching anything
+    const offline = await checkUrl(`${base}/gallery`);
+    assert.strictEqual(offline.imageCount, 4);
+    assert.deepStrictEqual(offline.images.map(image => image.issues), [[], ['empty-alt'], ['missing-dimensions'], ['missing-alt']]);
+    assert.ok(offline.images.every(image => image.status === null));
+    assert.deepStrictEqual(offline.issues.filter(i => i.rule === 'images').map(i => i.code), ['image-missing-alt', 'image-empty-alt', 'image-missing-dimensions']);
+    assert.strictEqual(requests.length, 0);
+
+    const results = await run([`${base}/gallery`, `${base}/about`], { checkImages: true, checkOgImage: false, maxImageBytes: 500 * 1024, concurrency: 1 });
+    const [page, about] = results;
+    assert.deepStrictEqual(page.images.map(image => image.issues), [[], ['empty-alt'], ['missing-dimensions', 'oversized'], ['missing-alt', 'broken']]);
+    assert.strictEqual(page.images[0].status, 200);
+    assert.strictEqual(page.images[0].bytes, 2000);
+    assert.strictEqual(page.images[3].status, 404);
+    assert.strictEqual(page.imageIssueCount, 3);
+    const oversized = page.issues.find(i => i.code === 'oversized-image');
+    assert.strictEqual(oversized.message, '1 image(s) over the size limit of 500 KB');
+    assert.ok(page.issues.some(i => i.code === 'broken-image'));
+    assert.strictEqual(about.imageIssueCount, 0);
+    // the shared logo is requested once for the whole job, with HEAD only
+    assert.deepStrictEqual(requests.filter(r => r.endsWith('/logo.png')), ['HEAD /logo.png']);
+    assert.ok(requests.every(r => r.startsWith('HEAD ')));
+    assert.strictEqual(formatCell(page, 'images'), `${base}/lazy.png (empty-alt);${base}/hero.png (missing-dimensions,oversized);${base}/missing.png (missing-alt,broken)`);
+
+    const report = summarizeImages(results.concat([{ url: `${base}/down`, error: 'timeout' }]));
+    assert.strictEqual(report.pages, 2);
+    assert.strictEqual(report.imageCount, 4);
+    assert.strictEqual(report.problemImageCount, 3);
+    assert.deepStrictEqual(report.rows[2], {
+      page: `${base}/gallery`,
+      image: `${base}/missing.png`,
+      alt: null,
+      width: '1',
+      height: '1',
+      status: 404,
+      bytes: null,
+      issues: 'missing-alt;broken'
+    });
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  console.log('Test passed — images');
+});
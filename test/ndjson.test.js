@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { openStore } = require('../lib/store');
+const { createJobManager } = require('../lib/jobs');
+const { createSummary, addToSummary, summarizeResults } = require('../lib/summary');
+
+const server = http.createServer((req, res) => {
+  res.writeHead(req.url === '/down' ? 500 : 200, { 'Content-Type': 'text/html' });
+  res.end(req.url === '/no-h1' ? '<html><head><title>x</title></head><body></body></html>' : '<html><head><title>x</title></head><body><h1>x</h1></body></html>');
+});
+
+function cli(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'check-h1.js'), ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-'));
+  try {
+    const pages = [
+      { url: 'https://example.com/', status: 200, ok: true, hasH1: true, issues: [] },
+      { url: 'https://example.com/x', status: 404, ok: false, hasH1: false, missingH1: true, issues: [{ code: 'missing-h1' }] }
+    ];
+    const running = createSummary();
+    pages.forEach(page => addToSummary(running, page));
+    assert.deepStrictEqual(running, summarizeResults(pages));
+
+    // one JSON object per line on stdout, messages on stderr
+    const csvOut = path.join(dir, 'report.csv');
+    const streamed = await cli([`${base}/`, `${base}/down`, `${base}/no-h1`, '--ndjson', '--csv-out', csvOut, '--fail-on', 'status5xx>0']);
+    assert.strictEqual(streamed.code, 1, streamed.stderr);
+    const lines = streamed.stdout.split('\n');
+    assert.strictEqual(lines.pop(), '');
+    const rows = lines.map(line => JSON.parse(line));
+    assert.deepStrictEqual(rows.map(row => row.url).sort(), [`${base}/`, `${base}/down`, `${base}/no-h1`]);
+    assert.strictEqual(rows.find(row => row.url === `${base}/no-h1`).hasH1, false);
+    assert.ok(/Threshold failed: status5xx>0/.test(streamed.stderr));
+    assert.ok(/CSV report written/.test(streamed.stderr), streamed.stderr);
+    assert.strictEqual(fs.readFileSync(csvOut, 'utf8').trim().split('\n').length, 4);
+
+    const both = await cli([`${base}/`, '--ndjson', '--json']);
+    assert.strictEqual(both.code, 1);
+    assert.ok(/cannot be combined/.test(both.stderr));
+
+    // paging stored results and watching a live job
+    const store = openStore(':memory:');
+    const manager = createJobManager({ store, jobTtlMs: 60000 });
+    const job = manager.createJob(['a', 'b', 'c']);
+    manager.recordResult(job, 0, { url: 'a' });
+    const events = [];
+    const unwatch = manager.watchJob(job.id, (event, payload) => events.push([event, payload.index]));
+    manager.recordResult(job, 2, { url: 'c' });
+    manager.recordResult(job, 1, { url: 'b' });
+    assert.deepStrictEqual(store.listResultsAfter(job.id, -1, 2).map(row => row.index), [0, 1]);
+    assert.deepStrictEqual(store.listResultsAfter(job.id, 1).map(row => row.result.url), ['c']);
+    await manager.settleJob(job, Promise.resolve());
+    assert.deepStrictEqual(events, [['progress', 2], ['progress', 1], ['done', undefined]]);
+    assert.strictEqual(manager.watchJob(job.id, () => {}), null);
+    unwatch();
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('Test passed — NDJSON streaming');
+});
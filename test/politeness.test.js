@@ -0,0 +1,118 @@
+const assert = require('assert');
+const http = require('http');
+const { checkUrl, run } = require('../lib/audit');
+const { createHostLimiter, parseRetryAfter } = require('../lib/politeness');
+const { createLinkChecker } = require('../lib/link-checker');
+
+const hits = {};
+const server = http.createServer((req, res) => {
+  hits[req.url] = (hits[req.url] || 0) + 1;
+  const n = hits[req.url];
+  if (req.url === '/throttled' && n === 1) {
+    res.writeHead(429, { 'Retry-After': '1' });
+    return res.end();
+  }
+  if (req.url === '/flaky' && n < 3) {
+    res.writeHead(503);
+    return res.end();
+  }
+  if (req.url === '/link-busy' && n === 1) {
+    res.writeHead(429, { 'Retry-After': '1' });
+    return res.end();
+  }
+  if (req.url === '/busy') {
+    res.writeHead(503, { 'Retry-After': '1' });
+    return res.end();
+  }
+  if (req.url === '/down') {
+    res.writeHead(500);
+    return res.end();
+  }
+  if (req.url === '/slow' && n === 1) return; // never answers, so the first attempt times out
+  if (req.url === '/gone') {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    return res.end('<html></html>');
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<html><head><title>Ok</title></head><body><h1>Ok</h1></body></html>');
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const fast = { retryDelayMs: 10, timeoutMs: 300 };
+  try {
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    assert.strictEqual(parseRetryAfter(new Date(Date.now() + 30000).toUTCString()) > 28000, true);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(null), null);
+
+    const ok = await checkUrl(`${base}/`, fast);
+    assert.strictEqual(ok.attempts, 1);
+
+    // Retry-After wins over the backoff and holds back the host
+    let start = Date.now();
+    const throttled = await checkUrl(`${base}/throttled`, fast);
+    assert.strictEqual(throttled.status, 200);
+    assert.strictEqual(throttled.attempts, 2);
+    assert.ok(Date.now() - start >= 900);
+
+    const flaky = await checkUrl(`${base}/flaky`, fast);
+    assert.strictEqual(flaky.status, 200);
+    assert.strictEqual(flaky.attempts, 3);
+
+    const down = await checkUrl(`${base}/down`, { ...fast, maxAttempts: 2 });
+    assert.strictEqual(down.status, 500);
+    assert.strictEqual(down.attempts, 2);
+    assert.strictEqual(hits['/down'], 2);
+
+    // a single attempt still holds the host back for Retry-After
+    const hostLimiter = createHostLimiter();
+    const busy = await checkUrl(`${base}/busy`, { ...fast, maxAttempts: 1, hostLimiter });
+    assert.strictEqual(busy.status, 503);
+    assert.strictEqual(busy.attempts, 1);
+    start = Date.now();
+    await hostLimiter.acquire(`${base}/`);
+    assert.ok(Date.now() - start >= 900);
+
+    // link probes go through the same limiter and retries as the pages
+    const linkLimiter = createHostLimiter();
+    start = Date.now();
+    const link = await createLinkChecker({ ...fast, hostLimiter: linkLimiter }).check(`${base}/link-busy`);
+    assert.strictEqual(link.status, 200);
+    assert.strictEqual(hits['/link-busy'], 2);
+    assert.ok(Date.now() - start >= 900);
+
+    const slow = await checkUrl(`${base}/slow`, fast);
+    assert.strictEqual(slow.error, null);
+    assert.strictEqual(slow.attempts, 2);
+
+    // 4xx other than 429 is final
+    const gone = await checkUrl(`${base}/gone`, fast);
+    assert.strictEqual(gone.attempts, 1);
+
+    const refused = await checkUrl('http://127.0.0.1:1/', { ...fast, maxAttempts: 2 });
+    assert.ok(refused.error);
+    assert.strictEqual(refused.attempts, 2);
+
+    // 10 requests per second with no burst: 5 requests take about 400ms
+    const limiter = createHostLimiter({ hostRateLimit: 10, hostBurst: 1 });
+    start = Date.now();
+    await Promise.all([1, 2, 3, 4, 5].map(() => limiter.acquire(`${base}/`)));
+    const elapsed = Date.now() - start;
+    assert.ok(elapsed >= 350 && elapsed < 1000, `rate limit took ${elapsed}ms`);
+    start = Date.now();
+    await createHostLimiter({ hostRateLimit: 10 }).acquire('http://other.test/');
+    assert.ok(Date.now() - start < 50);
+
+    start = Date.now();
+    const results = await run([1, 2, 3, 4].map(i => `${base}/page-${i}`), { ...fast, hostRateLimit: 10, hostBurst: 1, concurrency: 4 });
+    assert.ok(results.every(r => r.status === 200 && r.attempts === 1));
+    assert.ok(Date.now() - start >= 250);
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  console.log('Test passed — rate limiting and retries');
+});
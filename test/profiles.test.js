@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { checkUrl } = require('../lib/audit');
+const { USER_AGENT_PRESETS, loadProfiles, getProfile, profileOptions, describeProfiles } = require('../lib/profiles');
+
+const seen = [];
+const server = http.createServer((req, res) => {
+  seen.push({ ...req.headers, host: req.headers.host.split(':')[0] });
+  if (req.headers.authorization !== `Basic ${Buffer.from('editor:s3cret').toString('base64')}`) {
+    res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="staging"', 'Content-Type': 'text/html' });
+    return res.end('<html><body>locked</body></html>');
+  }
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<html><head><title>Staging</title></head><body><h1>Staging</h1></body></html>');
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+const file = path.join(dir, 'profiles.json');
+fs.writeFileSync(file, JSON.stringify({
+  staging: {
+    userAgent: 'googlebot-smartphone',
+    headers: { 'X-Audit': 'yes' },
+    cookies: { consent: 'all', region: 'eu' },
+    auth: { username: 'editor', password: '${TEST_STAGING_PASSWORD}' }
+  },
+  custom: { userAgent: 'my-crawler/2.0', cookies: 'a=1; b=2', hosts: ['example.com'] }
+}));
+process.env.TEST_STAGING_PASSWORD = 's3cret';
+
+server.listen(0, '127.0.0.1', async () => {
+  const port = server.address().port;
+  const site = `http://127.0.0.1:${port}`;
+  try {
+    assert.deepStrictEqual(loadProfiles(path.join(dir, 'missing.json')), {});
+    const profiles = loadProfiles(file);
+    assert.strictEqual(profiles.staging.auth.password, 's3cret');
+    assert.strictEqual(getProfile(profiles, ''), null);
+    assert.throws(() => getProfile(profiles, 'prod'), /unknown profile "prod"/);
+    assert.throws(() => getProfile(profiles, 'toString'), /unknown profile/);
+
+    const described = describeProfiles(profiles);
+    assert.deepStrictEqual(described, [
+      { name: 'staging', userAgent: 'googlebot-smartphone', headers: ['X-Audit'], cookies: ['consent', 'region'], auth: true, hosts: [] },
+      { name: 'custom', userAgent: 'custom', headers: [], cookies: ['a', 'b'], auth: false, hosts: ['example.com'] }
+    ]);
+    assert.ok(!JSON.stringify(described).includes('s3cret'));
+
+    const custom = profileOptions(profiles.custom, [site]);
+    assert.strictEqual(custom.userAgent, 'my-crawler/2.0');
+    assert.deepStrictEqual(custom.credentials, { sites: ['example.com'], headers: { Cookie: 'a=1; b=2' } });
+
+    const locked = await checkUrl(`${site}/`);
+    assert.strictEqual(locked.status, 401);
+
+    const options = profileOptions(profiles.staging, [`${site}/`]);
+    const page = await checkUrl(`${site}/`, options);
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.h1, 'Staging');
+    const sent = seen[seen.length - 1];
+    assert.strictEqual(sent['user-agent'], USER_AGENT_PRESETS['googlebot-smartphone']);
+    assert.strictEqual(sent['x-audit'], 'yes');
+    assert.strictEqual(sent.cookie, 'consent=all; region=eu');
+
+    // another site gets the user agent but no headers, cookies or auth
+    const other = await checkUrl(`http://localhost:${port}/`, options);
+    assert.strictEqual(other.status, 401);
+    const leaked = seen[seen.length - 1];
+    assert.strictEqual(leaked.host, 'localhost');
+    assert.strictEqual(leaked['user-agent'], USER_AGENT_PRESETS['googlebot-smartphone']);
+    assert.strictEqual(leaked['x-audit'], undefined);
+    assert.strictEqual(leaked.cookie, undefined);
+    assert.strictEqual(leaked.authorization, undefined);
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('Test passed — scan profiles');
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { parseRobotsTxt, isAllowed, getCrawlDelayMs } = require('../lib/robots');
+
+const robots = parseRobotsTxt([
+  'User-agent: *',
+  'Disallow: /private/',
+  'Allow: /private/public-page',
+  'Disallow: /*.pdf$',
+  'Crawl-delay: 2',
+  '',
+  'User-agent: h1-checker',
+  'Disallow: /staging',
+  '',
+  'Sitemap: https://example.com/sitemap.xml',
+  'Sitemap: https://example.com/news-sitemap.xml'
+].join('\n'));
+
+try {
+  assert.deepStrictEqual(robots.sitemaps, ['https://example.com/sitemap.xml', 'https://example.com/news-sitemap.xml']);
+
+  const ua = 'Mozilla/5.0 (compatible; Generic/1.0)';
+  assert.strictEqual(isAllowed(robots, 'https://example.com/', ua), true);
+  assert.strictEqual(isAllowed(robots, 'https://example.com/private/x', ua), false);
+  assert.strictEqual(isAllowed(robots, 'https://example.com/private/public-page', ua), true);
+  assert.strictEqual(isAllowed(robots, 'https://example.com/file.pdf', ua), false);
+  assert.strictEqual(isAllowed(robots, 'https://example.com/file.pdf?x=1', ua), true);
+  assert.strictEqual(getCrawlDelayMs(robots, ua), 2000);
+
+  // a specific group replaces the * group entirely
+  assert.strictEqual(isAllowed(robots, 'https://example.com/private/x', 'h1-checker/1.0'), true);
+  assert.strictEqual(isAllowed(robots, 'https://example.com/staging/home', 'h1-checker/1.0'), false);
+  assert.strictEqual(getCrawlDelayMs(robots, 'h1-checker/1.0'), 0);
+
+  assert.strictEqual(isAllowed(parseRobotsTxt('User-agent: *\nDisallow:'), 'https://example.com/a', ua), true);
+} catch (err) {
+  console.error(err);
+  process.exit(2);
+}
+console.log('Test passed — robots.txt parsing');
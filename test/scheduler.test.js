@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { openStore } = require('../lib/store');
+const { parseCron, nextRun, nextRuns } = require('../lib/cron');
+const { normalizeSchedule, describeSchedule, createScheduler } = require('../lib/scheduler');
+
+const at = (...args) => new Date(...args).getTime();
+
+(async () => {
+  try {
+    // local time, Monday 19 October 2026 10:30
+    const from = at(2026, 9, 19, 10, 30);
+    assert.strictEqual(nextRun('*/15 * * * *', from).getTime(), at(2026, 9, 19, 10, 45));
+    assert.strictEqual(nextRun('0 9 * * mon', from).getTime(), at(2026, 9, 26, 9, 0));
+    assert.strictEqual(nextRun('30 2 * * 1-5', from).getTime(), at(2026, 9, 20, 2, 30));
+    assert.strictEqual(nextRun('@monthly', from).getTime(), at(2026, 10, 1));
+    assert.strictEqual(nextRun('0 0 * * 7', from).getTime(), at(2026, 9, 25));
+    assert.strictEqual(nextRun('0 0 29 feb *', from).getTime(), at(2028, 1, 29));
+    // day of month and day of week both restricted: either one matches
+    assert.strictEqual(nextRun('0 0 13 * 5', from).getTime(), at(2026, 9, 23));
+    assert.strictEqual(nextRun('0 0 30 2 *', from), null);
+    assert.deepStrictEqual(nextRuns('0 */6 * * *', 3, from), [at(2026, 9, 19, 12), at(2026, 9, 19, 18), at(2026, 9, 20)]);
+    assert.throws(() => parseCron('61 * * * *'), /minute 61 is out of range/);
+    assert.throws(() => parseCron('0 9 * *'), /5 fields/);
+    assert.throws(() => parseCron('0 9 * * funday'), /day of week/);
+
+    assert.throws(() => normalizeSchedule({ url: 'ftp://example.com/', cron: '@daily' }), /http\(s\)/);
+    assert.throws(() => normalizeSchedule({ url: 'https://example.com/', mode: 'crawl', cron: '@daily' }), /mode/);
+    assert.throws(() => normalizeSchedule({ url: 'https://example.com/', cron: '0 0 30 2 *' }), /never fires/);
+    assert.deepStrictEqual(normalizeSchedule({
+      url: 'https://example.com/sitemap.xml',
+      cron: '0 6 * * 1',
+      options: { checkLinks: true, checkImages: false, concurrency: '4', respectRobots: false }
+    }), { name: null, url: 'https://example.com/sitemap.xml', mode: 'sitemap', cron: '0 6 * * 1', profile: null, options: { checkLinks: true, concurrency: 4 } });
+
+    const store = openStore(':memory:');
+    let now = from;
+    const started = [];
+    let fail = false;
+    const scheduler = createScheduler({
+      store,
+      now: () => now,
+      runSchedule: async (schedule, runId) => {
+        if (fail) throw new Error('no URLs found in the sitemaps');
+        started.push(schedule.id);
+        store.attachScheduleRun(runId, `job-${started.length}`);
+      }
+    });
+
+    const weekly = store.createSchedule({ id: 'weekly', ...normalizeSchedule({ url: 'https://example.com/', mode: 'site', cron: '0 6 * * 1' }), nextRunAt: nextRun('0 6 * * 1', from).getTime() });
+    assert.deepStrictEqual(describeSchedule(weekly, from).upcoming, [at(2026, 9, 26, 6), at(2026, 10, 2, 6), at(2026, 10, 9, 6)]);
+    await scheduler.tick();
+    assert.deepStrictEqual(started, []);
+
+    // missed slots while the server was down run once
+    now = at(2026, 10, 10, 8);
+    await scheduler.tick();
+    await scheduler.tick();
+    assert.deepStrictEqual(started, ['weekly']);
+    assert.strictEqual(store.getSchedule('weekly').nextRunAt, at(2026, 10, 16, 6));
+    assert.strictEqual(store.getSchedule('weekly').lastRunAt !== null, true);
+
+    // the job's finish settles the run; a run still going skips the next slot
+    now = at(2026, 10, 16, 6);
+    await scheduler.tick();
+    assert.deepStrictEqual(store.listScheduleRuns('weekly').map(r => r.status), ['skipped', 'running']);
+    assert.throws(() => scheduler.runNow(store.getSchedule('weekly')), /still in progress/);
+    store.finishJobScheduleRun('job-1', { status: 'done', summary: { total: 3, missingH1: 1 } });
+    const [, first] = store.listScheduleRuns('weekly');
+    assert.strictEqual(first.status, 'done');
+    assert.strictEqual(first.jobId, 'job-1');
+    assert.deepStrictEqual(first.summary, { total: 3, missingH1: 1 });
+
+    fail = true;
+    await scheduler.runNow(store.getSchedule('weekly'));
+    const [failed] = store.listScheduleRuns('weekly');
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error, 'no URLs found in the sitemaps');
+
+    // paused schedules have no next run and are never due
+    const paused = store.setSchedulePaused('weekly', true);
+    assert.strictEqual(paused.nextRunAt, null);
+    assert.deepStrictEqual(describeSchedule(paused).upcoming, []);
+    now = at(2027, 0, 1);
+    fail = false;
+    await scheduler.tick();
+    assert.deepStrictEqual(started, ['weekly']);
+    assert.strictEqual(store.setSchedulePaused('weekly', false, nextRun('0 6 * * 1', now).getTime()).nextRunAt, at(2027, 0, 4, 6));
+
+    // a run that was still collecting URLs when the server stopped
+    store.startScheduleRun('weekly');
+    assert.strictEqual(store.failInterruptedRuns(), 1);
+    assert.strictEqual(store.listScheduleRuns('weekly', 1)[0].error, 'interrupted by a restart');
+
+    assert.strictEqual(store.deleteSchedule('weekly'), true);
+    assert.deepStrictEqual(store.listScheduleRuns('weekly'), []);
+    assert.strictEqual(store.deleteSchedule('weekly'), false);
+  } catch (err) {
+    console.error(err);
+    process.exit(2);
+  }
+  console.log('Test passed — scheduled scans');
+})();
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+
+const pages = {
+  '/': '<html><head><title>Home</title></head><body><h1>Home</h1><a href="/product-1">1</a><a href="/product-2">2</a><a href="/blog/a">blog</a></body></html>',
+  '/product-1': '<html><head><title>Product, "one"</title></head><body><h1>One</h1></body></html>',
+  '/product-2': '<html><head><title>Product two</title></head><body><h1>Two</h1></body></html>',
+  '/blog/a': '<html><head><title>Blog</title></head><body><p>no heading</p></body></html>'
+};
+
+const site = http.createServer((req, res) => {
+  const body = pages[req.url];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'text/html' });
+  res.end(body || 'not found');
+});
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts server.js on its own port and database; resolves once it listens.
+async function startServer(dir) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), JOB_DB_PATH: path.join(dir, 'jobs.db'), PROFILES_PATH: path.join(dir, 'profiles.json') },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start')), 15000);
+    child.stdout.on('data', (chunk) => {
+      if (/Server listening/.test(chunk.toString())) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => reject(new Error(`server exited with ${code}`)));
+  });
+  return { child, api: `http://127.0.0.1:${port}` };
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return res.json();
+}
+
+async function waitForJob(api, jobId) {
+  for (let i = 0; i < 100; i += 1) {
+    const job = await (await fetch(`${api}/api/jobs/${jobId}`)).json();
+    if (job.status !== 'running') return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`job ${jobId} did not finish`);
+}
+
+site.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${site.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+  let server;
+  try {
+    server = await startServer(dir);
+    const { api } = server;
+
+    // job results as CSV carry the actual cell values
+    const check = await postJson(`${api}/api/check-job`, { urls: [`${base}/product-1`, `${base}/blog/a`] });
+    await waitForJob(api, check.jobId);
+    const csv = await (await fetch(`${api}/api/jobs/${check.jobId}/results?format=csv`)).text();
+    const [header, ...lines] = csv.split('\r\n');
+    const columns = header.split(',');
+    assert.strictEqual(lines.length, 2);
+    const cell = (line, key) => line.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)[columns.indexOf(key)];
+    const first = lines.find(line => line.startsWith(`${base}/product-1`));
+    const second = lines.find(line => line.startsWith(`${base}/blog/a`));
+    assert.strictEqual(cell(first, 'status'), '200');
+    assert.strictEqual(cell(first, 'hasH1'), 'true');
+    assert.strictEqual(cell(first, 'h1'), 'One');
+    assert.strictEqual(cell(first, 'title'), '"Product, ""one"""');
+    assert.strictEqual(cell(second, 'hasH1'), 'false');
+    assert.ok(cell(second, 'issues').includes('missing-h1'));
+
+    // include/exclude patterns sent to the crawl endpoint filter discovered links
+    const crawlJob = await postJson(`${api}/api/crawl-job`, { url: `${base}/`, include: 'product', exclude: ['product-2'] });
+    await waitForJob(api, crawlJob.jobId);
+    const crawled = (await (await fetch(`${api}/api/jobs/${crawlJob.jobId}/results`)).json()).results.map(r => r.url.replace(base, ''));
+    assert.deepStrictEqual(crawled.sort(), ['/', '/product-1']);
+    // only jobs with a site (crawls, or checks that name one) join the scan history
+    const siteCheck = await postJson(`${api}/api/check-job`, { urls: [`${base}/`], site: `${base}/` });
+    await waitForJob(api, siteCheck.jobId);
+    const { scans } = await (await fetch(`${api}/api/sites/127.0.0.1/scans`)).json();
+    assert.deepStrictEqual(scans.map(scan => scan.id).sort(), [crawlJob.jobId, siteCheck.jobId].sort());
+    assert.ok(!scans.some(scan => scan.id === check.jobId));
+
+    const invalid = await fetch(`${api}/api/crawl-job`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url: `${base}/`, include: '(' }) });
+    assert.strictEqual(invalid.status, 400);
+  } catch (err) {
+    console.error(err);
+    if (server) server.child.kill();
+    site.close();
+    process.exit(2);
+  }
+  server.child.kill();
+  site.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('Test passed — server job endpoints');
+});
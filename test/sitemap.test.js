@@ -0,0 +1,118 @@
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const path = require('path');
+const { execFile } = require('child_process');
+const { parseSitemap, walkSitemaps, collectSitemapUrls, sampleUrls } = require('../lib/sitemap');
+
+const urlset = (locs) => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.map(l => `<url><loc>${l}</loc></url>`).join('')}</urlset>`;
+
+const routes = {
+  '/sitemap_index.xml': ['application/xml', `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <sitemap><loc>BASE/pages.xml.gz</loc></sitemap>
+    <sitemap><loc>BASE/urls.txt</loc></sitemap>
+    <sitemap><loc>BASE/feed.rss</loc></sitemap>
+    <sitemap><loc>BASE/feed.atom</loc></sitemap>
+    <sitemap><loc>BASE/empty.xml</loc></sitemap>
+    <sitemap><loc>BASE/missing.xml</loc></sitemap>
+  </sitemapindex>`],
+  '/pages.xml.gz': ['application/octet-stream', urlset(['BASE/a', 'BASE/b']), true],
+  '/urls.txt': ['text/plain', 'BASE/b\nBASE/c\n\nnot a url\n'],
+  '/feed.rss': ['application/rss+xml', '<rss version="2.0"><channel><title>x</title><link>BASE/</link><item><link>BASE/post-1</link></item></channel></rss>'],
+  '/feed.atom': ['application/atom+xml', '<feed xmlns="http://www.w3.org/2005/Atom"><link rel="self" href="BASE/feed.atom"/><entry><link rel="edit" href="BASE/edit"/><link href="BASE/post-2"/></entry></feed>'],
+  '/empty.xml': ['application/xml', '<html><body>Not a sitemap</body></html>'],
+  '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /hidden-too\nSitemap: BASE/sitemap_index.xml'],
+  '/cli.xml': ['application/xml', urlset(['BASE/hidden'])],
+  '/hidden': ['text/html', '<html><head><meta name="robots" content="noindex"></head><body><h1>Hidden</h1></body></html>'],
+  '/hidden-too': ['text/html', '<html><head><meta name="robots" content="noindex"></head><body><h1>Hidden</h1></body></html>']
+};
+
+const server = http.createServer((req, res) => {
+  const route = routes[req.url];
+  if (!route) {
+    res.writeHead(404);
+    return res.end();
+  }
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const body = route[1].replace(/BASE/g, base);
+  res.writeHead(200, { 'Content-Type': route[0] });
+  res.end(route[2] ? zlib.gzipSync(body) : body);
+});
+
+(async () => {
+  try {
+    assert.strictEqual(parseSitemap('https://example.com/a\r\nhttps://example.com/b').format, 'text');
+    assert.deepStrictEqual(parseSitemap('/a\n/b', { url: 'https://example.com/x.txt' }).urlLocs, []);
+    assert.strictEqual(parseSitemap('garbage').format, 'unknown');
+    assert.deepStrictEqual(parseSitemap('<rdf:RDF><item><link>https://example.com/p</link></item></rdf:RDF>').urlLocs, ['https://example.com/p']);
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const sitemaps = [];
+    const warnings = [];
+    const urls = [];
+    const walked = await walkSitemaps([`${base}/sitemap_index.xml`], { timeoutMs: 5000 }, {
+      onSitemap: info => sitemaps.push(info),
+      onUrls: batch => urls.push(...batch),
+      onWarning: (url, error) => warnings.push({ url, error })
+    });
+
+    const formats = Object.fromEntries(sitemaps.map(s => [s.url.replace(base, ''), s.gzip ? `${s.format}+gzip` : s.format]));
+    assert.deepStrictEqual(formats, {
+      '/sitemap_index.xml': 'sitemapindex',
+      '/pages.xml.gz': 'urlset+gzip',
+      '/urls.txt': 'text',
+      '/feed.rss': 'rss',
+      '/feed.atom': 'atom',
+      '/empty.xml': 'unknown'
+    });
+    assert.deepStrictEqual(urls.map(u => u.replace(base, '')), ['/a', '/b', '/c', '/post-1', '/post-2']);
+    assert.strictEqual(walked.total, 5);
+    assert.deepStrictEqual(warnings.map(w => w.url.replace(base, '')).sort(), ['/empty.xml', '/missing.xml']);
+    assert.ok(/404/.test(warnings.find(w => w.url.endsWith('/missing.xml')).error));
+
+    // a site starts from the sitemaps its robots.txt lists
+    const site = await collectSitemapUrls(`${base}/`, { site: true, timeoutMs: 5000 });
+    assert.deepStrictEqual(site.roots, [`${base}/sitemap_index.xml`]);
+    assert.deepStrictEqual(site.urls.map(u => u.replace(base, '')), ['/a', '/b', '/c', '/post-1', '/post-2']);
+    const single = await collectSitemapUrls(`${base}/urls.txt`, { timeoutMs: 5000 });
+    assert.deepStrictEqual(single.urls.map(u => u.replace(base, '')), ['/b', '/c']);
+    const capped = await collectSitemapUrls(`${base}/sitemap_index.xml`, { maxUrls: 2, timeoutMs: 5000 });
+    assert.deepStrictEqual(capped.urls.map(u => u.replace(base, '')), ['/a', '/b']);
+
+    // the CLI checks URLs read from --sitemap as sitemap URLs, and --url ones as given
+    const cli = args => new Promise((resolve) => {
+      execFile(process.execPath, [path.join(__dirname, '..', 'check-h1.js'), ...args, '--ndjson'], { timeout: 60000 }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stderr, results: stdout.trim().split('\n').filter(Boolean).map(JSON.parse) });
+      });
+    });
+    const mixed = await cli(['--sitemap', `${base}/cli.xml`, '--url', `${base}/hidden-too`]);
+    assert.strictEqual(mixed.code, 0, mixed.stderr);
+    const conflicts = Object.fromEntries(mixed.results.map(r => [r.url.replace(base, ''), r.issues.some(i => i.code === 'sitemap-conflict')]));
+    assert.deepStrictEqual(conflicts, { '/hidden': true, '/hidden-too': false });
+
+    // URLs robots.txt disallows are still checked and marked, unless --respect-robots skips them
+    const disallowed = mixed.results.find(r => r.url === `${base}/hidden-too`);
+    assert.strictEqual(disallowed.status, 200);
+    assert.strictEqual(disallowed.robotsAllowed, false);
+    assert.ok(disallowed.issues.some(i => i.code === 'blocked-by-robots'));
+    const [skipped] = (await cli(['--url', `${base}/hidden-too`, '--respect-robots'])).results;
+    assert.strictEqual(skipped.status, null);
+    assert.strictEqual(skipped.error, 'blocked by robots.txt');
+
+    const list = ['a', 'b', 'c', 'd', 'e'];
+    assert.deepStrictEqual(sampleUrls(list, 10), list);
+    assert.deepStrictEqual(sampleUrls(list, 0), list);
+    const sampled = sampleUrls(list, 3);
+    assert.strictEqual(new Set(sampled).size, 3);
+    assert.deepStrictEqual(sampled, list.filter(u => sampled.includes(u)));
+    assert.deepStrictEqual(sampleUrls(list, 2, () => 0), ['a', 'b']);
+  } catch (err) {
+    console.error(err);
+    process.exit(2);
+  } finally {
+    server.close();
+  }
+  console.log('Test passed — sitemap formats and walker');
+})();
@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { openStore } = require('../lib/store');
+
+const store = openStore(':memory:');
+
+try {
+  store.createJob({ id: 'job-1', kind: 'check', total: 3, params: { concurrency: 2 }, urls: ['a', 'b', 'c'] });
+  store.appendEvent('job-1', 'start', { total: 3 });
+  const result = { url: 'b', status: 200 };
+  store.saveResult('job-1', 1, result, { total: 3, processed: 1 });
+  store.appendEvent('job-1', 'progress', { index: 1, result, processed: 1, total: 3 });
+
+  const job = store.getJob('job-1');
+  assert.strictEqual(job.status, 'running');
+  assert.strictEqual(job.processed, 1);
+  assert.deepStrictEqual(job.urls, ['a', 'b', 'c']);
+  assert.deepStrictEqual(store.listUnfinished().map(j => j.id), ['job-1']);
+  assert.deepStrictEqual([...store.resultIndexes('job-1')], [1]);
+
+  const events = store.listEvents('job-1');
+  assert.deepStrictEqual(events.map(e => e.event), ['start', 'progress']);
+  assert.deepStrictEqual(events[1].payload.result, result);
+  assert.deepStrictEqual(store.listEvents('job-1', events[0].seq).map(e => e.seq), [events[1].seq]);
+
+  store.saveReport('job-1', 'brokenLinks', { checked: 4, internal: [], external: [] });
+  store.finishJob('job-1', { status: 'done', total: 3, processed: 3 });
+  assert.strictEqual(store.getJob('job-1').status, 'done');
+  assert.strictEqual(store.listUnfinished().length, 0);
+  assert.strictEqual(store.getReport('job-1', 'brokenLinks').checked, 4);
+
+  assert.strictEqual(store.purgeFinishedBefore(Date.now() - 60000), 0);
+  assert.strictEqual(store.purgeFinishedBefore(Date.now() + 1), 1);
+  assert.strictEqual(store.getJob('job-1'), null);
+  assert.strictEqual(store.listEvents('job-1').length, 0);
+
+  // the newest completed scans of each site outlive the job retention
+  for (const [id, site, status] of [['scan-1', 'example.com', 'done'], ['scan-2', 'example.com', 'done'], ['plain-1', null, 'done'], ['failed-1', 'example.com', 'failed']]) {
+    store.createJob({ id, kind: 'check', site, total: 1, params: {}, urls: ['a'] });
+    store.finishJob(id, { status, total: 1, processed: 1 });
+  }
+  assert.strictEqual(store.purgeFinishedBefore(Date.now() - 60000, { keepScans: 1 }), 0);
+  assert.strictEqual(store.purgeFinishedBefore(Date.now() + 1, { keepScans: 1 }), 3);
+  assert.deepStrictEqual(store.listScans('example.com').map(scan => scan.id), ['scan-2']);
+  assert.strictEqual(store.getJob('plain-1'), null);
+  assert.strictEqual(store.purgeFinishedBefore(Date.now() + 1), 1);
+} catch (err) {
+  console.error(err);
+  process.exit(2);
+}
+store.close();
+console.log('Test passed — job store');
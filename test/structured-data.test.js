@@ -0,0 +1,53 @@
+const assert = require('assert');
+const cheerio = require('cheerio');
+const { extractStructuredData, summarizeStructuredData, templateKey } = require('../lib/structured-data');
+
+const html = `<html><head>
+<script type="application/ld+json">{"@context":"https://schema.org","@graph":[
+  {"@type":"Product","name":"Widget","image":"/w.png","description":"d","brand":"Acme","sku":"1","gtin":"2","mpn":"3","offers":{"@type":"Offer","priceCurrency":"EUR"}},
+  {"@type":"BreadcrumbList","itemListElement":[{"@type":"ListItem","position":1,"name":"Home","item":"/"},{"@type":"ListItem","position":2}]}
+]}</script>
+<script type="application/ld+json">{ "@type": "Organization", }</script>
+</head><body>
+<div itemscope itemtype="https://schema.org/FAQPage">
+  <div itemprop="mainEntity" itemscope itemtype="https://schema.org/Question">
+    <h3 itemprop="name">Does it work?</h3>
+    <div itemprop="acceptedAnswer" itemscope itemtype="https://schema.org/Answer"><p>Yes</p></div>
+  </div>
+</div>
+<div vocab="https://schema.org/" typeof="Organization"><span property="name">Acme</span><a property="url" href="https://acme.test/">Acme</a><img property="logo" src="/logo.png"><a property="sameAs" href="https://social.test/acme">Social</a></div>
+</body></html>`;
+
+try {
+  const { items, syntaxErrors } = extractStructuredData(cheerio.load(html));
+  assert.deepStrictEqual(items.map(item => `${item.format}:${item.types.join(',')}`), ['json-ld:Product', 'json-ld:BreadcrumbList', 'microdata:FAQPage', 'rdfa:Organization']);
+  assert.deepStrictEqual(syntaxErrors.map(e => e.block), [2]);
+
+  const [product, breadcrumbs, faq, org] = items;
+  assert.deepStrictEqual(product.errors.map(e => `${e.type}.${e.property}`), ['Offer.price|priceSpecification']);
+  assert.deepStrictEqual(product.warnings.map(w => `${w.type}.${w.property}`), ['Offer.availability', 'Offer.url']);
+  assert.deepStrictEqual(breadcrumbs.errors.map(e => e.message), ['BreadcrumbList.itemListElement[1] (ListItem) is missing required property "name"']);
+  assert.deepStrictEqual(faq.errors.map(e => `${e.type}.${e.property}`), ['Answer.text']);
+  assert.deepStrictEqual(org.errors, []);
+  assert.deepStrictEqual(org.warnings, []);
+
+  assert.strictEqual(templateKey('https://example.com/products/widget'), '/products/*');
+  assert.strictEqual(templateKey('https://example.com/about'), '/');
+
+  const summary = summarizeStructuredData([
+    { url: 'https://example.com/products/a', structuredData: items },
+    { url: 'https://example.com/products/b', structuredData: [] },
+    { url: 'https://example.com/blog/post', structuredData: [] },
+    { url: 'https://example.com/broken', structuredData: [], error: 'timeout' }
+  ]);
+  assert.deepStrictEqual(summary.types.find(t => t.type === 'Product'), { type: 'Product', pages: 1, pagesWithErrors: 1, pagesWithWarnings: 1 });
+  const products = summary.templates.find(t => t.template === '/products/*');
+  assert.strictEqual(products.withoutMarkup, 1);
+  assert.strictEqual(products.exampleWithout, 'https://example.com/products/b');
+  assert.strictEqual(products.types.FAQPage, 1);
+  assert.deepStrictEqual(summary.templates.map(t => t.template), ['/blog/*', '/products/*']);
+} catch (err) {
+  console.error(err);
+  process.exit(2);
+}
+console.log('Test passed — structured data');
@@ -42,8 +42,7 @@ exec(cmd, { cwd: path.resolve(__dirname, '..'), timeout: 120000 }, (err, stdout,
     process.exit(2);
   }
   const cols = splitCsvRow(exampleLine);
-  // header: url,status,ok,hasH1,h1,error -> hasH1 is index 3
-  const hasH1 = cols[3];
+  const hasH1 = cols[header.indexOf('hasH1')];
   if (hasH1 !== 'true') {
     console.error('expected example.com to have hasH1=true but was', hasH1);
     process.exit(2);
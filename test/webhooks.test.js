@@ -0,0 +1,120 @@
+const assert = require('assert');
+const http = require('http');
+const { openStore } = require('../lib/store');
+const { createJobManager } = require('../lib/jobs');
+const { normalizeWebhook, publicWebhook, signPayload, matchThresholds, createWebhookNotifier } = require('../lib/webhooks');
+
+const received = [];
+let failNext = 1;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/new-home' });
+      return res.end();
+    }
+    if (req.url === '/flaky' && failNext > 0) {
+      failNext -= 1;
+      res.writeHead(500);
+      return res.end();
+    }
+    received.push({ path: req.url, headers: req.headers, body });
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const store = openStore(':memory:');
+  const jobManager = createJobManager({ store, jobTtlMs: 1000 });
+  const notifier = createWebhookNotifier({ store, baseUrl: 'http://audit.test', retryDelayMs: 10, timeoutMs: 1000 });
+  const pending = [];
+  jobManager.onEvent((job, event) => {
+    if (event === 'done' || event === 'failed') pending.push(notifier.notify(job, event));
+  });
+  try {
+    assert.throws(() => normalizeWebhook({ url: 'ftp://x.test/' }), /http\(s\)/);
+    assert.throws(() => normalizeWebhook({ url: base, events: ['progress'] }), /events/);
+    assert.throws(() => normalizeWebhook({ url: base, thresholds: [{ metric: 'pages', op: '>', value: 1 }] }), /metric/);
+    assert.throws(() => normalizeWebhook({ url: base, thresholds: [{ metric: 'missingH1', op: '=>', value: 1 }] }), /op/);
+    const generated = normalizeWebhook({ url: base });
+    assert.deepStrictEqual(generated.events, ['done', 'failed']);
+    assert.strictEqual(generated.secret.length, 48);
+    assert.strictEqual(publicWebhook(generated).secret, undefined);
+    assert.deepStrictEqual(matchThresholds([{ metric: 'missingH1', op: '>=', value: 2 }], { missingH1: 1 }), []);
+
+    const job = jobManager.createJob(['a', 'b'], { site: 'example.com' });
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/global`, secret: 'topsecret' }), id: 'global' });
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/flaky`, events: ['done'] }), id: 'flaky', jobId: job.id });
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/quiet`, thresholds: [{ metric: 'missingH1', op: '>', value: 5 }] }), id: 'quiet', jobId: job.id });
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/failures`, events: ['failed'] }), id: 'failures', jobId: job.id });
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/other` }), id: 'other', jobId: 'job-x' });
+
+    jobManager.recordResult(job, 0, { url: 'a', ok: true, status: 200, hasH1: true, issues: [] });
+    jobManager.recordResult(job, 1, { url: 'b', ok: false, status: 404, hasH1: false, issues: [{ code: 'missing-h1' }] });
+    await jobManager.settleJob(job, Promise.resolve());
+    await Promise.all(pending);
+
+    assert.deepStrictEqual(received.map(r => r.path).sort(), ['/flaky', '/global']);
+    const global = received.find(r => r.path === '/global');
+    assert.strictEqual(global.headers['x-webhook-event'], 'job.done');
+    assert.strictEqual(global.headers['x-webhook-signature'], signPayload(global.body, 'topsecret'));
+    const payload = JSON.parse(global.body);
+    assert.strictEqual(payload.id, global.headers['x-webhook-delivery']);
+    assert.strictEqual(payload.job.status, 'done');
+    assert.strictEqual(payload.job.site, 'example.com');
+    assert.strictEqual(payload.summary.total, 2);
+    assert.strictEqual(payload.summary.missingH1, 1);
+    assert.strictEqual(payload.summary.status4xx, 1);
+    assert.strictEqual(payload.links.results, `http://audit.test/api/jobs/${job.id}/results`);
+
+    const deliveries = store.listDeliveries({ jobId: job.id });
+    const flaky = deliveries.filter(d => d.webhookId === 'flaky');
+    assert.deepStrictEqual(flaky.map(d => [d.attempt, d.status]), [[1, 500], [2, 204]]);
+    const quiet = deliveries.filter(d => d.webhookId === 'quiet');
+    assert.deepStrictEqual(quiet.map(d => d.attempt), [0]);
+    assert.ok(/skipped/.test(quiet[0].error));
+    assert.ok(!deliveries.some(d => d.webhookId === 'failures' || d.webhookId === 'other'));
+
+    // only thresholds that hold are sent along
+    const failing = jobManager.createJob(['c'], { site: 'example.com' });
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/alerts`, thresholds: [{ metric: 'errors', op: '>=', value: 1 }, { metric: 'ok', op: '>', value: 0 }] }), id: 'alerts', jobId: failing.id });
+    received.length = 0;
+    jobManager.recordResult(failing, 0, { url: 'c', ok: false, status: null, error: 'timeout', issues: [] });
+    await jobManager.settleJob(failing, Promise.reject(new Error('boom')));
+    await Promise.all(pending);
+    assert.deepStrictEqual(received.map(r => r.path).sort(), ['/alerts', '/global']);
+    const alert = JSON.parse(received.find(r => r.path === '/alerts').body);
+    assert.strictEqual(alert.event, 'job.failed');
+    assert.strictEqual(alert.job.error, 'boom');
+    assert.deepStrictEqual(alert.thresholds, [{ metric: 'errors', op: '>=', value: 1 }]);
+
+    // unreachable receivers are retried and logged, never thrown
+    const down = jobManager.createJob(['d']);
+    store.createWebhook({ ...normalizeWebhook({ url: 'http://127.0.0.1:1/' }), id: 'down', jobId: down.id });
+    await notifier.notify(down, 'done');
+    const attempts = store.listDeliveries({ webhookId: 'down' });
+    assert.strictEqual(attempts.length, 5);
+    assert.ok(attempts.every(d => d.status === null && d.error));
+
+    assert.strictEqual(store.deleteWebhook('down'), true);
+    assert.strictEqual(store.listDeliveries({ webhookId: 'down' }).length, 0);
+    assert.deepStrictEqual(store.listWebhooks().map(w => w.id), ['global']);
+
+    // a redirect is a failed delivery, not a success
+    const moved = jobManager.createJob(['e']);
+    store.createWebhook({ ...normalizeWebhook({ url: `${base}/moved` }), id: 'moved', jobId: moved.id });
+    await notifier.notify(moved, 'done');
+    const redirected = store.listDeliveries({ webhookId: 'moved' });
+    assert.deepStrictEqual(redirected.map(d => [d.attempt, d.status]), [[1, 301]]);
+    assert.strictEqual(redirected[0].error, 'not delivered: redirected to /new-home');
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  console.log('Test passed — webhooks');
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const { columnName, toXlsx } = require('../lib/xlsx');
+const { resultsSheets, resultsXlsx } = require('../lib/xlsx-report');
+
+// Reads the entries of a zip written by toXlsx back from its central directory.
+function unzip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(end + 10);
+  let pos = buf.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i += 1) {
+    assert.strictEqual(buf.readUInt32LE(pos), 0x02014b50);
+    const size = buf.readUInt32LE(pos + 20);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const offset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const start = offset + 30 + buf.readUInt16LE(offset + 26);
+    files[name] = zlib.inflateRawSync(buf.subarray(start, start + size)).toString('utf8');
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+const results = [
+  { url: 'https://example.com/', status: 200, ok: true, hasH1: true, h1Count: 1, h1: 'Tom & Jerry <3', issues: [] },
+  { url: 'https://example.com/two', status: 200, ok: true, hasH1: true, h1Count: 2, multipleH1: true, issues: [{ code: 'multiple-h1', rule: 'h1' }, { code: 'og-missing-title', rule: 'social' }] },
+  { url: 'https://example.com/gone', status: 404, ok: false, hasH1: false, missingH1: true, issues: [] },
+  { url: 'https://example.com/down', status: 503, ok: false, hasH1: false, missingH1: true, imageIssueCount: 2, issues: [] },
+  { url: 'https://example.com/slow', status: null, ok: false, hasH1: false, error: 'timeout', issues: [] }
+];
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end('<html><head><title>x</title></head><body><h1>x</h1></body></html>');
+});
+
+server.listen(0, '127.0.0.1', async () => {
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-'));
+  try {
+    assert.deepStrictEqual([0, 25, 26, 27, 701, 702].map(columnName), ['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+
+    const sheets = resultsSheets(results, { durationMs: 65000 });
+    assert.deepStrictEqual(sheets.map(sheet => sheet.name), ['Summary', 'All URLs', 'Missing H1', 'Multiple H1s', '4xx', '5xx', 'Errors']);
+    assert.deepStrictEqual(Object.fromEntries(sheets[0].rows.map(row => [row.metric, row.value])), {
+      'Total checked': 5,
+      'With H1': 2,
+      'Missing H1': 3,
+      'Multiple H1s': 1,
+      'Blocked by robots.txt': 0,
+      'Not indexable': 0,
+      'Social meta issues': 1,
+      'Pages with image issues': 1,
+      'Duplicate groups': 0,
+      'Time taken': '1m 5s',
+      200: 2,
+      '4xx': 1,
+      '5xx': 1
+    });
+    assert.deepStrictEqual(sheets.slice(2).map(sheet => sheet.rows.map(row => row.url.replace('https://example.com', ''))), [
+      ['/gone', '/down', '/slow'],
+      ['/two'],
+      ['/gone'],
+      ['/down'],
+      ['/slow']
+    ]);
+    assert.strictEqual(sheets[3].rows[0].issues, 'multiple-h1;og-missing-title');
+
+    const files = unzip(resultsXlsx(results, { durationMs: 65000 }));
+    assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet7.xml'));
+    assert.ok(files['xl/workbook.xml'].includes('<sheet name="All URLs" sheetId="2" r:id="rId2"/>'));
+    assert.ok(files['xl/workbook.xml'].includes(`<definedName name="_xlnm._FilterDatabase" localSheetId="2" hidden="1">'Missing H1'!$A$1:$I$4</definedName>`));
+    const all = files['xl/worksheets/sheet2.xml'];
+    assert.ok(all.includes('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'));
+    assert.ok(/<autoFilter ref="A1:[A-Z]+6"\/>/.test(all));
+    assert.ok(all.includes('<c r="A2" s="2" t="inlineStr"><is><t>https://example.com/</t></is></c><c r="B2"><v>200</v></c><c r="C2" t="b"><v>1</v></c>'));
+    assert.ok(all.includes('<t>Tom &amp; Jerry &lt;3</t>'));
+    assert.ok(all.includes('<hyperlink ref="A2" r:id="rId1"/>'));
+    assert.ok(files['xl/worksheets/_rels/sheet2.xml.rels'].includes('Target="https://example.com/" TargetMode="External"'));
+    // the summary has no filter and no links
+    assert.ok(!files['xl/worksheets/sheet1.xml'].includes('autoFilter'));
+    assert.strictEqual(files['xl/worksheets/_rels/sheet1.xml.rels'], undefined);
+
+    // sheet names are cleaned up and kept unique
+    const renamed = unzip(toXlsx([{ name: 'a/b', columns: [], rows: [] }, { name: 'A B', columns: [], rows: [] }]));
+    assert.ok(renamed['xl/workbook.xml'].includes('<sheet name="a b" sheetId="1" r:id="rId1"/><sheet name="A B 2" sheetId="2" r:id="rId2"/>'));
+
+    const xlsxOut = path.join(dir, 'report.xlsx');
+    const cli = await new Promise((resolve) => {
+      execFile(process.execPath, [path.join(__dirname, '..', 'check-h1.js'), `${base}/`, '--xlsx-out', xlsxOut], { timeout: 60000 }, (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      });
+    });
+    assert.strictEqual(cli.code, 0, cli.stderr);
+    assert.ok(/XLSX report written/.test(cli.stdout));
+    assert.ok(unzip(fs.readFileSync(xlsxOut))['xl/worksheets/sheet2.xml'].includes(`<t>${base}/</t>`));
+  } catch (err) {
+    console.error(err);
+    server.close();
+    process.exit(2);
+  }
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log('Test passed — XLSX export');
+});